@@ -0,0 +1,223 @@
+// Blood gas analyser profiles for OCR. Each profile lists the labels its printouts use,
+// which of several variants of a value we want (37 °C not temperature-corrected, actual not
+// standard bicarbonate, BE(ecf) not BE(B)) and the extra fields it prints.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ABGAnalysers = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const CORE_FIELDS = ['ph', 'pco2', 'po2', 'hco3', 'sodium', 'potassium',
+        'chloride', 'albumin', 'lactate', 'glucose', 'calcium', 'hb', 'be'];
+
+    const EXTRA_FIELDS = {
+        fio2: 'FiO2',
+        so2: 'sO2',
+        cohb: 'COHb',
+        methb: 'MetHb',
+        temperature: 'Patient temperature'
+    };
+
+    const PROFILES = {
+        generic: {
+            label: 'Other / unknown analyser',
+            header: [],
+            synonyms: {
+                ph: ['pH'],
+                pco2: ['pCO2', 'PCO2', 'CO2'],
+                po2: ['pO2', 'PO2', 'O2'],
+                hco3: ['HCO3', 'HCO3-', 'cHCO3', 'Bicarb', 'HCO3act'],
+                be: ['BE', 'Base Excess', 'BE(ecf)', 'SBE', 'BE(B)'],
+                sodium: ['Na', 'Na+', 'Sodium'],
+                potassium: ['K', 'K+', 'Potassium'],
+                chloride: ['Cl', 'Cl-', 'Chloride'],
+                albumin: ['Alb', 'Albumin'],
+                lactate: ['Lac', 'Lactate', 'Lact'],
+                glucose: ['Glu', 'Glucose', 'BG', 'Gluc'],
+                calcium: ['Ca', 'Ca2+', 'iCa', 'Ca++', 'Ion Ca', 'Ca(7.4)'],
+                hb: ['Hb', 'tHb', 'Hemoglobin', 'Hgb'],
+                fio2: ['FiO2', 'FIO2', 'O2%'],
+                so2: ['sO2', 'SaO2', 'O2SAT', 'SO2'],
+                cohb: ['COHb', 'FCOHb'],
+                methb: ['MetHb', 'FMetHb'],
+                temperature: ['Temp', 'T', 'Patient Temp']
+            },
+            prefer: {
+                hco3: 'actual bicarbonate over standard bicarbonate (HCO3(st), SBC)',
+                be: 'BE(ecf)/SBE over BE(B)'
+            },
+            avoid: {
+                ph: ['pH(T)'],
+                pco2: ['pCO2(T)'],
+                po2: ['pO2(T)'],
+                hco3: ['HCO3(st)', 'SBC', 'Standard Bicarb', 'TCO2', 'tCO2'],
+                be: ['BE(B)']
+            },
+            extraFields: Object.keys(EXTRA_FIELDS),
+            notes: []
+        },
+        'radiometer-abl': {
+            label: 'Radiometer ABL800 / ABL90',
+            header: [/radiometer/i, /\bABL\s?(?:[789]\d0|90)\b/i],
+            synonyms: {
+                ph: ['pH'],
+                pco2: ['pCO2'],
+                po2: ['pO2'],
+                hco3: ['cHCO3-(P)', 'cHCO3-(P)c'],
+                be: ['cBase(Ecf)', 'cBase(Ecf)c', 'SBE'],
+                sodium: ['cNa+'],
+                potassium: ['cK+'],
+                chloride: ['cCl-'],
+                lactate: ['cLac'],
+                glucose: ['cGlu'],
+                calcium: ['cCa2+'],
+                hb: ['ctHb'],
+                fio2: ['FIO2', 'FO2(I)'],
+                so2: ['sO2'],
+                cohb: ['FCOHb'],
+                methb: ['FMetHb'],
+                temperature: ['T']
+            },
+            prefer: {
+                ph: 'the 37.0 °C value, not pH(T)',
+                hco3: 'cHCO3-(P) (actual) over cHCO3-(P,st) (standard)',
+                be: 'cBase(Ecf) over cBase(B)',
+                calcium: 'cCa2+ as measured, not cCa2+(7.4)'
+            },
+            avoid: {
+                ph: ['pH(T)'],
+                pco2: ['pCO2(T)'],
+                po2: ['pO2(T)'],
+                hco3: ['cHCO3-(P,st)', 'cHCO3-(P,st)c'],
+                be: ['cBase(B)', 'cBase(B)c'],
+                calcium: ['cCa2+(7.4)']
+            },
+            extraFields: ['fio2', 'so2', 'cohb', 'methb', 'temperature'],
+            notes: ['Rows marked (T) are corrected to the patient temperature entered on the analyser; the 37 °C rows are used for interpretation.']
+        },
+        'siemens-rapidpoint': {
+            label: 'Siemens RAPIDPoint 500 / 405',
+            header: [/siemens/i, /rapid\s?point/i, /RAPIDLab/i],
+            synonyms: {
+                ph: ['pH'],
+                pco2: ['pCO2'],
+                po2: ['pO2'],
+                hco3: ['HCO3act', 'HCO3-act', 'cHCO3act'],
+                be: ['BE(ecf)', 'BEecf'],
+                sodium: ['Na+'],
+                potassium: ['K+'],
+                chloride: ['Cl-'],
+                lactate: ['Lac'],
+                glucose: ['Glu'],
+                calcium: ['Ca++', 'iCa'],
+                hb: ['tHb'],
+                fio2: ['FIO2'],
+                so2: ['sO2', 'O2SAT'],
+                cohb: ['FCOHb', 'COHb'],
+                methb: ['FMetHb', 'MetHb'],
+                temperature: ['Temp', 'Pt Temp']
+            },
+            prefer: {
+                ph: 'the value reported at 37.0 °C, not the value at patient temperature',
+                hco3: 'HCO3act over HCO3std',
+                be: 'BE(ecf) over BE(B)'
+            },
+            avoid: {
+                hco3: ['HCO3std', 'HCO3-std'],
+                be: ['BE(B)', 'BEb']
+            },
+            extraFields: ['fio2', 'so2', 'cohb', 'methb', 'temperature'],
+            notes: ['Temperature-corrected results are printed in a separate column headed with the patient temperature; the 37.0 °C column is used for interpretation.']
+        },
+        'abbott-istat': {
+            label: 'Abbott i-STAT',
+            header: [/i-?STAT/i, /\bCG[48]\+/i, /\bEG[67]\+/i, /\bCHEM8\+/i],
+            synonyms: {
+                ph: ['pH'],
+                pco2: ['PCO2'],
+                po2: ['PO2'],
+                hco3: ['HCO3'],
+                be: ['BEecf'],
+                sodium: ['Na'],
+                potassium: ['K'],
+                chloride: ['Cl'],
+                lactate: ['Lac'],
+                glucose: ['Glu'],
+                calcium: ['iCa'],
+                hb: ['Hb', 'Hb*'],
+                fio2: ['FIO2'],
+                so2: ['sO2'],
+                temperature: ['Temp', 'PtTemp']
+            },
+            prefer: {
+                ph: 'the uncorrected 37 °C value, not the value followed by a temperature',
+                hco3: 'HCO3, never TCO2'
+            },
+            avoid: {
+                ph: ['pHTC', 'pH(TC)'],
+                pco2: ['PCO2TC', 'PCO2(TC)'],
+                po2: ['PO2TC', 'PO2(TC)'],
+                hco3: ['TCO2']
+            },
+            extraFields: ['fio2', 'so2', 'temperature'],
+            notes: [
+                'i-STAT Hb is calculated from haematocrit, not measured.',
+                'i-STAT sO2 is calculated from pO2 and pH; it has no co-oximeter, so COHb and MetHb are not reported.'
+            ]
+        }
+    };
+
+    const normaliseLabel = (label) => String(label || '').toLowerCase().replace(/\s+/g, '');
+
+    function resolve(key) {
+        const resolved = PROFILES[key] ? key : 'generic';
+        return { key: resolved, ...PROFILES[resolved] };
+    }
+
+    // First profile whose header pattern matches the printout's header text
+    function detect(headerText) {
+        if (!headerText) return null;
+        for (const [key, profile] of Object.entries(PROFILES)) {
+            if (profile.header.some(pattern => pattern.test(headerText))) return key;
+        }
+        return null;
+    }
+
+    // Reason a printed label should not be used for this field, or null
+    function checkLabel(profile, field, rawLabel) {
+        const avoid = (profile.avoid || {})[field] || [];
+        const label = normaliseLabel(rawLabel);
+        if (!label || !avoid.some(item => normaliseLabel(item) === label)) return null;
+        const preference = (profile.prefer || {})[field];
+        return `"${rawLabel}" is not the variant used for interpretation${preference ? ` - use ${preference}` : ''}`;
+    }
+
+    const fieldsFor = (profile) => [...CORE_FIELDS, ...profile.extraFields];
+
+    // Label guidance for the OCR prompt
+    function promptSection(profile) {
+        const lines = [`${profile.label}:`];
+        for (const field of fieldsFor(profile)) {
+            const synonyms = profile.synonyms[field];
+            if (!synonyms) continue;
+            const avoid = (profile.avoid || {})[field];
+            lines.push(`  ${field}: ${synonyms.map(label => `"${label}"`).join(', ')}${avoid ? ` (NOT ${avoid.map(label => `"${label}"`).join(', ')})` : ''}`);
+        }
+        for (const [field, preference] of Object.entries(profile.prefer || {})) {
+            lines.push(`  Prefer for ${field}: ${preference}`);
+        }
+        return lines.join('\n');
+    }
+
+    return {
+        CORE_FIELDS,
+        EXTRA_FIELDS,
+        PROFILES,
+        resolve,
+        detect,
+        checkLabel,
+        fieldsFor,
+        promptSection
+    };
+});
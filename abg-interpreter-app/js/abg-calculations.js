@@ -0,0 +1,435 @@
+// Deterministic acid-base calculations shared by the Netlify functions and the browser.
+// Inputs use the app's working units: kPa for gases, mmol/L for electrolytes, g/L for albumin and Hb,
+// FiO2, SpO2, sO2, COHb and MetHb as percentages, temperature in °C, cardiac output in L/min,
+// osmolality in mOsm/kg and urea, ethanol and ketones (beta-hydroxybutyrate) in mmol/L.
+// Every result is null when the values it needs are missing.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ABGCalculations = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const KPA_TO_MMHG = 7.5;
+    const NORMAL_ALBUMIN = 40;      // g/L
+    const NORMAL_AG = 12;           // mmol/L
+    const NORMAL_HCO3 = 24;         // mmol/L
+    const ATMOSPHERIC_KPA = 101.3;
+    const WATER_VAPOUR_KPA = 6.3;
+    const RESPIRATORY_QUOTIENT = 0.8;
+    const HUFNER = 1.34;            // mL O2 per g Hb
+    const O2_SOLUBILITY = 0.0225;   // mL O2 per dL per kPa (0.003 per mmHg)
+    const ETHANOL_OSMOLAR = 1.09;   // mOsm per mmol/L ethanol (Purssell 2001)
+
+    // Form fields arrive as strings from x-model, API payloads as numbers
+    const num = (value) => {
+        if (value === null || value === undefined || value === '') return null;
+        const parsed = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    };
+
+    const round = (value, dp = 1) => {
+        if (value === null || !Number.isFinite(value)) return null;
+        const factor = Math.pow(10, dp);
+        return Math.round(value * factor) / factor;
+    };
+
+    const has = (...items) => items.every(item => item !== null);
+
+    // pO2 from these samples says nothing about arterial oxygenation
+    const VENOUS_SAMPLE_TYPES = ['Venous', 'Cord Venous'];
+    const isVenous = (sampleType) => VENOUS_SAMPLE_TYPES.includes(sampleType);
+
+    // FiO2 is entered as a percentage but accept a fraction too
+    const fio2Fraction = (fio2) => {
+        if (fio2 === null) return null;
+        return fio2 > 1 ? fio2 / 100 : fio2;
+    };
+
+    const flag = (value, range) => {
+        if (value === null || !range) return null;
+        if (value < range[0]) return 'low';
+        if (value > range[1]) return 'high';
+        return 'normal';
+    };
+
+    const normalise = (values = {}) => {
+        const keys = ['ph', 'pco2', 'po2', 'hco3', 'be', 'sodium', 'potassium', 'chloride',
+            'albumin', 'lactate', 'glucose', 'calcium', 'magnesium', 'phosphate', 'hb', 'fio2',
+            'so2', 'spo2', 'cohb', 'methb', 'temperature', 'cardiacOutput', 'osmolality', 'urea', 'ethanol', 'ketones'];
+        const out = {};
+        for (const key of keys) out[key] = num(values[key]);
+        return out;
+    };
+
+    function anionGap(v) {
+        if (!has(v.sodium, v.chloride, v.hco3)) return null;
+        const value = v.sodium - (v.chloride + v.hco3);
+        const range = [8, 12];
+        return {
+            label: 'Anion Gap',
+            value: round(value, 1),
+            unit: 'mmol/L',
+            formula: '[Na+] - ([Cl-] + [HCO3-])',
+            working: `${v.sodium} - (${v.chloride} + ${v.hco3}) = ${round(value, 1)}`,
+            range,
+            flag: flag(value, range)
+        };
+    }
+
+    // Figge correction: every 10 g/L fall in albumin lowers the gap by about 2.5 mmol/L
+    function correctedAnionGap(v, ag) {
+        if (!ag || v.albumin === null) return null;
+        const value = ag.value + 0.25 * (NORMAL_ALBUMIN - v.albumin);
+        const range = [8, 12];
+        return {
+            label: 'Albumin-corrected Anion Gap',
+            value: round(value, 1),
+            unit: 'mmol/L',
+            formula: 'AG + 0.25 × (40 - albumin [g/L])',
+            working: `${ag.value} + 0.25 × (40 - ${v.albumin}) = ${round(value, 1)}`,
+            range,
+            flag: flag(value, range)
+        };
+    }
+
+    function deltaRatio(v, ag) {
+        if (!ag || v.hco3 === null) return null;
+        const deltaAg = ag.value - NORMAL_AG;
+        const deltaHco3 = NORMAL_HCO3 - v.hco3;
+        // Only meaningful with a raised gap and a low bicarbonate
+        if (deltaAg <= 0 || deltaHco3 <= 0) return null;
+        const value = deltaAg / deltaHco3;
+        let interpretation;
+        if (value < 0.4) interpretation = 'Hyperchloraemic normal anion gap acidosis';
+        else if (value < 0.8) interpretation = 'Combined high and normal anion gap acidosis';
+        else if (value <= 2) interpretation = 'Pure high anion gap acidosis';
+        else interpretation = 'High anion gap acidosis with concurrent metabolic alkalosis or compensated respiratory acidosis';
+        return {
+            label: 'Delta Ratio',
+            value: round(value, 2),
+            unit: null,
+            formula: '(AG - 12) / (24 - [HCO3-])',
+            working: `(${ag.value} - 12) / (24 - ${v.hco3}) = ${round(value, 2)}`,
+            range: [0.8, 2],
+            flag: flag(value, [0.8, 2]),
+            interpretation
+        };
+    }
+
+    // Winter's formula is defined in mmHg; convert the expected range to kPa for the app
+    function wintersFormula(v) {
+        if (v.hco3 === null) return null;
+        const expectedMmHg = 1.5 * v.hco3 + 8;
+        const low = (expectedMmHg - 2) / KPA_TO_MMHG;
+        const high = (expectedMmHg + 2) / KPA_TO_MMHG;
+        let comparison = null;
+        if (v.pco2 !== null) {
+            if (v.pco2 < round(low, 2)) comparison = 'below';
+            else if (v.pco2 > round(high, 2)) comparison = 'above';
+            else comparison = 'within';
+        }
+        return {
+            label: "Winter's Formula (expected pCO2)",
+            value: round(expectedMmHg / KPA_TO_MMHG, 2),
+            low: round(low, 2),
+            high: round(high, 2),
+            unit: 'kPa',
+            formula: '(1.5 × [HCO3-] + 8 ± 2) mmHg ÷ 7.5',
+            working: `(1.5 × ${v.hco3} + 8 ± 2) / 7.5 = ${round(low, 2)}-${round(high, 2)} kPa`,
+            actual: v.pco2,
+            comparison
+        };
+    }
+
+    // Checks the reported HCO3 against pH and pCO2 (0.23 = CO2 solubility in mmol/L/kPa)
+    function hendersonHasselbalch(v) {
+        if (!has(v.ph, v.pco2)) return null;
+        const calculated = 0.23 * v.pco2 * Math.pow(10, v.ph - 6.1);
+        const difference = v.hco3 !== null ? v.hco3 - calculated : null;
+        return {
+            label: 'Calculated HCO3- (Henderson-Hasselbalch)',
+            value: round(calculated, 1),
+            unit: 'mmol/L',
+            formula: '0.23 × pCO2 [kPa] × 10^(pH - 6.1)',
+            working: `0.23 × ${v.pco2} × 10^(${v.ph} - 6.1) = ${round(calculated, 1)}`,
+            difference: round(difference, 1),
+            consistent: difference === null ? null : Math.abs(difference) <= 2
+        };
+    }
+
+    // Calcium and magnesium count twice as they are divalent (mEq/L)
+    function sidApparent(v) {
+        if (!has(v.sodium, v.potassium, v.chloride)) return null;
+        const calcium = v.calcium !== null ? 2 * v.calcium : 0;
+        const magnesium = v.magnesium !== null ? 2 * v.magnesium : 0;
+        const lactate = v.lactate !== null ? v.lactate : 0;
+        const value = v.sodium + v.potassium + calcium + magnesium - v.chloride - lactate;
+        const range = [38, 44];
+        return {
+            label: 'Strong Ion Difference Apparent (SIDa)',
+            value: round(value, 1),
+            unit: 'mEq/L',
+            formula: '[Na+] + [K+] + 2[Ca2+] + 2[Mg2+] - [Cl-] - [lactate]',
+            working: `${v.sodium} + ${v.potassium} + ${round(calcium, 2)} + ${round(magnesium, 2)} - ${v.chloride} - ${lactate} = ${round(value, 1)}`,
+            range,
+            flag: flag(value, range),
+            omitted: ['calcium', 'magnesium', 'lactate'].filter(key => v[key] === null)
+        };
+    }
+
+    // Figge-Fencl weak acid charges; albumin in g/L, phosphate in mmol/L
+    function sidEffective(v) {
+        if (!has(v.ph, v.hco3)) return null;
+        const albumin = v.albumin !== null ? v.albumin : NORMAL_ALBUMIN;
+        const albuminCharge = albumin * (0.123 * v.ph - 0.631);
+        const phosphateCharge = v.phosphate !== null ? v.phosphate * (0.309 * v.ph - 0.469) : 0;
+        const value = v.hco3 + albuminCharge + phosphateCharge;
+        return {
+            label: 'Strong Ion Difference Effective (SIDe)',
+            value: round(value, 1),
+            unit: 'mEq/L',
+            formula: '[HCO3-] + albumin × (0.123 × pH - 0.631) + phosphate × (0.309 × pH - 0.469)',
+            working: `${v.hco3} + ${round(albuminCharge, 1)} + ${round(phosphateCharge, 1)} = ${round(value, 1)}`,
+            albuminAssumed: v.albumin === null,
+            omitted: v.phosphate === null ? ['phosphate'] : []
+        };
+    }
+
+    function strongIonGap(sida, side) {
+        if (!sida || !side) return null;
+        const value = sida.value - side.value;
+        const range = [-2, 2];
+        return {
+            label: 'Strong Ion Gap (SIG)',
+            value: round(value, 1),
+            unit: 'mEq/L',
+            formula: 'SIDa - SIDe',
+            working: `${sida.value} - ${side.value} = ${round(value, 1)}`,
+            range,
+            flag: flag(value, range)
+        };
+    }
+
+    function alveolarArterialGradient(v) {
+        if (!has(v.pco2, v.po2, v.fio2)) return null;
+        const fraction = fio2Fraction(v.fio2);
+        const alveolar = fraction * (ATMOSPHERIC_KPA - WATER_VAPOUR_KPA) - v.pco2 / RESPIRATORY_QUOTIENT;
+        const value = alveolar - v.po2;
+        const range = [0, 2];
+        return {
+            label: 'A-a Gradient',
+            value: round(value, 2),
+            valueMmHg: round(value * KPA_TO_MMHG, 1),
+            unit: 'kPa',
+            formula: 'FiO2 × (101.3 - 6.3) - pCO2 / 0.8 - pO2',
+            working: `${round(fraction, 2)} × 95 - ${v.pco2} / 0.8 - ${v.po2} = ${round(value, 2)} kPa`,
+            alveolarPo2: round(alveolar, 2),
+            range,
+            flag: flag(value, range)
+        };
+    }
+
+    function pfRatio(v) {
+        if (!has(v.po2, v.fio2)) return null;
+        const fraction = fio2Fraction(v.fio2);
+        if (!fraction) return null;
+        const value = v.po2 / fraction;
+        const valueMmHg = value * KPA_TO_MMHG;
+        let severity;
+        if (valueMmHg > 300) severity = 'Not in ARDS range';
+        else if (valueMmHg > 200) severity = 'Mild (Berlin)';
+        else if (valueMmHg > 100) severity = 'Moderate (Berlin)';
+        else severity = 'Severe (Berlin)';
+        return {
+            label: 'P/F Ratio',
+            value: round(value, 1),
+            valueMmHg: round(valueMmHg, 0),
+            unit: 'kPa',
+            formula: 'pO2 / FiO2',
+            working: `${v.po2} / ${round(fraction, 2)} = ${round(value, 1)} kPa (${round(valueMmHg, 0)} mmHg)`,
+            severity
+        };
+    }
+
+    // Oxyhaemoglobin as a fraction of all haemoglobin. Analyser sO2 is functional
+    // (O2Hb / (O2Hb + HHb)), so COHb and MetHb are taken out when they were measured.
+    function fractionalO2Hb(v) {
+        if (v.so2 === null) return null;
+        const dyshaemoglobin = (v.cohb || 0) + (v.methb || 0);
+        return {
+            value: v.so2 * (100 - dyshaemoglobin) / 100,
+            adjusted: dyshaemoglobin > 0,
+            working: dyshaemoglobin > 0 ? `${v.so2} × (100 - ${round(dyshaemoglobin, 1)}) / 100` : `${v.so2}`
+        };
+    }
+
+    // Pulse oximeters read COHb as oxyhaemoglobin and pull towards 85% with MetHb
+    function saturationGap(v) {
+        const o2hb = fractionalO2Hb(v);
+        if (!o2hb || v.spo2 === null) return null;
+        const value = v.spo2 - o2hb.value;
+        const range = [-5, 5];
+        return {
+            label: 'Saturation Gap',
+            value: round(value, 1),
+            unit: '%',
+            formula: 'SpO2 - SaO2 (co-oximetry, fractional O2Hb)',
+            working: `${v.spo2} - ${round(o2hb.value, 1)} = ${round(value, 1)} %`,
+            range,
+            flag: flag(value, range)
+        };
+    }
+
+    function oxygenContent(v) {
+        const o2hb = fractionalO2Hb(v);
+        if (!o2hb || v.hb === null) return null;
+        const hbGdl = v.hb / 10;
+        const bound = HUFNER * hbGdl * o2hb.value / 100;
+        const dissolved = v.po2 !== null ? O2_SOLUBILITY * v.po2 : 0;
+        const value = bound + dissolved;
+        const range = [16, 22];
+        return {
+            label: 'Arterial O2 Content (CaO2)',
+            value: round(value, 1),
+            unit: 'mL/dL',
+            formula: '1.34 × Hb [g/dL] × SaO2 + 0.0225 × pO2 [kPa]',
+            working: `1.34 × ${round(hbGdl, 1)} × ${round(o2hb.value / 100, 3)} + 0.0225 × ${v.po2 !== null ? v.po2 : 0} = ${round(value, 1)} mL/dL`,
+            bound: round(bound, 1),
+            dissolved: round(dissolved, 2),
+            dyshaemoglobinAdjusted: o2hb.adjusted,
+            omitted: v.po2 === null ? ['po2'] : [],
+            range,
+            flag: flag(value, range)
+        };
+    }
+
+    function oxygenDelivery(v, cao2) {
+        if (!cao2 || v.cardiacOutput === null) return null;
+        const value = cao2.value * v.cardiacOutput * 10;
+        const range = [900, 1100];
+        return {
+            label: 'Oxygen Delivery (DO2)',
+            value: round(value, 0),
+            unit: 'mL/min',
+            formula: 'CaO2 [mL/dL] × cardiac output [L/min] × 10',
+            working: `${cao2.value} × ${v.cardiacOutput} × 10 = ${round(value, 0)} mL/min`,
+            range,
+            flag: flag(value, range)
+        };
+    }
+
+    function calculatedOsmolality(v) {
+        if (!has(v.sodium, v.glucose, v.urea)) return null;
+        const value = 2 * v.sodium + v.glucose + v.urea;
+        const range = [275, 295];
+        return {
+            label: 'Calculated Osmolality',
+            value: round(value, 0),
+            unit: 'mOsm/kg',
+            formula: '2 × [Na+] + glucose + urea',
+            working: `2 × ${v.sodium} + ${v.glucose} + ${v.urea} = ${round(value, 0)} mOsm/kg`,
+            range,
+            flag: flag(value, range)
+        };
+    }
+
+    function osmolarGap(v, calculated) {
+        if (!calculated || v.osmolality === null) return null;
+        const value = v.osmolality - calculated.value;
+        const range = [-2, 10];
+        return {
+            label: 'Osmolar Gap',
+            value: round(value, 0),
+            unit: 'mOsm/kg',
+            formula: 'measured osmolality - calculated osmolality',
+            working: `${v.osmolality} - ${calculated.value} = ${round(value, 0)} mOsm/kg`,
+            range,
+            flag: flag(value, range)
+        };
+    }
+
+    // Ethanol is the commonest cause of a raised gap, so its share is taken out
+    function ethanolCorrectedOsmolarGap(v, calculated) {
+        if (!calculated || v.osmolality === null || v.ethanol === null) return null;
+        const ethanolShare = ETHANOL_OSMOLAR * v.ethanol;
+        const value = v.osmolality - (calculated.value + ethanolShare);
+        const range = [-2, 10];
+        return {
+            label: 'Ethanol-corrected Osmolar Gap',
+            value: round(value, 0),
+            unit: 'mOsm/kg',
+            formula: 'measured osmolality - (calculated osmolality + 1.09 × ethanol [mmol/L])',
+            working: `${v.osmolality} - (${calculated.value} + 1.09 × ${v.ethanol}) = ${round(value, 0)} mOsm/kg`,
+            range,
+            flag: flag(value, range)
+        };
+    }
+
+    function calculate(values, options = {}) {
+        const v = normalise(values);
+        const ag = anionGap(v);
+        const sida = sidApparent(v);
+        const side = sidEffective(v);
+        const venous = isVenous(options.sampleType);
+        const cao2 = venous ? null : oxygenContent(v);
+        const osmolality = calculatedOsmolality(v);
+        return {
+            anionGap: ag,
+            correctedAnionGap: correctedAnionGap(v, ag),
+            deltaRatio: deltaRatio(v, ag),
+            wintersFormula: wintersFormula(v),
+            hendersonHasselbalch: hendersonHasselbalch(v),
+            sidApparent: sida,
+            sidEffective: side,
+            strongIonGap: strongIonGap(sida, side),
+            aaGradient: venous ? null : alveolarArterialGradient(v),
+            pfRatio: venous ? null : pfRatio(v),
+            saturationGap: venous ? null : saturationGap(v),
+            oxygenContent: cao2,
+            oxygenDelivery: oxygenDelivery(v, cao2),
+            calculatedOsmolality: osmolality,
+            osmolarGap: osmolarGap(v, osmolality),
+            ethanolCorrectedOsmolarGap: ethanolCorrectedOsmolarGap(v, osmolality)
+        };
+    }
+
+    // One line per available result, for prompts and plain-text copies
+    function summarise(calculations) {
+        return Object.values(calculations)
+            .filter(Boolean)
+            .map(result => {
+                const unit = result.unit && !result.working.includes(result.unit) ? ` ${result.unit}` : '';
+                return `${result.label}: ${result.working}${unit}`;
+            })
+            .join('\n');
+    }
+
+    return {
+        KPA_TO_MMHG,
+        VENOUS_SAMPLE_TYPES,
+        isVenous,
+        num,
+        round,
+        normalise,
+        calculate,
+        summarise,
+        anionGap,
+        correctedAnionGap,
+        deltaRatio,
+        wintersFormula,
+        hendersonHasselbalch,
+        sidApparent,
+        sidEffective,
+        strongIonGap,
+        alveolarArterialGradient,
+        pfRatio,
+        fractionalO2Hb,
+        saturationGap,
+        oxygenContent,
+        oxygenDelivery,
+        calculatedOsmolality,
+        osmolarGap,
+        ethanolCorrectedOsmolarGap
+    };
+});
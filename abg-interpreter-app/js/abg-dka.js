@@ -0,0 +1,269 @@
+// DKA and HHS assessment following the Joint British Diabetes Societies (JBDS) inpatient guidance.
+// JBDS criteria use venous pH and bicarbonate, so samples are read as measured - no arterial estimate.
+// Hourly targets need an earlier sample from the same episode (see ABGTrends.analyse).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'));
+    } else {
+        root.ABGDKA = factory(root.ABGCalculations);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations) {
+    const { normalise, round } = ABGCalculations;
+
+    const DIAGNOSIS = {
+        ketones: 3.0,       // mmol/L, or ketonuria ≥ 2+
+        glucose: 11.0,      // mmol/L, or known diabetes
+        hco3: 15.0,         // mmol/L, and/or
+        ph: 7.3
+    };
+
+    const RESOLUTION = {
+        ph: 7.3,
+        ketones: 0.6,
+        hco3: 15.0
+    };
+
+    // Hourly falls/rises expected on a fixed-rate insulin infusion
+    const TARGETS = {
+        ketones: { label: 'Ketones fall', perHour: -0.5, unit: 'mmol/L/h' },
+        hco3: { label: 'Bicarbonate rise', perHour: 3.0, unit: 'mmol/L/h' },
+        glucose: { label: 'Glucose fall', perHour: -3.0, unit: 'mmol/L/h' }
+    };
+
+    const HHS = {
+        osmolality: 320,    // mOsm/kg
+        glucose: 30         // mmol/L
+    };
+
+    const FRIII_UNITS_PER_KG = 0.1;
+    const HHS_FRIII_UNITS_PER_KG = 0.05;
+    const GLUCOSE_ADD_DEXTROSE = 14;    // mmol/L - add 10% glucose below this
+
+    // JBDS/Hillier: sodium rises 2.4 mmol/L for every 5.5 mmol/L fall in glucose
+    function correctedSodium(v) {
+        if (v.sodium === null || v.glucose === null) return null;
+        const value = v.sodium + 2.4 * (v.glucose - 5.5) / 5.5;
+        return {
+            label: 'Corrected Sodium',
+            value: round(value, 0),
+            unit: 'mmol/L',
+            formula: '[Na+] + 2.4 × (glucose - 5.5) / 5.5',
+            working: `${v.sodium} + 2.4 × (${v.glucose} - 5.5) / 5.5 = ${round(value, 0)} mmol/L`,
+            range: [135, 145]
+        };
+    }
+
+    // Tonicity leaves out urea, which crosses cell membranes freely
+    function effectiveOsmolality(v) {
+        if (v.sodium === null || v.glucose === null) return null;
+        const value = 2 * v.sodium + v.glucose;
+        return {
+            label: 'Effective Osmolality',
+            value: round(value, 0),
+            unit: 'mOsm/kg',
+            formula: '2 × [Na+] + glucose',
+            working: `2 × ${v.sodium} + ${v.glucose} = ${round(value, 0)} mOsm/kg`,
+            range: [275, 295]
+        };
+    }
+
+    const criterion = (name, value, met, target) => ({ name, value, target, met: value === null ? null : met });
+
+    function diagnose(v) {
+        const criteria = [
+            criterion('Ketonaemia', v.ketones, v.ketones >= DIAGNOSIS.ketones, `≥ ${DIAGNOSIS.ketones} mmol/L`),
+            criterion('Hyperglycaemia', v.glucose, v.glucose > DIAGNOSIS.glucose, `> ${DIAGNOSIS.glucose} mmol/L or known diabetes`),
+            criterion('Acidosis', v.ph === null && v.hco3 === null ? null : `pH ${v.ph ?? '-'}, HCO3- ${v.hco3 ?? '-'}`,
+                (v.hco3 !== null && v.hco3 < DIAGNOSIS.hco3) || (v.ph !== null && v.ph < DIAGNOSIS.ph),
+                `HCO3- < ${DIAGNOSIS.hco3} mmol/L and/or pH < ${DIAGNOSIS.ph}`)
+        ];
+        const known = criteria.filter(item => item.met !== null);
+        return {
+            met: known.length === criteria.length ? criteria.every(item => item.met) : null,
+            criteria
+        };
+    }
+
+    // Any one of these on admission means severe DKA - HDU review
+    function severeFeatures(v, anionGap) {
+        const features = [];
+        if (v.ketones !== null && v.ketones > 6) features.push(`Ketones ${v.ketones} mmol/L (> 6)`);
+        if (v.hco3 !== null && v.hco3 < 5) features.push(`HCO3- ${v.hco3} mmol/L (< 5)`);
+        if (v.ph !== null && v.ph < 7.0) features.push(`pH ${v.ph} (< 7.0)`);
+        if (v.potassium !== null && v.potassium < 3.5) features.push(`K+ ${v.potassium} mmol/L (< 3.5)`);
+        if (anionGap && anionGap.value > 16) features.push(`Anion gap ${anionGap.value} mmol/L (> 16)`);
+        if (v.spo2 !== null && v.spo2 < 92) features.push(`SpO2 ${v.spo2}% (< 92)`);
+        return features;
+    }
+
+    function resolution(v) {
+        const criteria = [
+            criterion('pH', v.ph, v.ph > RESOLUTION.ph, `> ${RESOLUTION.ph}`),
+            criterion('Ketones', v.ketones, v.ketones < RESOLUTION.ketones, `< ${RESOLUTION.ketones} mmol/L`),
+            criterion('HCO3-', v.hco3, v.hco3 > RESOLUTION.hco3, `> ${RESOLUTION.hco3} mmol/L`)
+        ];
+        return {
+            resolved: criteria.every(item => item.met === true),
+            pending: criteria.filter(item => item.met === null).map(item => item.name),
+            criteria
+        };
+    }
+
+    function hhs(v, calculations, dka) {
+        const total = calculations.calculatedOsmolality;
+        const effective = effectiveOsmolality(v);
+        const osmolality = total || effective;
+        const hyperosmolar = osmolality ? osmolality.value >= HHS.osmolality : null;
+        const severeHyperglycaemia = v.glucose !== null ? v.glucose >= HHS.glucose : null;
+        const features = hyperosmolar && severeHyperglycaemia;
+        // HHS proper has ketonaemia below 3 mmol/L and no acidosis, so without ketones it cannot be
+        // told from DKA (present is null); with DKA criteria too it is a mixed picture
+        const [ketonaemia, acidosis] = dka.criteria.filter(item => item.name !== 'Hyperglycaemia').map(item => item.met);
+        const ketoacidosis = ketonaemia === null || acidosis === null ? null : ketonaemia || acidosis;
+        return {
+            osmolality: osmolality || null,
+            hyperosmolar,
+            severeHyperglycaemia,
+            present: features ? (ketoacidosis === null ? null : !ketoacidosis) : false,
+            overlap: Boolean(features) && dka.met === true
+        };
+    }
+
+    // Hourly rates since the earliest sample in the episode
+    function targets(trend) {
+        if (!trend) return [];
+        return Object.entries(TARGETS)
+            .map(([key, target]) => {
+                const parameter = trend.parameters[key];
+                if (!parameter || parameter.ratePerHour === null) return null;
+                const met = target.perHour < 0 ? parameter.ratePerHour <= target.perHour : parameter.ratePerHour >= target.perHour;
+                return {
+                    key,
+                    label: target.label,
+                    target: `${target.perHour > 0 ? '+' : ''}${target.perHour} ${target.unit}`,
+                    actual: `${parameter.ratePerHour > 0 ? '+' : ''}${parameter.ratePerHour} ${target.unit}`,
+                    hours: parameter.hours,
+                    met
+                };
+            })
+            .filter(Boolean);
+    }
+
+    function potassiumPrompt(v) {
+        if (v.potassium === null) {
+            return { status: 'action', item: 'Potassium', detail: 'Check K+ now and at 60 minutes, 2 hours, then 2-hourly.' };
+        }
+        if (v.potassium > 5.5) {
+            return { status: 'info', item: 'Potassium', detail: `K+ ${v.potassium} mmol/L (> 5.5) - no potassium in the infusion fluid; recheck within 2 hours as insulin will drive it down.` };
+        }
+        if (v.potassium >= 3.5) {
+            return { status: 'action', item: 'Potassium', detail: `K+ ${v.potassium} mmol/L (3.5-5.5) - 40 mmol/L potassium chloride in each bag of 0.9% sodium chloride.` };
+        }
+        return { status: 'warning', item: 'Potassium', detail: `K+ ${v.potassium} mmol/L (< 3.5) - senior review now; additional potassium is needed, which may require HDU and central access.` };
+    }
+
+    function checklist(v, options, state) {
+        const items = [potassiumPrompt(v)];
+        const weight = options.weightKg;
+        const perKg = state.hhs.present ? HHS_FRIII_UNITS_PER_KG : FRIII_UNITS_PER_KG;
+        const rate = weight ? round(weight * perKg, 1) : null;
+
+        if (state.resolution.resolved) {
+            items.push({ status: 'info', item: 'Resolution', detail: 'DKA resolution criteria met - convert to subcutaneous insulin once eating and drinking; stop the FRIII 30-60 minutes after the first subcutaneous short-acting dose.' });
+        } else if (state.hhs.present === null) {
+            items.push({ status: 'warning', item: 'Ketones', detail: 'Hyperosmolar with glucose ≥ 30 mmol/L - measure blood ketones to tell HHS from DKA before choosing the insulin rate.' });
+        } else if (state.hhs.present) {
+            items.push({ status: 'action', item: 'Insulin', detail: `HHS without significant ketonaemia - fluids first; start FRIII at ${perKg} units/kg/h${rate ? ` (${rate} units/h)` : ''} only once glucose stops falling with fluids alone.` });
+        } else {
+            items.push({ status: 'action', item: 'Insulin', detail: `Fixed-rate IV insulin infusion at ${perKg} units/kg/h${rate ? ` (${rate} units/h for ${weight} kg)` : ' - enter weight to calculate the rate'}.` });
+        }
+        if (!state.resolution.resolved) {
+            items.push({ status: 'info', item: 'Basal insulin', detail: 'Continue the usual long-acting basal insulin at the usual dose and time.' });
+        }
+
+        const missed = state.targets.filter(target => !target.met && target.key !== 'glucose');
+        if (!state.resolution.resolved && missed.length) {
+            items.push({ status: 'warning', item: 'Insulin rate', detail: `${missed.map(target => `${target.label} ${target.actual} (target ${target.target})`).join('; ')} - check the infusion and pump, then increase the FRIII by 1 unit/h.` });
+        }
+        if (v.glucose !== null && v.glucose < GLUCOSE_ADD_DEXTROSE && !state.resolution.resolved) {
+            items.push({ status: 'action', item: 'Glucose', detail: `Glucose ${v.glucose} mmol/L (< ${GLUCOSE_ADD_DEXTROSE}) - add 10% glucose at 125 mL/h alongside the 0.9% sodium chloride; do not stop the insulin.` });
+        }
+        if (state.hhs.hyperosmolar && state.hhs.severeHyperglycaemia) {
+            items.push({ status: 'warning', item: 'Osmolality', detail: 'Hyperosmolar - replace fluid gradually; aim for an osmolality fall of 3-8 mOsm/kg/h and a sodium fall of no more than 10 mmol/L in 24 hours. Assess for VTE prophylaxis and foot protection.' });
+        }
+        if (options.hoursSinceTreatment !== null && options.hoursSinceTreatment !== undefined && !state.resolution.resolved) {
+            if (options.hoursSinceTreatment >= 24) {
+                items.push({ status: 'warning', item: 'Duration', detail: `DKA not resolved ${options.hoursSinceTreatment} h after treatment started - senior and diabetes team review.` });
+            } else if (options.hoursSinceTreatment >= 6 && !state.targets.length) {
+                items.push({ status: 'info', item: 'Monitoring', detail: 'Add earlier samples to the episode to check the hourly ketone, bicarbonate and glucose targets.' });
+            }
+        }
+        items.push({ status: 'info', item: 'Monitoring', detail: 'Capillary ketones and glucose hourly; venous gas at 60 minutes, 2 hours, then 2-hourly.' });
+        return items;
+    }
+
+    function assess(values, options = {}) {
+        const v = normalise(values);
+        const calculations = options.calculations || ABGCalculations.calculate(values, { sampleType: options.sampleType });
+        const dka = diagnose(v);
+        const severe = severeFeatures(v, calculations.anionGap);
+        const state = {
+            dka,
+            resolution: resolution(v),
+            targets: targets(options.trend),
+            hhs: null
+        };
+        state.hhs = hhs(v, calculations, dka);
+
+        let severity = null;
+        if (dka.met) severity = severe.length ? 'severe' : 'not-severe';
+
+        return {
+            label: 'DKA/HHS assessment (JBDS)',
+            hoursSinceTreatment: options.hoursSinceTreatment ?? null,
+            diagnosis: dka,
+            severity,
+            severeFeatures: severe,
+            clinicalSevereFeatures: 'Also severe if GCS < 12, systolic BP < 90 mmHg or heart rate > 100 or < 60',
+            resolution: state.resolution,
+            correctedSodium: correctedSodium(v),
+            effectiveOsmolality: effectiveOsmolality(v),
+            hhs: state.hhs,
+            targets: state.targets,
+            checklist: checklist(v, options, state)
+        };
+    }
+
+    // Plain-text block for prompts and the offline report
+    function describe(assessment) {
+        const yesNo = (met) => (met === null ? 'unknown' : met ? 'yes' : 'no');
+        const lines = [assessment.label];
+        lines.push(`DKA criteria met: ${yesNo(assessment.diagnosis.met)} (${assessment.diagnosis.criteria.map(item => `${item.name} ${item.value ?? '-'}: ${yesNo(item.met)}`).join('; ')})`);
+        if (assessment.severity) {
+            lines.push(`Severity: ${assessment.severity === 'severe' ? `SEVERE - ${assessment.severeFeatures.join(', ')}` : 'no severe biochemical features'}`);
+        }
+        lines.push(`Resolution (pH > 7.3, ketones < 0.6, HCO3- > 15): ${assessment.resolution.resolved ? 'met' : `not met${assessment.resolution.pending.length ? ` - ${assessment.resolution.pending.join(', ')} not measured` : ''}`}`);
+        for (const result of [assessment.correctedSodium, assessment.effectiveOsmolality]) {
+            if (result) lines.push(`${result.label}: ${result.working}`);
+        }
+        if (assessment.hhs.present) lines.push('HHS criteria met (osmolality ≥ 320 mOsm/kg, glucose ≥ 30 mmol/L, ketones < 3 mmol/L, no acidosis)');
+        if (assessment.hhs.present === null) lines.push('Hyperosmolar with glucose ≥ 30 mmol/L - HHS cannot be assessed without ketones');
+        if (assessment.hhs.overlap) lines.push('Mixed DKA/HHS picture (DKA criteria plus osmolality ≥ 320 mOsm/kg and glucose ≥ 30 mmol/L)');
+        if (assessment.hoursSinceTreatment !== null) lines.push(`Time since treatment started: ${assessment.hoursSinceTreatment} h`);
+        for (const target of assessment.targets) {
+            lines.push(`${target.label}: ${target.actual} over ${target.hours} h (target ${target.target}) - ${target.met ? 'met' : 'NOT met'}`);
+        }
+        lines.push('Checklist:', ...assessment.checklist.map(item => `• ${item.item}: ${item.detail}`));
+        return lines.join('\n');
+    }
+
+    return {
+        DIAGNOSIS,
+        RESOLUTION,
+        TARGETS,
+        correctedSodium,
+        effectiveOsmolality,
+        assess,
+        describe
+    };
+});
@@ -0,0 +1,433 @@
+// FHIR R4 exchange for the EPR: importBundle() maps a Bundle of LOINC-coded blood gas
+// Observations onto the app's `values` model (SI), reporting codes it does not know and units
+// it cannot use; exportReport() turns an analysis into a collection Bundle holding a
+// DiagnosticReport, one Observation per input and computed value, and the narrative.
+// Patient, Encounter and other resources in an imported Bundle are never read.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'), require('./abg-units'), require('./abg-report'));
+    } else {
+        root.ABGFHIR = factory(root.ABGCalculations, root.ABGUnits, root.ABGReport);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations, ABGUnits, ABGReport) {
+    const { num } = ABGCalculations;
+
+    const LOINC = 'http://loinc.org';
+    const UCUM = 'http://unitsofmeasure.org';
+    const SNOMED = 'http://snomed.info/sct';
+    const INTERPRETATION = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+    const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+    const REPORT_CATEGORY = 'http://terminology.hl7.org/CodeSystem/v2-0074';
+    // Local code system for the computed parameters that have no LOINC code
+    const CALCULATION_SYSTEM = 'urn:wmebem:abg:calculation';
+
+    // LOINC code → field. `sample` marks codes specific to arterial or venous blood; `units` are
+    // the UCUM units matching the code's property (a value in another convertible unit is
+    // converted and reported). The first entry per field and sample type is used for export.
+    const CODES = {
+        '2744-1': { key: 'ph', display: 'pH of Arterial blood', sample: 'Arterial', units: ['[pH]'] },
+        '2746-6': { key: 'ph', display: 'pH of Venous blood', sample: 'Venous', units: ['[pH]'] },
+        '11558-4': { key: 'ph', display: 'pH of Blood', units: ['[pH]'] },
+        '2019-8': { key: 'pco2', display: 'Carbon dioxide [Partial pressure] in Arterial blood', sample: 'Arterial', units: ['mm[Hg]', 'kPa'] },
+        '2021-4': { key: 'pco2', display: 'Carbon dioxide [Partial pressure] in Venous blood', sample: 'Venous', units: ['mm[Hg]', 'kPa'] },
+        '11557-6': { key: 'pco2', display: 'Carbon dioxide [Partial pressure] in Blood', units: ['mm[Hg]', 'kPa'] },
+        '2703-7': { key: 'po2', display: 'Oxygen [Partial pressure] in Arterial blood', sample: 'Arterial', units: ['mm[Hg]', 'kPa'] },
+        '2705-2': { key: 'po2', display: 'Oxygen [Partial pressure] in Venous blood', sample: 'Venous', units: ['mm[Hg]', 'kPa'] },
+        '11556-8': { key: 'po2', display: 'Oxygen [Partial pressure] in Blood', units: ['mm[Hg]', 'kPa'] },
+        '1960-4': { key: 'hco3', display: 'Bicarbonate [Moles/volume] in Arterial blood', sample: 'Arterial', units: ['mmol/L', 'meq/L'] },
+        '14627-4': { key: 'hco3', display: 'Bicarbonate [Moles/volume] in Venous blood', sample: 'Venous', units: ['mmol/L', 'meq/L'] },
+        '1959-6': { key: 'hco3', display: 'Bicarbonate [Moles/volume] in Blood', units: ['mmol/L', 'meq/L'] },
+        '1963-8': { key: 'hco3', display: 'Bicarbonate [Moles/volume] in Serum or Plasma', units: ['mmol/L', 'meq/L'] },
+        '1925-7': { key: 'be', display: 'Base excess in Arterial blood by calculation', sample: 'Arterial', units: ['mmol/L', 'meq/L'] },
+        '11555-0': { key: 'be', display: 'Base excess in Blood by calculation', units: ['mmol/L', 'meq/L'] },
+        '2947-0': { key: 'sodium', display: 'Sodium [Moles/volume] in Blood', units: ['mmol/L', 'meq/L'] },
+        '2951-2': { key: 'sodium', display: 'Sodium [Moles/volume] in Serum or Plasma', units: ['mmol/L', 'meq/L'] },
+        '6298-4': { key: 'potassium', display: 'Potassium [Moles/volume] in Blood', units: ['mmol/L', 'meq/L'] },
+        '2823-3': { key: 'potassium', display: 'Potassium [Moles/volume] in Serum or Plasma', units: ['mmol/L', 'meq/L'] },
+        '2069-3': { key: 'chloride', display: 'Chloride [Moles/volume] in Blood', units: ['mmol/L', 'meq/L'] },
+        '2075-0': { key: 'chloride', display: 'Chloride [Moles/volume] in Serum or Plasma', units: ['mmol/L', 'meq/L'] },
+        '1994-3': { key: 'calcium', display: 'Calcium.ionized [Moles/volume] in Blood', units: ['mmol/L'] },
+        '1995-0': { key: 'calcium', display: 'Calcium.ionized [Moles/volume] in Serum or Plasma', units: ['mmol/L'] },
+        '15074-8': { key: 'glucose', display: 'Glucose [Moles/volume] in Blood', units: ['mmol/L'] },
+        '14749-6': { key: 'glucose', display: 'Glucose [Moles/volume] in Serum or Plasma', units: ['mmol/L'] },
+        '2339-0': { key: 'glucose', display: 'Glucose [Mass/volume] in Blood', units: ['mg/dL'] },
+        '2345-7': { key: 'glucose', display: 'Glucose [Mass/volume] in Serum or Plasma', units: ['mg/dL'] },
+        '32693-4': { key: 'lactate', display: 'Lactate [Moles/volume] in Blood', units: ['mmol/L'] },
+        '2524-7': { key: 'lactate', display: 'Lactate [Moles/volume] in Serum or Plasma', units: ['mmol/L'] },
+        '1751-7': { key: 'albumin', display: 'Albumin [Mass/volume] in Serum or Plasma', units: ['g/dL', 'g/L'] },
+        '718-7': { key: 'hb', display: 'Hemoglobin [Mass/volume] in Blood', units: ['g/dL', 'g/L'] },
+        '3150-0': { key: 'fio2', display: 'Inhaled oxygen concentration', units: ['%'] },
+        '2708-6': { key: 'so2', display: 'Oxygen saturation in Arterial blood', sample: 'Arterial', units: ['%'] },
+        '2711-0': { key: 'so2', display: 'Oxygen saturation in Venous blood', sample: 'Venous', units: ['%'] },
+        '59408-5': { key: 'spo2', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', units: ['%'] },
+        '20563-3': { key: 'cohb', display: 'Carboxyhemoglobin/Hemoglobin.total in Blood', units: ['%'] },
+        '2614-6': { key: 'methb', display: 'Methemoglobin/Hemoglobin.total in Blood', units: ['%'] },
+        '8310-5': { key: 'temperature', display: 'Body temperature', units: ['Cel', '[degF]'] },
+        '53060-9': { key: 'ketones', display: '3-Hydroxybutyrate [Moles/volume] in Serum or Plasma', units: ['mmol/L'] },
+        '2692-2': { key: 'osmolality', display: 'Osmolality of Serum or Plasma', units: ['mosm/kg'] },
+        '22664-7': { key: 'urea', display: 'Urea [Moles/volume] in Serum or Plasma', units: ['mmol/L'] },
+        '3094-0': { key: 'urea', display: 'Urea nitrogen [Mass/volume] in Serum or Plasma', units: ['mg/dL'] },
+        '5643-2': { key: 'ethanol', display: 'Ethanol [Mass/volume] in Serum or Plasma', units: ['mg/dL', 'g/L'] }
+    };
+
+    // Computed parameters that do have a LOINC code; the rest use CALCULATION_SYSTEM
+    const CALCULATION_CODES = {
+        anionGap: { code: '33037-3', display: 'Anion gap in Serum or Plasma' },
+        calculatedOsmolality: { code: '2693-0', display: 'Osmolality of Serum or Plasma by calculation' }
+    };
+
+    // Panel code for the DiagnosticReport
+    const PANELS = {
+        Arterial: { code: '24336-0', display: 'Gas panel - Arterial blood' },
+        Venous: { code: '24339-4', display: 'Gas panel - Venous blood' },
+        default: { code: '24338-6', display: 'Gas panel - Blood' }
+    };
+
+    // Specimen.type codes that set the sample type on import
+    const SPECIMEN_TYPES = {
+        '122552005': 'Arterial',
+        '122555007': 'Venous',
+        '122554006': 'Capillary'
+    };
+
+    // UCUM code ↔ the app's unit names
+    const UCUM_UNITS = {
+        kPa: 'kPa',
+        'mm[Hg]': 'mmHg',
+        'mmol/L': 'mmol/L',
+        'meq/L': 'mEq/L',
+        'mg/dL': 'mg/dL',
+        'g/L': 'g/L',
+        'g/dL': 'g/dL',
+        '%': '%',
+        '1': 'fraction',
+        Cel: '°C',
+        '[degF]': '°F',
+        'mosm/kg': 'mOsm/kg'
+    };
+    const APP_UNITS = Object.fromEntries(Object.entries(UCUM_UNITS).map(([ucum, unit]) => [unit, ucum]));
+
+    // Observation.status values whose result is not to be used
+    const UNUSABLE_STATUSES = ['entered-in-error', 'cancelled', 'registered'];
+
+    class FHIRError extends Error {}
+
+    const resourcesOf = (bundle) => (Array.isArray(bundle.entry) ? bundle.entry : [])
+        .map(entry => entry && entry.resource)
+        .filter(resource => resource && typeof resource === 'object');
+
+    const loincCoding = (concept) => ((concept && Array.isArray(concept.coding)) ? concept.coding : [])
+        .find(coding => coding && coding.system === LOINC && CODES[coding.code]);
+
+    const codeLabel = (concept) => {
+        const coding = ((concept && concept.coding) || [])[0] || {};
+        return { system: coding.system || null, code: coding.code || null, display: coding.display || (concept && concept.text) || null };
+    };
+
+    // The quantity's unit in the app's naming: UCUM code first, then the human-readable unit
+    function quantityUnit(quantity) {
+        if (quantity.code && UCUM_UNITS[quantity.code]) return UCUM_UNITS[quantity.code];
+        return ABGUnits.canonicalUnit(quantity.unit || quantity.code) || null;
+    }
+
+    // Sample type from the Specimen an Observation points to, if the Bundle carries it
+    function specimenSampleType(observation, specimens) {
+        const reference = observation.specimen && observation.specimen.reference;
+        const specimen = reference ? specimens.get(reference) : null;
+        const coding = specimen && specimen.type && Array.isArray(specimen.type.coding)
+            ? specimen.type.coding.find(item => item.system === SNOMED && SPECIMEN_TYPES[item.code])
+            : null;
+        return coding ? SPECIMEN_TYPES[coding.code] : null;
+    }
+
+    // Returns { values, units, sampleType, takenAt, mapped, unmapped, unitMismatches, skipped, warnings }.
+    // `values` are in the app's SI units, so `units` is the SI preset
+    function importBundle(bundle) {
+        if (!bundle || bundle.resourceType !== 'Bundle') throw new FHIRError('Expected a FHIR Bundle resource');
+        const resources = resourcesOf(bundle);
+        const specimens = new Map();
+        for (const resource of resources.filter(item => item.resourceType === 'Specimen')) {
+            if (resource.id) specimens.set(`Specimen/${resource.id}`, resource);
+        }
+        for (const entry of bundle.entry || []) {
+            if (entry && entry.fullUrl && entry.resource && entry.resource.resourceType === 'Specimen') specimens.set(entry.fullUrl, entry.resource);
+        }
+
+        const values = {};
+        const read = {};
+        const mapped = [];
+        const unmapped = [];
+        const unitMismatches = [];
+        const skipped = [];
+        const warnings = [];
+        const sampleTypes = new Set();
+        let takenAt = null;
+
+        // An Observation with components (a gas panel) contributes each component
+        const items = resources
+            .filter(resource => resource.resourceType === 'Observation')
+            .flatMap(observation => [observation, ...(Array.isArray(observation.component) ? observation.component.map(component => ({ ...component, parent: observation })) : [])]);
+
+        for (const item of items) {
+            const observation = item.parent || item;
+            const quantity = item.valueQuantity;
+            // A panel's own code is expected to be unknown when its components carry the values
+            if (!item.parent && !quantity && Array.isArray(item.component) && item.component.length) continue;
+
+            const coding = loincCoding(item.code);
+            if (!coding) {
+                unmapped.push({ ...codeLabel(item.code), reason: 'No LOINC code this app maps' });
+                continue;
+            }
+            const entry = CODES[coding.code];
+            if (UNUSABLE_STATUSES.includes(observation.status)) {
+                skipped.push({ key: entry.key, code: coding.code, reason: `Observation status is ${observation.status}` });
+                continue;
+            }
+            const value = quantity ? num(quantity.value) : null;
+            if (value === null) {
+                skipped.push({ key: entry.key, code: coding.code, reason: 'No numeric valueQuantity' });
+                continue;
+            }
+
+            let unit = entry.key === 'ph' ? null : quantityUnit(quantity);
+            const field = ABGUnits.FIELDS[entry.key];
+            if (field && (!unit || field.units[unit] === undefined)) {
+                const given = quantity.code || quantity.unit || null;
+                unitMismatches.push({
+                    key: entry.key,
+                    code: coding.code,
+                    unit: given,
+                    expected: entry.units,
+                    action: 'skipped',
+                    reason: given ? `${given} cannot be converted for ${entry.display}` : `No unit given for ${entry.display}`
+                });
+                continue;
+            }
+            if (field && !entry.units.map(code => UCUM_UNITS[code]).includes(unit)) {
+                unitMismatches.push({
+                    key: entry.key,
+                    code: coding.code,
+                    unit: quantity.code || quantity.unit,
+                    expected: entry.units,
+                    action: 'converted',
+                    reason: `${entry.display} is normally reported in ${entry.units.join(' or ')}; ${unit} was converted`
+                });
+            }
+            unit = unit || (field ? field.canonical : null);
+
+            const effective = observation.effectiveDateTime || (observation.effectivePeriod && observation.effectivePeriod.start) || null;
+            const converted = field ? ABGUnits.toCanonical(entry.key, value, unit) : value;
+            const previous = read[entry.key];
+            if (previous && previous.value !== converted) {
+                // The later result stands (the later-listed one when times are missing)
+                const later = !previous.effective || !effective || new Date(effective) >= new Date(previous.effective);
+                warnings.push(`${entry.key} reported twice (${previous.value} and ${converted}) - using ${later ? converted : previous.value}, the later result`);
+                if (!later) continue;
+            }
+            read[entry.key] = { value: converted, effective };
+            values[entry.key] = converted;
+            mapped.push({ key: entry.key, code: coding.code, display: entry.display, value: converted, unit: field ? field.canonical : null, original: { value, unit } });
+
+            if (entry.sample) sampleTypes.add(entry.sample);
+            const specimenType = specimenSampleType(observation, specimens);
+            if (specimenType) sampleTypes.add(specimenType);
+            if (effective && (!takenAt || new Date(effective) > new Date(takenAt))) takenAt = effective;
+        }
+
+        let sampleType = null;
+        if (sampleTypes.size === 1) {
+            sampleType = [...sampleTypes][0];
+        } else if (sampleTypes.size > 1) {
+            warnings.push(`Observations describe more than one sample type (${[...sampleTypes].join(', ')}) - check the sample type before analysis`);
+        }
+        if (values.ph === undefined || values.pco2 === undefined) {
+            warnings.push('The Bundle has no usable pH or pCO2 - both are needed for analysis');
+        }
+
+        return {
+            values,
+            units: { ...ABGUnits.PRESETS.SI },
+            sampleType,
+            takenAt: takenAt ? new Date(takenAt).toISOString() : null,
+            mapped,
+            unmapped,
+            unitMismatches,
+            skipped,
+            warnings
+        };
+    }
+
+    // RFC 4122 version 4; crypto.randomUUID where the runtime has it
+    function uuid() {
+        const cryptoApi = typeof crypto !== 'undefined' ? crypto : null;
+        if (cryptoApi && typeof cryptoApi.randomUUID === 'function') return cryptoApi.randomUUID();
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+            const random = Math.floor(Math.random() * 16);
+            return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        });
+    }
+
+    // Export code for a field: the sample-specific LOINC code where there is one
+    function exportCode(key, sampleType) {
+        const entries = Object.entries(CODES).filter(([, entry]) => entry.key === key);
+        const chosen = entries.find(([, entry]) => entry.sample === sampleType)
+            || entries.find(([, entry]) => !entry.sample)
+            || entries[0];
+        return chosen ? { code: chosen[0], ...chosen[1] } : null;
+    }
+
+    const interpretationCoding = (row) => {
+        const code = row.critical
+            ? (row.flag === 'low' ? 'LL' : row.flag === 'high' ? 'HH' : 'AA')
+            : { low: 'L', high: 'H', normal: 'N' }[row.flag];
+        if (!code) return undefined;
+        const display = { LL: 'Critical low', HH: 'Critical high', AA: 'Critical abnormal', L: 'Low', H: 'High', N: 'Normal' }[code];
+        return [{ coding: [{ system: INTERPRETATION, code, display }] }];
+    };
+
+    function quantity(value, unit) {
+        if (!unit) return { value };
+        return { value, unit, system: UCUM, code: APP_UNITS[unit] || unit };
+    }
+
+    const base64 = (text) => (typeof Buffer !== 'undefined'
+        ? Buffer.from(text, 'utf8').toString('base64')
+        : btoa(unescape(encodeURIComponent(text))));
+
+    const narrativeDiv = (text) => `<div xmlns="http://www.w3.org/1999/xhtml"><p>${ABGReport.escapeHtml(text)}</p></div>`;
+
+    // data is the ABGReport.toHtml() input plus takenAt; options.reportHtml adds the printable report
+    function exportReport(data, options = {}) {
+        const interpretation = data.interpretation || {};
+        const sampleType = data.sampleType || interpretation.sampleType || 'Arterial';
+        const effective = data.takenAt || data.generatedAt || new Date().toISOString();
+        const issued = new Date().toISOString();
+        const newId = options.newId || uuid;
+        const entries = [];
+        const results = [];
+        const observationBase = {
+            resourceType: 'Observation',
+            status: 'final',
+            category: [{ coding: [{ system: OBSERVATION_CATEGORY, code: 'laboratory', display: 'Laboratory' }] }],
+            effectiveDateTime: effective,
+            issued
+        };
+        const add = (resource) => {
+            const fullUrl = `urn:uuid:${newId()}`;
+            entries.push({ fullUrl, resource });
+            return fullUrl;
+        };
+
+        // Measured values keep SI units; the interpretation flags come from the printable report's table
+        for (const row of ABGReport.valueRows(data.values, { ranges: interpretation.ranges, sampleType })) {
+            const code = exportCode(row.key, sampleType);
+            if (!code) continue;
+            const unit = ABGUnits.FIELDS[row.key] ? ABGUnits.FIELDS[row.key].canonical : null;
+            results.push({ reference: add({
+                ...observationBase,
+                code: { coding: [{ system: LOINC, code: code.code, display: code.display }], text: row.label },
+                valueQuantity: quantity(row.value, unit),
+                interpretation: interpretationCoding(row),
+                referenceRange: row.range ? [{ low: quantity(row.range[0], unit), high: quantity(row.range[1], unit) }] : undefined
+            }) });
+        }
+
+        // Computed parameters are marked as derived from the measured Observations
+        const measured = results.map(result => ({ reference: result.reference }));
+
+        // Temperature-corrected values are separate Observations, so the measured ones stay at 37 °C
+        const corrected = data.correctedValues;
+        for (const row of ABGReport.correctedRows(corrected)) {
+            results.push({ reference: add({
+                ...observationBase,
+                code: { coding: [{ system: CALCULATION_SYSTEM, code: `${row.key}-temperature-corrected`, display: row.label }], text: row.label },
+                valueQuantity: quantity(row.value, row.unit || null),
+                note: [{ text: corrected.strategy === 'ph-stat' ? 'pH-stat: interpreted on the corrected values' : 'Alpha-stat: interpreted on the 37 °C values' }],
+                derivedFrom: measured.length ? measured : undefined
+            }) });
+        }
+        for (const [key, result] of Object.entries(data.calculations || {})) {
+            if (!result || (result.value === null || result.value === undefined) && result.low === undefined) continue;
+            const loinc = CALCULATION_CODES[key];
+            const coding = loinc
+                ? { system: LOINC, code: loinc.code, display: loinc.display }
+                : { system: CALCULATION_SYSTEM, code: key, display: result.label };
+            const flag = result.flag && result.flag !== 'normal' ? { low: 'L', high: 'H' }[result.flag] : result.flag === 'normal' ? 'N' : null;
+            const value = result.low !== undefined && result.high !== undefined
+                ? { valueRange: { low: quantity(result.low, result.unit), high: quantity(result.high, result.unit) } }
+                : typeof result.value === 'number'
+                    ? { valueQuantity: quantity(result.value, result.unit) }
+                    : { valueString: String(result.value) };
+            results.push({ reference: add({
+                ...observationBase,
+                code: { coding: [coding], text: result.label },
+                ...value,
+                interpretation: flag ? [{ coding: [{ system: INTERPRETATION, code: flag }] }] : undefined,
+                method: result.formula ? { text: result.formula } : undefined,
+                note: result.working ? [{ text: result.working }] : undefined,
+                referenceRange: result.range ? [{ low: quantity(result.range[0], result.unit), high: quantity(result.range[1], result.unit) }] : undefined,
+                derivedFrom: measured.length ? measured : undefined
+            }) });
+        }
+
+        const sectionLabels = data.sectionLabels || ABGReport.SECTION_LABELS;
+        const narrative = Object.entries(data.sections || {})
+            .filter(([, text]) => typeof text === 'string' && text.trim())
+            .map(([key, text]) => `## ${sectionLabels[key] || key}\n\n${text}`)
+            .join('\n\n');
+        const handover = ABGReport.sbar(data);
+        const primary = interpretation.primaryDisorder ? interpretation.primaryDisorder.label : null;
+        const panel = PANELS[sampleType] || PANELS.default;
+        const model = data.model ? `${data.model.name || 'unknown model'}${data.model.provider ? ` (${data.model.provider})` : ''}` : null;
+
+        const presentedForm = [
+            { contentType: 'text/plain; charset=utf-8', title: 'SBAR handover', data: base64(handover.text) }
+        ];
+        if (narrative) {
+            presentedForm.push({
+                contentType: 'text/markdown; charset=utf-8',
+                title: data.source === 'ai' ? `Interpretation (AI narrative${model ? `, ${model}` : ''})` : 'Interpretation (rule-based)',
+                data: base64(narrative)
+            });
+        }
+        if (options.reportHtml) {
+            presentedForm.push({ contentType: 'text/html; charset=utf-8', title: 'Printable report', data: base64(options.reportHtml) });
+        }
+
+        const report = {
+            resourceType: 'DiagnosticReport',
+            status: 'final',
+            category: [{ coding: [{ system: REPORT_CATEGORY, code: 'LAB', display: 'Laboratory' }] }],
+            code: { coding: [{ system: LOINC, ...panel }], text: `${sampleType} blood gas interpretation` },
+            effectiveDateTime: effective,
+            issued,
+            result: results,
+            conclusion: [primary, ...(interpretation.mixedDisorders || [])].filter(Boolean).join('; ') || undefined,
+            text: { status: 'generated', div: narrativeDiv(handover.text) },
+            presentedForm
+        };
+        if (data.discrepancies && data.discrepancies.length) {
+            report.conclusion = `${report.conclusion ? `${report.conclusion}. ` : ''}AI narrative numbers that do not match the calculations: ${data.discrepancies.map(item => item.message).join('; ')}`;
+        }
+        entries.unshift({ fullUrl: `urn:uuid:${newId()}`, resource: report });
+
+        // The JSON round trip drops the optional elements left undefined, which FHIR does not allow as null
+        return {
+            resourceType: 'Bundle',
+            type: 'collection',
+            timestamp: issued,
+            entry: JSON.parse(JSON.stringify(entries))
+        };
+    }
+
+    return {
+        CODES,
+        CALCULATION_SYSTEM,
+        SPECIMEN_TYPES,
+        UCUM_UNITS,
+        FHIRError,
+        importBundle,
+        exportReport
+    };
+});
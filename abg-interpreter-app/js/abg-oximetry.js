@@ -0,0 +1,134 @@
+// Co-oximetry interpretation: carboxyhaemoglobin, methaemoglobin and the saturation gap,
+// with the toxicology advice we give for CO exposure and drug-induced methaemoglobinaemia.
+// COHb and MetHb are valid from venous samples; sO2 and the oxygen content are not.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'));
+    } else {
+        root.ABGOximetry = factory(root.ABGCalculations);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations) {
+    const { normalise, isVenous } = ABGCalculations;
+
+    // Non-smokers sit below 3%; heavy smokers can reach 10%
+    const COHB_LEVELS = [
+        { below: 3, level: 'normal', label: 'Normal' },
+        { below: 10, level: 'smoker-range', label: 'Raised - within the range seen in smokers' },
+        { below: 25, level: 'raised', label: 'Carbon monoxide exposure' },
+        { below: Infinity, level: 'severe', label: 'Severe carbon monoxide poisoning' }
+    ];
+
+    const METHB_LEVELS = [
+        { below: 2, level: 'normal', label: 'Normal' },
+        { below: 10, level: 'mild', label: 'Mildly raised - usually asymptomatic' },
+        { below: 20, level: 'moderate', label: 'Methaemoglobinaemia - cyanosis likely' },
+        { below: 30, level: 'raised', label: 'Symptomatic methaemoglobinaemia range' },
+        { below: Infinity, level: 'severe', label: 'Severe methaemoglobinaemia' }
+    ];
+
+    const band = (levels, value) => levels.find(item => value < item.below);
+
+    // Fire victims with raised COHb and lactate ≥ 8 mmol/L are treated for cyanide too
+    const CYANIDE_LACTATE = 8;
+
+    function carboxyhaemoglobin(v) {
+        if (v.cohb === null) return null;
+        const { level, label } = band(COHB_LEVELS, v.cohb);
+        const commentary = [];
+        if (level !== 'normal') {
+            commentary.push('COHb correlates poorly with severity and falls once oxygen is started - record the time since exposure and whether oxygen was given before the sample.');
+        }
+        if (level === 'raised' || level === 'severe') {
+            commentary.push('Give high-flow oxygen (15 L/min via non-rebreather) until COHb is below 3% and symptoms have resolved.');
+            commentary.push('Check ECG and troponin, assess neurology, and screen for other exposed household members.');
+            commentary.push('Discuss with TOXBASE/NPIS - hyperbaric oxygen is considered for loss of consciousness, neurological signs, cardiac ischaemia or pregnancy.');
+        }
+        if (level === 'smoker-range') {
+            commentary.push('A level of 3-10% is compatible with smoking; in a non-smoker it suggests CO exposure.');
+        }
+        return { value: v.cohb, level, label, commentary };
+    }
+
+    function methaemoglobin(v) {
+        if (v.methb === null) return null;
+        const { level, label } = band(METHB_LEVELS, v.methb);
+        const commentary = [];
+        if (level !== 'normal') {
+            commentary.push('Common causes: dapsone, nitrates/nitrites (including amyl nitrite "poppers"), topical and local anaesthetics (benzocaine, prilocaine), primaquine and rasburicase.');
+            commentary.push('SpO2 drifts towards 85% regardless of true oxygenation and the blood may look chocolate-brown.');
+        }
+        if (level === 'raised' || level === 'severe' || (level === 'moderate' && v.hb !== null && v.hb < 100)) {
+            commentary.push('Methylene blue 1-2 mg/kg IV is indicated above 30%, or above 20% with symptoms, anaemia or cardiorespiratory disease - check for G6PD deficiency and serotonergic drugs first.');
+        }
+        if (level !== 'normal' && level !== 'mild') {
+            commentary.push('Dapsone has a long half-life and causes rebound methaemoglobinaemia - repeat levels after treatment.');
+        }
+        return { value: v.methb, level, label, commentary };
+    }
+
+    function assess(values, options = {}) {
+        const v = normalise(values);
+        if (v.cohb === null && v.methb === null && v.so2 === null && v.spo2 === null) return null;
+        const calculations = options.calculations || ABGCalculations.calculate(values, { sampleType: options.sampleType });
+        const venous = isVenous(options.sampleType);
+
+        const cohb = carboxyhaemoglobin(v);
+        const methb = methaemoglobin(v);
+        const gap = calculations.saturationGap;
+        const alerts = [];
+        const commentary = [];
+
+        if (cohb && (cohb.level === 'raised' || cohb.level === 'severe')) {
+            alerts.push(`${cohb.label} (COHb ${v.cohb}%)`);
+            if (v.lactate !== null && v.lactate >= CYANIDE_LACTATE) {
+                alerts.push(`Raised COHb with lactate ${v.lactate} mmol/L - consider cyanide toxicity if smoke exposure (hydroxocobalamin)`);
+            }
+        }
+        if (methb && (methb.level === 'raised' || methb.level === 'severe')) {
+            alerts.push(`${methb.label} (MetHb ${v.methb}%)`);
+        }
+        if (gap && gap.flag === 'high') {
+            commentary.push(`Saturation gap ${gap.value}% - pulse oximetry is overestimating oxygenation; use co-oximetry values${cohb || methb ? '' : ' and measure COHb and MetHb'}.`);
+        }
+        if (calculations.oxygenContent && calculations.oxygenContent.flag === 'low') {
+            commentary.push(`Arterial O2 content is low (${calculations.oxygenContent.value} mL/dL)${calculations.oxygenContent.dyshaemoglobinAdjusted ? ' despite the pO2 - dyshaemoglobin is not carrying oxygen' : ''}.`);
+        }
+        if (venous && (v.so2 !== null || v.spo2 !== null)) {
+            commentary.push('Venous sample - COHb and MetHb are valid, but sO2 does not reflect arterial saturation, so the saturation gap and O2 content are not calculated.');
+        }
+
+        return {
+            label: 'Co-oximetry',
+            carboxyhaemoglobin: cohb,
+            methaemoglobin: methb,
+            saturationGap: gap || null,
+            oxygenContent: calculations.oxygenContent || null,
+            oxygenDelivery: calculations.oxygenDelivery || null,
+            alerts,
+            commentary
+        };
+    }
+
+    // Plain-text block for prompts and the offline report
+    function describe(assessment) {
+        const lines = [assessment.label];
+        for (const [name, item] of [['COHb', assessment.carboxyhaemoglobin], ['MetHb', assessment.methaemoglobin]]) {
+            if (!item) continue;
+            lines.push(`${name}: ${item.value}% - ${item.label}`);
+            lines.push(...item.commentary.map(line => `  ${line}`));
+        }
+        for (const key of ['saturationGap', 'oxygenContent', 'oxygenDelivery']) {
+            const result = assessment[key];
+            if (result) lines.push(`${result.label}: ${result.working}`);
+        }
+        lines.push(...assessment.commentary);
+        return lines.join('\n');
+    }
+
+    return {
+        COHB_LEVELS,
+        METHB_LEVELS,
+        assess,
+        describe
+    };
+});
@@ -0,0 +1,152 @@
+// Age- and sample-specific reference ranges. Gases in kPa, electrolytes in mmol/L.
+// resolveProfile() picks the population from the patient's age and the sample type;
+// cord samples always use the cord ranges whatever age was entered.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ABGReferenceRanges = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const ADULT = {
+        ph: [7.35, 7.45],
+        pco2: [4.7, 6.0],
+        po2: [10.0, 13.0],
+        hco3: [22, 26],
+        be: [-2, 2],
+        anionGap: [8, 12],
+        lactate: [0.5, 2.0],
+        potassium: [3.5, 5.3],
+        sodium: [135, 145],
+        glucose: [3.9, 7.8]
+    };
+
+    // Plausible-entry limits for the form's data-min/data-max validation
+    const ADULT_BOUNDS = {
+        ph: [6.5, 8.0],
+        pco2: [1.0, 25],
+        po2: [1.0, 100],
+        hco3: [2, 60],
+        sodium: [100, 180],
+        potassium: [1.5, 10],
+        chloride: [60, 140],
+        albumin: [10, 60],
+        lactate: [0, 30],
+        glucose: [1.0, 80],
+        calcium: [0.5, 2.0],
+        hb: [30, 250],
+        be: [-50, 50],
+        so2: [0, 100],
+        spo2: [0, 100],
+        cohb: [0, 80],
+        methb: [0, 80],
+        temperature: [25, 45],
+        cardiacOutput: [0.5, 20],
+        osmolality: [200, 500],
+        urea: [0.5, 100],
+        ethanol: [0, 200],
+        ketones: [0, 15]
+    };
+
+    const PROFILES = {
+        adult: {
+            label: 'Adult',
+            ranges: ADULT,
+            bounds: ADULT_BOUNDS,
+            compensation: 'standard',
+            notes: []
+        },
+        adolescent: {
+            label: 'Adolescent (12-17 years)',
+            ranges: ADULT,
+            bounds: ADULT_BOUNDS,
+            compensation: 'standard',
+            notes: []
+        },
+        child: {
+            label: 'Child (1-11 years)',
+            ranges: { ...ADULT, pco2: [4.3, 6.0], hco3: [20, 26], be: [-3, 3], potassium: [3.4, 4.7], glucose: [3.5, 7.8] },
+            bounds: { ...ADULT_BOUNDS, hb: [50, 200] },
+            compensation: 'standard',
+            notes: ["Winter's formula and the respiratory compensation rules apply from infancy onwards."]
+        },
+        infant: {
+            label: 'Infant (1-12 months)',
+            ranges: { ...ADULT, ph: [7.34, 7.46], pco2: [3.5, 5.5], hco3: [18, 24], be: [-4, 2], potassium: [4.1, 5.3], glucose: [3.3, 7.8] },
+            bounds: { ...ADULT_BOUNDS, hb: [60, 220] },
+            compensation: 'standard',
+            notes: ['Infants have a lower normal HCO3- and pCO2 than adults because of limited renal acid excretion.']
+        },
+        neonate: {
+            label: 'Neonate (0-28 days)',
+            ranges: { ...ADULT, ph: [7.32, 7.45], pco2: [3.5, 6.0], po2: [6.0, 10.0], hco3: [18, 24], be: [-5, 2], lactate: [0.5, 2.5], potassium: [3.7, 5.9], glucose: [2.6, 7.0] },
+            bounds: { ...ADULT_BOUNDS, hb: [80, 250], glucose: [0.5, 40], po2: [1.0, 60] },
+            compensation: 'neonatal',
+            notes: [
+                'Neonatal renal compensation is limited, so chronic respiratory compensation is slower and smaller than in adults.',
+                'Glucose below 2.6 mmol/L is treated as neonatal hypoglycaemia.'
+            ]
+        },
+        'cord-arterial': {
+            label: 'Umbilical cord arterial',
+            ranges: { ...ADULT, ph: [7.18, 7.38], pco2: [4.9, 10.7], po2: [0.8, 4.0], hco3: [17, 27], be: [-8, 0], lactate: [0.5, 5.0] },
+            bounds: { ...ADULT_BOUNDS, po2: [0.3, 10], pco2: [1.0, 20] },
+            compensation: 'cord',
+            notes: [
+                'Cord arterial blood reflects fetal acid-base status at delivery.',
+                'pH < 7.0 with base deficit ≥ 12 mmol/L indicates significant intrapartum metabolic acidosis.',
+                'A venous-arterial pH difference < 0.02 suggests both samples are from the same vessel.'
+            ]
+        },
+        'cord-venous': {
+            label: 'Umbilical cord venous',
+            ranges: { ...ADULT, ph: [7.25, 7.45], pco2: [3.5, 7.9], po2: [1.5, 5.5], hco3: [17, 25], be: [-7, 1], lactate: [0.5, 4.0] },
+            bounds: { ...ADULT_BOUNDS, po2: [0.3, 10], pco2: [1.0, 20] },
+            compensation: 'cord',
+            notes: [
+                'Cord venous blood reflects placental gas exchange rather than the fetus.',
+                'Interpret alongside a paired cord arterial sample where possible.'
+            ]
+        }
+    };
+
+    const SAMPLE_TYPES = ['Arterial', 'Venous', 'Capillary', 'Cord Arterial', 'Cord Venous'];
+
+    // Converts { age, ageUnit } into days; returns null when no age was given
+    function ageInDays(patient) {
+        if (!patient || patient.age === null || patient.age === undefined || patient.age === '') return null;
+        const age = parseFloat(patient.age);
+        if (!Number.isFinite(age) || age < 0) return null;
+        if (patient.ageUnit === 'days') return age;
+        if (patient.ageUnit === 'months') return age * 30.44;
+        return age * 365.25;
+    }
+
+    function profileKey(patient, sampleType) {
+        if (sampleType === 'Cord Arterial') return 'cord-arterial';
+        if (sampleType === 'Cord Venous') return 'cord-venous';
+        const days = ageInDays(patient);
+        if (days === null) return 'adult';
+        if (days <= 28) return 'neonate';
+        if (days < 365.25) return 'infant';
+        if (days < 12 * 365.25) return 'child';
+        if (days < 18 * 365.25) return 'adolescent';
+        return 'adult';
+    }
+
+    function resolveProfile({ patient, sampleType } = {}) {
+        const key = profileKey(patient, sampleType);
+        return { key, ...PROFILES[key] };
+    }
+
+    const formatRange = (range, unit) => `${range[0]}-${range[1]}${unit ? ` ${unit}` : ''}`;
+
+    return {
+        ADULT,
+        PROFILES,
+        SAMPLE_TYPES,
+        ageInDays,
+        resolveProfile,
+        formatRange
+    };
+});
@@ -0,0 +1,380 @@
+// Printable clinical report and SBAR handover summary for one analysis. The report is a
+// standalone HTML document (print it, or "Save as PDF" from the print dialog); the SBAR is
+// plain text of at most SBAR_MAX_WORDS words, built from the deterministic results only.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'), require('./abg-units'));
+    } else {
+        root.ABGReport = factory(root.ABGCalculations, root.ABGUnits);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations, ABGUnits) {
+    const { num, round } = ABGCalculations;
+
+    const SBAR_MAX_WORDS = 100;
+
+    // Report sections in the order analyze-stream sends them
+    const SECTION_LABELS = {
+        keyFindings: 'Key Findings',
+        compensationAnalysis: 'Compensation',
+        hhAnalysis: 'Henderson-Hasselbalch',
+        stewartAnalysis: 'Stewart Approach',
+        additionalCalculations: 'Additional Calculations',
+        differentials: 'Differential Diagnosis',
+        trendAnalysis: 'Serial Trend',
+        dkaAnalysis: 'DKA/HHS Protocol'
+    };
+
+    const DISCLAIMER = 'This tool is intended for educational and informational purposes only. It is not a substitute for professional medical advice, diagnosis, or treatment. All clinical decisions must be based on the independent judgment of a qualified healthcare professional.';
+
+    // Input values table, in printout order; units are the app's SI working units
+    const VALUE_ROWS = [
+        ['ph', 'pH', ''],
+        ['pco2', 'pCO2', 'kPa'],
+        ['po2', 'pO2', 'kPa'],
+        ['hco3', 'HCO3-', 'mmol/L'],
+        ['be', 'Base Excess', 'mmol/L'],
+        ['sodium', 'Na+', 'mmol/L'],
+        ['potassium', 'K+', 'mmol/L'],
+        ['chloride', 'Cl-', 'mmol/L'],
+        ['calcium', 'Ca2+ (ionised)', 'mmol/L'],
+        ['glucose', 'Glucose', 'mmol/L'],
+        ['lactate', 'Lactate', 'mmol/L'],
+        ['albumin', 'Albumin', 'g/L'],
+        ['hb', 'Hb', 'g/L'],
+        ['fio2', 'FiO2', '%'],
+        ['so2', 'sO2', '%'],
+        ['spo2', 'SpO2', '%'],
+        ['cohb', 'COHb', '%'],
+        ['methb', 'MetHb', '%'],
+        ['temperature', 'Temperature', '°C'],
+        ['ketones', 'Ketones', 'mmol/L'],
+        ['osmolality', 'Osmolality', 'mOsm/kg'],
+        ['urea', 'Urea', 'mmol/L'],
+        ['ethanol', 'Ethanol', 'mmol/L']
+    ];
+
+    // US reports give urea as blood urea nitrogen
+    const US_LABELS = {
+        urea: 'BUN'
+    };
+
+    // Reference ranges for the rows the age profile does not cover
+    const EXTRA_RANGES = {
+        chloride: [98, 106],
+        calcium: [1.15, 1.35],
+        albumin: [35, 50]
+    };
+
+    // Values that need action now; the same thresholds as the rule engine's alerts where it has one.
+    // [low, high] - a value below low or above high is critical; null means no limit on that side
+    const CRITICAL = {
+        ph: [7.2, 7.6],
+        potassium: [2.5, 6.4],
+        sodium: [120, 160],
+        glucose: [3, null],
+        lactate: [null, 3.9],
+        calcium: [0.8, 1.6],
+        cohb: [null, 10],
+        methb: [null, 20]
+    };
+
+    // Arterial-only, as a venous pO2 says nothing about oxygenation
+    const ARTERIAL_CRITICAL = {
+        po2: [8, null]
+    };
+
+    const escapeHtml = (text) => String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    // Display value and unit for an entered field; the US preset converts each field to its own
+    // US unit (glucose and lactate in mg/dL, ionised calcium in mg/dL, albumin and Hb in g/dL)
+    function display(key, value, unit, displayUnits) {
+        const field = ABGUnits.FIELDS[key];
+        if (!field) return { value, unit: unit || '' };
+        if (displayUnits !== 'US') return { value: round(value, field.dp), unit: field.canonical };
+        const usUnit = ABGUnits.PRESETS.US[key];
+        return { value: ABGUnits.fromCanonical(key, value, usUnit), unit: usUnit };
+    }
+
+    // The temperature-corrected pH, pCO2 and pO2: { key, parameter, label, value, unit }, the
+    // label reading "pH corrected to 33 °C". corrected: { temperature, strategy, values } from ABGTemperature.correctedValues
+    function correctedRows(corrected, displayUnits = 'SI') {
+        if (!corrected || !corrected.values) return [];
+        return VALUE_ROWS
+            .filter(([key]) => num(corrected.values[key]) !== null)
+            .map(([key, label, unit]) => ({
+                key,
+                parameter: label,
+                label: `${label} corrected to ${corrected.temperature} °C`,
+                ...display(key, num(corrected.values[key]), unit, displayUnits)
+            }));
+    }
+
+    // One row per entered value: { key, label, value, unit, range, flag, critical }
+    // where flag is 'low', 'high', 'normal' or null when there is no range
+    function valueRows(values, { ranges = {}, sampleType = 'Arterial', displayUnits = 'SI' } = {}) {
+        const critical = sampleType === 'Arterial' ? { ...CRITICAL, ...ARTERIAL_CRITICAL } : CRITICAL;
+        return VALUE_ROWS
+            .map(([key, label, unit]) => ({ key, label: (displayUnits === 'US' && US_LABELS[key]) || label, unit, value: num((values || {})[key]) }))
+            .filter(row => row.value !== null)
+            .map(row => {
+                const range = ranges[row.key] || EXTRA_RANGES[row.key] || null;
+                const limits = critical[row.key];
+                const shown = display(row.key, row.value, row.unit, displayUnits);
+                const shownRange = range ? range.map(limit => display(row.key, limit, row.unit, displayUnits).value) : null;
+                return {
+                    key: row.key,
+                    label: row.label,
+                    value: shown.value,
+                    unit: shown.unit,
+                    range: shownRange,
+                    flag: range ? (row.value < range[0] ? 'low' : row.value > range[1] ? 'high' : 'normal') : null,
+                    critical: Boolean(limits && ((limits[0] !== null && row.value < limits[0]) || (limits[1] !== null && row.value > limits[1])))
+                };
+            });
+    }
+
+    const words = (text) => String(text || '').split(/\s+/).filter(Boolean);
+    const wordCount = (text) => words(text).length;
+
+    function limitWords(text, limit) {
+        const list = words(text);
+        return list.length <= limit ? list.join(' ') : `${list.slice(0, limit).join(' ').replace(/[.,;:]$/, '')}…`;
+    }
+
+    const firstSentence = (text) => String(text || '').trim().split(/(?<=[.!?])\s+|\n/)[0] || '';
+
+    const RECOMMENDATIONS = {
+        'metabolic-acidosis': {
+            HAGMA: 'Check ketones, lactate, renal function and toxicology; treat the cause.',
+            NAGMA: 'Review GI losses and chloride load; consider urine anion gap.',
+            default: 'Send Na+, Cl- and HCO3- for the anion gap; treat the cause.'
+        },
+        'respiratory-acidosis': 'Assess airway and ventilation; consider NIV if pH < 7.35 with rising pCO2.',
+        'metabolic-alkalosis': 'Assess volume status; replace potassium and chloride.',
+        'respiratory-alkalosis': 'Find the cause of hyperventilation - PE, sepsis, pain, salicylates.',
+        'mixed-acidosis': 'Assess need for ventilatory support; treat the metabolic cause.',
+        'mixed-alkalosis': 'Assess volume status and the cause of hyperventilation.',
+        'respiratory-acidosis-metabolic-alkalosis': 'Assess ventilation and volume status.',
+        'metabolic-acidosis-respiratory-alkalosis': 'Consider salicylate toxicity or sepsis; check the anion gap.'
+    };
+
+    function recommendation(interpretation) {
+        const primary = interpretation.primaryDisorder ? interpretation.primaryDisorder.key : 'normal';
+        const advice = RECOMMENDATIONS[primary];
+        if (!advice) return 'Correlate with the clinical picture.';
+        if (typeof advice === 'string') return advice;
+        const type = interpretation.anionGap && interpretation.anionGap.type;
+        return advice[type] || advice.default;
+    }
+
+    // { text, words, parts: { situation, background, assessment, recommendation } } under SBAR_MAX_WORDS.
+    // data: { values (SI, at 37 °C), correctedValues, sampleType, interpretation, calculations, clinicalHistory, displayUnits }
+    function sbar(data) {
+        const interpretation = data.interpretation || {};
+        const values = data.values || {};
+        const sampleType = data.sampleType || interpretation.sampleType || 'Arterial';
+        const displayUnits = data.displayUnits || 'SI';
+        const alerts = interpretation.alerts || [];
+        const primary = interpretation.primaryDisorder || { key: 'normal', label: 'No acid-base disturbance' };
+
+        const situation = `${sampleType} gas: ${primary.label.toLowerCase()}` +
+            (interpretation.phStatus && interpretation.phStatus !== 'normal' ? ` with ${interpretation.phStatus}` : '') +
+            (alerts.length ? ' - critical result.' : '.');
+
+        const history = firstSentence(data.clinicalHistory);
+        const background = history ? limitWords(history, 20) : 'No clinical history given.';
+
+        const gas = [['ph', 'pH'], ['pco2', 'pCO2'], ['hco3', 'HCO3-'], ['be', 'BE']]
+            .filter(([key]) => num(values[key]) !== null)
+            .map(([key, label]) => {
+                const row = VALUE_ROWS.find(([rowKey]) => rowKey === key);
+                const shown = display(key, num(values[key]), row[2], displayUnits);
+                return `${label} ${shown.value}${shown.unit ? ` ${shown.unit}` : ''}`;
+            });
+        const findings = [gas.length ? gas.join(', ') : null];
+        // Under pH-stat the interpretation reads the corrected values, so they are handed over too
+        const corrected = data.correctedValues && data.correctedValues.strategy === 'ph-stat' ? correctedRows(data.correctedValues, displayUnits) : [];
+        if (corrected.length) {
+            findings.push(`Corrected to ${data.correctedValues.temperature} °C: ${corrected.map(row => `${row.parameter} ${row.value}${row.unit ? ` ${row.unit}` : ''}`).join(', ')}`);
+        }
+        const anionGap = interpretation.anionGap;
+        if (anionGap && anionGap.value !== null && anionGap.value !== undefined) {
+            findings.push(`${anionGap.corrected ? 'Albumin-corrected anion gap' : 'Anion gap'} ${anionGap.value}${anionGap.type ? ` (${anionGap.type})` : ''}`);
+        }
+        if (interpretation.compensation && interpretation.compensation.label) findings.push(interpretation.compensation.label);
+
+        const action = `${alerts.length ? 'Urgent senior review. ' : ''}${recommendation(interpretation)} Repeat gas after treatment.`;
+
+        const render = (parts) => `S: ${parts.situation}\nB: ${parts.background}\nA: ${parts.assessment}\nR: ${parts.recommendation}`;
+        const compose = (mixed, alertLines, backgroundText) => ({
+            situation,
+            background: backgroundText,
+            assessment: [...findings.filter(Boolean), ...alertLines, ...mixed].map(item => (/[.…]$/.test(item) ? item : `${item}.`)).join(' '),
+            recommendation: action
+        });
+
+        // Shortened in order while over the limit: mixed-disorder notes, the history, then the
+        // alerts from the last, and finally the assessment itself
+        const mixed = interpretation.mixedDisorders || [];
+        const steps = [
+            () => compose(mixed, alerts, background),
+            () => compose([], alerts, background),
+            () => compose([], alerts, limitWords(background, 10)),
+            ...alerts.map((alert, index) => () => compose([], alerts.slice(0, alerts.length - 1 - index), limitWords(background, 10)))
+        ];
+        let parts = steps[0]();
+        for (const step of steps) {
+            parts = step();
+            if (wordCount(render(parts)) <= SBAR_MAX_WORDS) break;
+        }
+        const excess = wordCount(render(parts)) - SBAR_MAX_WORDS;
+        if (excess > 0) parts = { ...parts, assessment: limitWords(parts.assessment, Math.max(0, wordCount(parts.assessment) - excess)) };
+        const text = render(parts);
+        return { text, words: wordCount(text), parts };
+    }
+
+    // Minimal markdown for environments without a renderer: paragraphs, line breaks and **bold**
+    function basicMarkdown(text) {
+        return String(text || '')
+            .split(/\n{2,}/)
+            .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>').replace(/\n/g, '<br>')}</p>`)
+            .join('\n');
+    }
+
+    const STYLES = `
+        @page { size: A4; margin: 15mm; }
+        body { font-family: Arial, Helvetica, sans-serif; font-size: 10.5pt; color: #111; max-width: 180mm; margin: 0 auto; }
+        h1 { font-size: 16pt; color: #0A2240; margin: 0; }
+        h2 { font-size: 12pt; color: #0A2240; border-bottom: 1px solid #ccc; padding-bottom: 2pt; margin: 14pt 0 6pt; }
+        h3 { font-size: 10.5pt; margin: 10pt 0 3pt; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 3pt 5pt; border-bottom: 1px solid #e5e5e5; vertical-align: top; }
+        th { font-size: 9pt; color: #555; }
+        .meta td { border: none; padding: 1pt 5pt 1pt 0; }
+        .abnormal { font-weight: bold; }
+        .critical { font-weight: bold; color: #B91C1C; }
+        .working { font-size: 8.5pt; color: #666; }
+        .sbar { border: 1.5pt solid #0A2240; padding: 6pt 8pt; white-space: pre-wrap; }
+        .warning { border-left: 3pt solid #B91C1C; padding: 4pt 8pt; background: #FEF2F2; }
+        .section { page-break-inside: avoid; }
+        .disclaimer { margin-top: 16pt; font-size: 8.5pt; color: #555; border-top: 1px solid #ccc; padding-top: 6pt; }
+        @media print { .no-print { display: none; } }
+    `;
+
+    // "-2 to 2" rather than "-2-2" when a limit is negative
+    const formatRange = (range) => (range[0] < 0 || range[1] < 0 ? `${range[0]} to ${range[1]}` : `${range[0]}-${range[1]}`);
+
+    const flagText = (row) => (row.critical ? 'CRITICAL' : { low: 'L', high: 'H' }[row.flag] || '');
+
+    // data: { values (SI, at 37 °C), correctedValues, sampleType, interpretation, calculations, sections { key: text },
+    //         sectionLabels { key: label }, sectionSources, source, notice, model, discrepancies,
+    //         clinicalHistory, generatedAt, displayUnits }
+    // options.renderMarkdown(text) returns trusted HTML; input is escaped before it is called
+    function toHtml(data, options = {}) {
+        const renderMarkdown = options.renderMarkdown || ((text) => basicMarkdown(text));
+        const interpretation = data.interpretation || {};
+        const displayUnits = data.displayUnits || 'SI';
+        const sampleType = data.sampleType || interpretation.sampleType || 'Arterial';
+        const generatedAt = new Date(data.generatedAt || Date.now());
+        const rows = valueRows(data.values, { ranges: interpretation.ranges, sampleType, displayUnits });
+        const corrected = correctedRows(data.correctedValues, displayUnits);
+        const handover = sbar(data);
+
+        const model = data.model
+            ? `${data.model.name || 'unknown model'}${data.model.provider ? ` (${data.model.provider})` : ''}`
+            : null;
+        const source = data.source === 'ai'
+            ? `AI narrative${model ? ` - ${model}` : ''}, checked against local calculations`
+            : 'Offline rule engine (no AI)';
+
+        const meta = [
+            ['Sample type', sampleType],
+            ['Reference ranges', interpretation.profile ? interpretation.profile.label : 'Adult'],
+            ['Generated', generatedAt.toLocaleString()],
+            ['Interpretation', source],
+            ...(corrected.length ? [['Temperature', `Patient ${data.correctedValues.temperature} °C - ${data.correctedValues.strategy === 'ph-stat' ? 'pH-stat, interpreted on the corrected values' : 'alpha-stat, interpreted on the 37 °C values'}`]] : []),
+            ['Units', displayUnits === 'US' ? 'US (mmHg, mEq/L, mg/dL)' : 'SI (kPa, mmol/L)']
+        ];
+
+        const valueTable = rows.map(row => {
+            const className = row.critical ? 'critical' : row.flag && row.flag !== 'normal' ? 'abnormal' : '';
+            return `<tr${className ? ` class="${className}"` : ''}><td>${escapeHtml(row.label)}</td><td>${escapeHtml(row.value)}</td><td>${escapeHtml(row.unit)}</td>` +
+                `<td>${row.range ? escapeHtml(formatRange(row.range)) : ''}</td><td>${flagText(row)}</td></tr>`;
+        }).join('\n');
+
+        const correctedTable = corrected.map(row => `<tr><td>${escapeHtml(row.label)}</td><td>${escapeHtml(row.value)}</td><td>${escapeHtml(row.unit)}</td></tr>`).join('\n');
+
+        // Results are converted per field for US units; the working stays in the SI units it was calculated in,
+        // so it is labelled wherever the result's unit changed
+        const calculationRows = Object.entries(data.calculations || {})
+            .filter(([, result]) => result)
+            .map(([key, result]) => {
+                const shown = (value) => ABGUnits.displayResult(key, value, result.unit, displayUnits);
+                const value = result.low !== undefined && result.high !== undefined
+                    ? `${shown(result.low).value}-${shown(result.high).value}`
+                    : shown(result.value).value;
+                const unit = shown(result.value).unit || '';
+                const working = result.working && unit !== (result.unit || '') ? `${result.working} (SI)` : result.working || '';
+                const flagged = result.flag && result.flag !== 'normal';
+                return `<tr${flagged ? ' class="abnormal"' : ''}><td>${escapeHtml(result.label)}</td><td>${escapeHtml(`${value}${unit ? ` ${unit}` : ''}`)}</td>` +
+                    `<td class="working">${escapeHtml(working)}</td></tr>`;
+            }).join('\n');
+
+        const sectionLabels = data.sectionLabels || SECTION_LABELS;
+        const sections = Object.entries(data.sections || {})
+            .filter(([, text]) => typeof text === 'string' && text.trim())
+            .map(([key, text]) => {
+                const ruleBased = data.source === 'ai' && data.sectionSources && data.sectionSources[key] === 'rules';
+                return `<div class="section"><h3>${escapeHtml(sectionLabels[key] || key)}${ruleBased ? ' <span class="working">(rule-based)</span>' : ''}</h3>\n${renderMarkdown(escapeHtml(text))}</div>`;
+            }).join('\n');
+
+        const discrepancies = (data.discrepancies || []).map(item => `<li>${escapeHtml(item.message)}</li>`).join('');
+        const alerts = (interpretation.alerts || []).map(item => `<li>${escapeHtml(item)}</li>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>ABG/VBG Interpretation - ${escapeHtml(generatedAt.toISOString().slice(0, 16).replace('T', ' '))}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>ABG/VBG Interpretation Report</h1>
+<table class="meta">${meta.map(([label, value]) => `<tr><td><strong>${escapeHtml(label)}</strong></td><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+${data.notice ? `<p class="warning">${escapeHtml(data.notice)}</p>` : ''}
+<h2>SBAR Handover</h2>
+<div class="sbar">${escapeHtml(handover.text)}</div>
+${alerts ? `<h2>Critical Findings</h2>\n<ul class="critical">${alerts}</ul>` : ''}
+<h2>Results${corrected.length ? ' (measured at 37 °C)' : ''}</h2>
+<table>
+<thead><tr><th>Parameter</th><th>Result</th><th>Unit</th><th>Reference</th><th>Flag</th></tr></thead>
+<tbody>
+${valueTable}
+</tbody>
+</table>
+${correctedTable ? `<h3>Corrected to ${escapeHtml(data.correctedValues.temperature)} °C</h3>\n<table>\n<tbody>\n${correctedTable}\n</tbody>\n</table>` : ''}
+${calculationRows ? `<h2>Calculated Values</h2>\n<table>\n<tbody>\n${calculationRows}\n</tbody>\n</table>` : ''}
+${discrepancies ? `<div class="warning"><strong>Numbers in the AI narrative that do not match the local calculations:</strong><ul>${discrepancies}</ul>The calculated values above take precedence.</div>` : ''}
+${sections ? `<h2>Interpretation</h2>\n${sections}` : ''}
+<p class="disclaimer"><strong>Disclaimer:</strong> ${escapeHtml(DISCLAIMER)}</p>
+</body>
+</html>
+`;
+    }
+
+    return {
+        SBAR_MAX_WORDS,
+        SECTION_LABELS,
+        DISCLAIMER,
+        CRITICAL,
+        escapeHtml,
+        valueRows,
+        correctedRows,
+        sbar,
+        toHtml
+    };
+});
@@ -0,0 +1,419 @@
+// Rule-based acid-base interpretation. Produces the same structured result in the browser
+// and in analyze.js, so a complete interpretation is available without any network call.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'), require('./abg-reference-ranges'), require('./abg-venous'),
+            require('./abg-oximetry'), require('./abg-toxic-alcohols'), require('./abg-temperature'), require('./abg-ventilation'),
+            require('./abg-trends'), require('./abg-dka'));
+    } else {
+        root.ABGRules = factory(root.ABGCalculations, root.ABGReferenceRanges, root.ABGVenous, root.ABGOximetry, root.ABGToxicAlcohols,
+            root.ABGTemperature, root.ABGVentilation, root.ABGTrends, root.ABGDKA);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations, ABGReferenceRanges, ABGVenous, ABGOximetry, ABGToxicAlcohols,
+    ABGTemperature, ABGVentilation, ABGTrends, ABGDKA) {
+    const { KPA_TO_MMHG, normalise, round, calculate, wintersFormula } = ABGCalculations;
+
+    const NORMAL_PCO2_MMHG = 40;
+    const NORMAL_HCO3 = 24;
+
+    const DISORDERS = {
+        'metabolic-acidosis': 'Metabolic acidosis',
+        'metabolic-alkalosis': 'Metabolic alkalosis',
+        'respiratory-acidosis': 'Respiratory acidosis',
+        'respiratory-alkalosis': 'Respiratory alkalosis',
+        'mixed-acidosis': 'Mixed respiratory and metabolic acidosis',
+        'mixed-alkalosis': 'Mixed respiratory and metabolic alkalosis',
+        'respiratory-acidosis-metabolic-alkalosis': 'Respiratory acidosis with metabolic alkalosis',
+        'metabolic-acidosis-respiratory-alkalosis': 'Metabolic acidosis with respiratory alkalosis',
+        'normal': 'No acid-base disturbance'
+    };
+
+    const DIFFERENTIALS = {
+        hagma: [
+            'Lactic acidosis (sepsis, hypoperfusion, ischaemia, metformin)',
+            'Ketoacidosis (diabetic, alcoholic, starvation)',
+            'Acute kidney injury / uraemia',
+            'Toxic alcohols (methanol, ethylene glycol)',
+            'Salicylate, paracetamol (5-oxoproline) or iron toxicity'
+        ],
+        nagma: [
+            'Gastrointestinal bicarbonate loss (diarrhoea, high-output stoma or fistula)',
+            'Iatrogenic hyperchloraemia from 0.9% saline',
+            'Renal tubular acidosis',
+            'Carbonic anhydrase inhibitors (acetazolamide)',
+            'Early renal failure or ureteric diversion'
+        ],
+        'metabolic-alkalosis': [
+            'Vomiting or nasogastric losses',
+            'Diuretic therapy',
+            'Hypokalaemia / mineralocorticoid excess',
+            'Post-hypercapnic alkalosis',
+            'Exogenous bicarbonate or citrate load'
+        ],
+        'respiratory-acidosis': [
+            'Acute or chronic obstructive airways disease',
+            'CNS depression (opioids, sedatives, head injury)',
+            'Neuromuscular weakness or fatigue',
+            'Chest wall restriction or obesity hypoventilation',
+            'Inadequate mechanical ventilation'
+        ],
+        'respiratory-alkalosis': [
+            'Anxiety or pain',
+            'Hypoxaemia (pneumonia, pulmonary embolism, pulmonary oedema)',
+            'Sepsis',
+            'Early salicylate toxicity',
+            'Pregnancy, liver failure or CNS pathology'
+        ]
+    };
+
+    const status = (value, range) => {
+        if (value === null) return null;
+        if (value < range[0]) return 'low';
+        if (value > range[1]) return 'high';
+        return 'normal';
+    };
+
+    function classifyPrimary(v, ranges, ag) {
+        const ph = status(v.ph, ranges.ph);
+        const pco2 = status(v.pco2, ranges.pco2);
+        const hco3 = status(v.hco3, ranges.hco3);
+        const raisedGap = ag !== null && ag > ranges.anionGap[1];
+
+        if (ph === 'low') {
+            if (pco2 === 'high' && hco3 === 'low') return 'mixed-acidosis';
+            if (pco2 === 'high') return 'respiratory-acidosis';
+            return 'metabolic-acidosis';
+        }
+        if (ph === 'high') {
+            if (pco2 === 'low' && hco3 === 'high') return 'mixed-alkalosis';
+            if (pco2 === 'low') return 'respiratory-alkalosis';
+            return 'metabolic-alkalosis';
+        }
+        // Normal pH: opposing disorders cancel out, the side of 7.40 suggests which is primary
+        if (pco2 === 'high' && hco3 === 'high') return 'respiratory-acidosis-metabolic-alkalosis';
+        if (pco2 === 'low' && hco3 === 'low') return 'metabolic-acidosis-respiratory-alkalosis';
+        if (raisedGap) return 'metabolic-acidosis';
+        return 'normal';
+    }
+
+    // Cord gases have no compensation to assess; pCO2 and base deficit separate respiratory from metabolic acidaemia
+    function classifyCord(v, ranges) {
+        if (status(v.ph, ranges.ph) !== 'low') return 'normal';
+        const respiratory = status(v.pco2, ranges.pco2) === 'high';
+        const metabolic = v.be !== null ? v.be < ranges.be[0] : status(v.hco3, ranges.hco3) === 'low';
+        if (respiratory && metabolic) return 'mixed-acidosis';
+        if (respiratory) return 'respiratory-acidosis';
+        return 'metabolic-acidosis';
+    }
+
+    const midpoint = (range) => (range[0] + range[1]) / 2;
+
+    // Expected compensation for the primary process, compared with what was measured. Neonates
+    // compensate around their own normal pCO2 and HCO3-, and their kidneys retain less bicarbonate,
+    // so any renal response short of the adult chronic value is read as chronic compensation
+    function assessCompensation(primary, v, winters, profile) {
+        if (v.pco2 === null) return null;
+        const pco2MmHg = v.pco2 * KPA_TO_MMHG;
+        const neonatal = Boolean(profile && profile.compensation === 'neonatal');
+        const normalHco3 = neonatal ? midpoint(profile.ranges.hco3) : NORMAL_HCO3;
+        const normalPco2MmHg = neonatal ? midpoint(profile.ranges.pco2) * KPA_TO_MMHG : NORMAL_PCO2_MMHG;
+        const baseline = neonatal
+            ? ` from the neonatal normal (pCO2 ${round(normalPco2MmHg / KPA_TO_MMHG, 2)} kPa, HCO3- ${normalHco3} mmol/L)`
+            : '';
+
+        if (primary === 'metabolic-acidosis' || primary === 'metabolic-acidosis-respiratory-alkalosis') {
+            if (!winters) return null;
+            const verdicts = {
+                within: 'Appropriate respiratory compensation',
+                above: 'Inadequate respiratory compensation - concurrent respiratory acidosis',
+                below: 'Excessive fall in pCO2 - concurrent respiratory alkalosis'
+            };
+            return {
+                rule: neonatal ? "Winter's formula (adult-derived; neonatal data are limited)" : "Winter's formula",
+                expected: { low: winters.low, high: winters.high, unit: 'kPa' },
+                actual: v.pco2,
+                verdict: winters.comparison,
+                label: verdicts[winters.comparison],
+                concurrent: { above: 'Concurrent respiratory acidosis', below: 'Concurrent respiratory alkalosis' }[winters.comparison] || null
+            };
+        }
+
+        if (primary === 'metabolic-alkalosis') {
+            const expectedMmHg = 0.7 * (v.hco3 - normalHco3) + normalPco2MmHg;
+            const low = round((expectedMmHg - 2) / KPA_TO_MMHG, 2);
+            const high = round((expectedMmHg + 2) / KPA_TO_MMHG, 2);
+            const verdict = v.pco2 < low ? 'below' : v.pco2 > high ? 'above' : 'within';
+            const labels = {
+                within: 'Appropriate respiratory compensation',
+                above: 'pCO2 higher than expected - concurrent respiratory acidosis',
+                below: 'pCO2 lower than expected - concurrent respiratory alkalosis'
+            };
+            return {
+                rule: `pCO2 rises 0.7 mmHg per 1 mmol/L rise in HCO3-${baseline}`,
+                expected: { low, high, unit: 'kPa' },
+                actual: v.pco2,
+                verdict,
+                label: labels[verdict],
+                concurrent: { above: 'Concurrent respiratory acidosis', below: 'Concurrent respiratory alkalosis' }[verdict] || null
+            };
+        }
+
+        if (primary === 'respiratory-acidosis' || primary === 'respiratory-alkalosis' ||
+            primary === 'respiratory-acidosis-metabolic-alkalosis') {
+            if (v.hco3 === null) return null;
+            const delta = (pco2MmHg - normalPco2MmHg) / 10;
+            // HCO3 change per 10 mmHg pCO2: acidosis acute 1 / chronic 3.5, alkalosis acute 2 / chronic 5
+            const acidosis = delta > 0;
+            const acute = round(normalHco3 + delta * (acidosis ? 1 : 2), 1);
+            const chronic = round(normalHco3 + delta * (acidosis ? 3.5 : 5), 1);
+            const low = Math.min(acute, chronic) - 2;
+            const high = Math.max(acute, chronic) + 2;
+            let verdict;
+            let label;
+            if (v.hco3 > high) {
+                verdict = 'above';
+                label = 'HCO3- higher than compensation predicts - concurrent metabolic alkalosis';
+            } else if (v.hco3 < low) {
+                verdict = 'below';
+                label = 'HCO3- lower than compensation predicts - concurrent metabolic acidosis';
+            } else if (Math.abs(v.hco3 - acute) <= 2) {
+                verdict = 'acute';
+                label = 'Consistent with an acute (uncompensated) respiratory disorder';
+            } else if (Math.abs(v.hco3 - chronic) <= 2) {
+                verdict = 'chronic';
+                label = 'Consistent with a chronic (renally compensated) respiratory disorder';
+            } else if (neonatal) {
+                verdict = 'chronic';
+                label = 'Partial renal compensation - consistent with a chronic respiratory disorder, as neonatal renal compensation is smaller than the adult rule predicts';
+            } else {
+                verdict = 'acute-on-chronic';
+                label = 'Between acute and chronic expectations - acute-on-chronic or evolving compensation';
+            }
+            return {
+                rule: `${acidosis ? 'HCO3- rises 1 (acute) or 3.5 (chronic) per 10 mmHg pCO2' : 'HCO3- falls 2 (acute) or 5 (chronic) per 10 mmHg pCO2'}${baseline}`,
+                expected: { acute, chronic, unit: 'mmol/L' },
+                actual: v.hco3,
+                verdict,
+                label,
+                concurrent: { above: 'Concurrent metabolic alkalosis', below: 'Concurrent metabolic acidosis' }[verdict] || null
+            };
+        }
+
+        return null;
+    }
+
+    function interpret(values, options = {}) {
+        const profile = options.profile || ABGReferenceRanges.resolveProfile(options);
+        const ranges = profile.ranges;
+        const cord = profile.compensation === 'cord';
+        const calculations = options.calculations || calculate(values, { sampleType: options.sampleType });
+
+        // Peripheral venous samples are classified on their estimated arterial pH, pCO2 and HCO3-
+        const estimatedArterial = ABGVenous.estimateArterial(values, options.sampleType);
+        const v = normalise(ABGVenous.arterialised(values, estimatedArterial));
+        const winters = estimatedArterial ? wintersFormula(v) : calculations.wintersFormula;
+
+        // Fall back to the Henderson-Hasselbalch HCO3 when the analyser did not report one
+        if (v.hco3 === null && calculations.hendersonHasselbalch) {
+            v.hco3 = calculations.hendersonHasselbalch.value;
+        }
+
+        const gap = calculations.correctedAnionGap || calculations.anionGap;
+        const gapValue = gap ? gap.value : null;
+        const primary = cord ? classifyCord(v, ranges) : classifyPrimary(v, ranges, gapValue);
+        const compensation = cord ? null : assessCompensation(primary, v, winters, profile);
+
+        const mixedDisorders = [];
+        if (compensation && compensation.concurrent) mixedDisorders.push(compensation.concurrent);
+
+        // Anion gap classification applies to any metabolic acidosis component
+        const metabolicAcidosis = ['metabolic-acidosis', 'mixed-acidosis', 'metabolic-acidosis-respiratory-alkalosis'].includes(primary);
+        let anionGap = null;
+        if (gap) {
+            const raised = gap.value > ranges.anionGap[1];
+            anionGap = {
+                value: gap.value,
+                corrected: gap === calculations.correctedAnionGap,
+                type: raised ? 'HAGMA' : metabolicAcidosis ? 'NAGMA' : null
+            };
+            if (raised && !metabolicAcidosis) {
+                mixedDisorders.push('Raised anion gap - concealed high anion gap metabolic acidosis');
+            }
+        }
+
+        let deltaRatio = null;
+        if (calculations.deltaRatio && anionGap && anionGap.type === 'HAGMA') {
+            deltaRatio = {
+                value: calculations.deltaRatio.value,
+                interpretation: calculations.deltaRatio.interpretation
+            };
+            if (deltaRatio.value < 0.8) mixedDisorders.push('Concurrent normal anion gap metabolic acidosis');
+            if (deltaRatio.value > 2) mixedDisorders.push('Concurrent metabolic alkalosis or chronic respiratory acidosis');
+        }
+
+        const differentials = [];
+        if (anionGap && anionGap.type === 'HAGMA') differentials.push(...DIFFERENTIALS.hagma);
+        if (anionGap && anionGap.type === 'NAGMA') differentials.push(...DIFFERENTIALS.nagma);
+        if (primary.includes('metabolic-alkalosis') || primary === 'mixed-alkalosis') differentials.push(...DIFFERENTIALS['metabolic-alkalosis']);
+        if (primary.includes('respiratory-acidosis') || primary === 'mixed-acidosis') differentials.push(...DIFFERENTIALS['respiratory-acidosis']);
+        if (primary.includes('respiratory-alkalosis') || primary === 'mixed-alkalosis') differentials.push(...DIFFERENTIALS['respiratory-alkalosis']);
+        if (metabolicAcidosis && !anionGap) differentials.push('Anion gap unavailable - send Na+, Cl- and HCO3- to classify the acidosis');
+
+        const alerts = [];
+        if (v.ph !== null && v.ph < 7.2) alerts.push(`Severe acidaemia (pH ${v.ph})`);
+        if (v.ph !== null && v.ph > 7.6) alerts.push(`Severe alkalaemia (pH ${v.ph})`);
+        if (v.potassium !== null && v.potassium >= 6.5) alerts.push(`Severe hyperkalaemia (K+ ${v.potassium} mmol/L)`);
+        if (v.potassium !== null && v.potassium < 2.5) alerts.push(`Severe hypokalaemia (K+ ${v.potassium} mmol/L)`);
+        if (v.lactate !== null && v.lactate >= 4) alerts.push(`Lactate ${v.lactate} mmol/L - consider septic shock / hypoperfusion`);
+        if (v.glucose !== null && v.glucose < Math.min(3, ranges.glucose[0])) alerts.push(`Hypoglycaemia (glucose ${v.glucose} mmol/L)`);
+        if (v.po2 !== null && v.po2 < 8 && (!options.sampleType || options.sampleType === 'Arterial')) alerts.push(`Respiratory failure - pO2 ${v.po2} kPa`);
+        if (cord && profile.key === 'cord-arterial' && v.ph !== null && v.ph < 7.0 && v.be !== null && v.be <= -12) {
+            alerts.push('Significant intrapartum metabolic acidosis (pH < 7.0, base deficit ≥ 12) - assess for hypoxic-ischaemic encephalopathy and cooling criteria');
+        }
+        if (profile.compensation === 'neonatal' && v.pco2 !== null && v.pco2 > 8) {
+            alerts.push(`Neonatal hypercapnia (pCO2 ${v.pco2} kPa) - review ventilation`);
+        }
+        const oximetry = ABGOximetry.assess(values, { calculations, sampleType: options.sampleType });
+        if (oximetry) alerts.push(...oximetry.alerts);
+        if (oximetry && oximetry.carboxyhaemoglobin && oximetry.carboxyhaemoglobin.level !== 'normal' && anionGap && anionGap.type === 'HAGMA') {
+            differentials.unshift(`Carbon monoxide - tissue hypoxia and lactic acidosis (COHb ${v.cohb}%)`);
+        }
+        const toxicAlcohol = ABGToxicAlcohols.assess(values, { calculations, anionGap });
+        if (toxicAlcohol && toxicAlcohol.likelihood === 'high') {
+            const osmolar = toxicAlcohol.ethanolCorrectedOsmolarGap || toxicAlcohol.osmolarGap;
+            alerts.push(`Toxic alcohol poisoning likely - osmolar gap ${osmolar.value} mOsm/kg${toxicAlcohol.hagma ? ' with high anion gap acidosis' : ''}`);
+        }
+        if (v.lactate !== null && v.lactate > ranges.lactate[1] && anionGap && anionGap.type === 'HAGMA') {
+            differentials.unshift(`Lactic acidosis is likely contributing (lactate ${v.lactate} mmol/L)`);
+        }
+        if (v.glucose !== null && v.glucose > 11 && anionGap && anionGap.type === 'HAGMA') {
+            differentials.unshift(`Diabetic ketoacidosis - check blood ketones (glucose ${v.glucose} mmol/L)`);
+        }
+
+        return {
+            source: 'rules',
+            profile: { key: profile.key, label: profile.label, notes: profile.notes },
+            sampleType: options.sampleType || 'Arterial',
+            estimatedArterial,
+            phStatus: status(v.ph, ranges.ph) === 'low' ? 'acidaemia' : status(v.ph, ranges.ph) === 'high' ? 'alkalaemia' : 'normal',
+            primaryDisorder: { key: primary, label: DISORDERS[primary] },
+            compensation,
+            mixedDisorders: [...new Set(mixedDisorders)],
+            anionGap,
+            deltaRatio,
+            differentials: [...new Set(differentials)],
+            alerts,
+            oximetry,
+            toxicAlcohol,
+            ranges
+        };
+    }
+
+    const bullet = (items) => items.map(item => `• ${item}`).join('\n');
+
+    const describe = (label, value, unit, range, flagWord) => {
+        if (value === null) return null;
+        const state = status(value, range);
+        const text = `${label}: ${value}${unit ? ` ${unit}` : ''} (${range[0]}-${range[1]})`;
+        return state === 'normal' ? `${text} - Normal` : `${text} - **${flagWord[state]}**`;
+    };
+
+    // Renders an interpretation into the six report sections the AI normally writes, plus the
+    // temperature, ventilation, trend and DKA results when the request has them (`extras`)
+    function toSections(interpretation, values, calculations, extras = {}) {
+        const estimate = interpretation.estimatedArterial;
+        const v = normalise(ABGVenous.arterialised(values, estimate));
+        const est = estimate ? 'Estimated arterial ' : '';
+        const r = interpretation.ranges;
+        const c = calculations || calculate(values, { sampleType: interpretation.sampleType });
+        const comp = interpretation.compensation;
+
+        const headline = `This patient has **${interpretation.primaryDisorder.label.toLowerCase()}**` +
+            (interpretation.phStatus !== 'normal' ? ` with ${interpretation.phStatus}` : '') +
+            (interpretation.anionGap && interpretation.anionGap.type ? ` (${interpretation.anionGap.type === 'HAGMA' ? 'high' : 'normal'} anion gap)` : '') + '.';
+
+        const profile = interpretation.profile;
+        const keyFindings = [
+            profile.key !== 'adult' ? `${profile.label} reference ranges applied.\n${headline}` : headline,
+            interpretation.mixedDisorders.length ? `Additional processes: ${interpretation.mixedDisorders.join('; ')}.` : '',
+            interpretation.alerts.length ? `**Critical findings:**\n${bullet(interpretation.alerts)}` : '',
+            profile.notes.length ? bullet(profile.notes) : '',
+            'This interpretation was generated by the offline rule engine. It covers acid-base classification and calculations only - correlate with the clinical picture.'
+        ].filter(Boolean).join('\n\n');
+
+        let compensationAnalysis;
+        if (profile.key.startsWith('cord')) {
+            compensationAnalysis = 'Compensation rules do not apply to cord gases - the placenta, not the fetal lungs or kidneys, clears acid. Acidaemia is classed as respiratory (raised pCO2) or metabolic (base deficit) instead.';
+        } else if (!comp) {
+            compensationAnalysis = interpretation.primaryDisorder.key === 'normal'
+                ? 'No primary acid-base disorder identified, so no compensation is expected.'
+                : 'Compensation could not be assessed - HCO3- or pCO2 is missing.';
+        } else if (comp.expected.unit === 'kPa') {
+            compensationAnalysis = `${comp.rule}: expected pCO2 ${comp.expected.low}-${comp.expected.high} kPa, measured ${comp.actual} kPa.\n${comp.label}.`;
+        } else {
+            compensationAnalysis = `${comp.rule}: expected HCO3- ${comp.expected.acute} mmol/L if acute, ${comp.expected.chronic} mmol/L if chronic; measured ${comp.actual} mmol/L.\n${comp.label}.`;
+        }
+
+        const words = { low: 'Low', high: 'High' };
+        const hhLines = [
+            'Henderson-Hasselbalch Analysis',
+            estimate ? 'Venous sample - classified on estimated arterial values.' : null,
+            describe(`${est}pH`, v.ph, null, r.ph, words),
+            describe(`${est}pCO2`, v.pco2, 'kPa', r.pco2, { low: 'Low', high: 'Elevated' }),
+            describe(`${est}HCO3-`, v.hco3, 'mmol/L', r.hco3, words),
+            describe('Base Excess', v.be, 'mmol/L', r.be, { low: 'Negative', high: 'Positive' }),
+            '',
+            'Calculated Values:',
+            ...['anionGap', 'correctedAnionGap', 'deltaRatio', 'hendersonHasselbalch']
+                .filter(key => c[key])
+                .map(key => `${c[key].label} = ${c[key].formula} = ${c[key].working}${c[key].unit ? ` ${c[key].unit}` : ''}`),
+            interpretation.deltaRatio ? `Delta Ratio Clinical Interpretation: ${interpretation.deltaRatio.interpretation}` : ''
+        ];
+
+        const stewartLines = ['sidApparent', 'sidEffective', 'strongIonGap']
+            .filter(key => c[key])
+            .map(key => `${c[key].label} = ${c[key].formula} = ${c[key].working} ${c[key].unit}`);
+
+        const additionalLines = ['pfRatio', 'aaGradient']
+            .filter(key => c[key])
+            .map(key => `${c[key].label} = ${c[key].working}${c[key].severity ? ` - ${c[key].severity}` : ''}`);
+
+        const sections = {
+            keyFindings,
+            compensationAnalysis,
+            hhAnalysis: hhLines.filter(line => line !== null).join('\n').trim(),
+            stewartAnalysis: stewartLines.length
+                ? `Stewart Physicochemical Analysis\n${stewartLines.join('\n')}`
+                : 'Stewart analysis needs Na+, K+, Cl-, pH and HCO3-.',
+            additionalCalculations: [
+                estimate ? ABGVenous.describe(estimate) : null,
+                additionalLines.length ? additionalLines.join('\n') : null,
+                interpretation.oximetry ? ABGOximetry.describe(interpretation.oximetry) : null
+            ].filter(Boolean).join('\n\n') || 'Oxygenation indices need pO2 and FiO2.',
+            differentials: [
+                interpretation.differentials.length
+                    ? `Differential Diagnoses\n\n${bullet(interpretation.differentials)}`
+                    : 'No acid-base specific differentials - interpret in clinical context.',
+                interpretation.toxicAlcohol ? ABGToxicAlcohols.describe(interpretation.toxicAlcohol) : null
+            ].filter(Boolean).join('\n\n')
+        };
+
+        const { temperatureCorrection, ventilation, trend, dka } = extras;
+        if (temperatureCorrection) {
+            sections.hhAnalysis = `${ABGTemperature.describe(temperatureCorrection)}\n\n${sections.hhAnalysis}`;
+        }
+        if (ventilation) {
+            sections.additionalCalculations = `${sections.additionalCalculations}\n\n${ABGVentilation.describe(ventilation)}`;
+        }
+        if (trend) sections.trendAnalysis = `Serial Gas Trend\n${ABGTrends.describe(trend)}`;
+        if (dka) sections.dkaAnalysis = ABGDKA.describe(dka);
+        return sections;
+    }
+
+    return {
+        DISORDERS,
+        DIFFERENTIALS,
+        interpret,
+        toSections
+    };
+});
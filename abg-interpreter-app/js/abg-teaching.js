@@ -0,0 +1,471 @@
+// Teaching and quiz mode. Cases come from a curated bank or are generated from a chosen
+// disorder with textbook compensation; either way the answer key is the deterministic
+// interpretation (ABGCalculations + ABGRules), so the quiz marks exactly what the interpreter
+// would report. Trainees answer STEPS in order and each step scores 0, 0.5 or 1 (differentials
+// score the fraction picked correctly less the fraction of distractors picked).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'), require('./abg-rules'), require('./abg-report'));
+    } else {
+        root.ABGTeaching = factory(root.ABGCalculations, root.ABGRules, root.ABGReport);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations, ABGRules, ABGReport) {
+    const { KPA_TO_MMHG, num, round } = ABGCalculations;
+
+    const STEPS = [
+        { key: 'primaryDisorder', label: 'Primary disorder', type: 'choice' },
+        { key: 'compensation', label: 'Compensation', type: 'choice' },
+        { key: 'anionGap', label: 'Anion gap', type: 'number', unit: 'mmol/L', tolerance: 1 },
+        { key: 'deltaRatio', label: 'Delta ratio', type: 'number', tolerance: 0.15 },
+        { key: 'differentials', label: 'Differentials', type: 'multiple' }
+    ];
+
+    // ABGRules compensation verdicts; 'none' when no compensation rule applies
+    const COMPENSATION_CHOICES = {
+        within: 'Appropriate - within the expected range',
+        above: 'Higher than expected - a second process',
+        below: 'Lower than expected - a second process',
+        acute: 'Acute respiratory (little renal compensation)',
+        chronic: 'Chronic respiratory (renally compensated)',
+        'acute-on-chronic': 'Between acute and chronic',
+        none: 'Not applicable'
+    };
+
+    // Mixed disorders and their parts - naming one part of a mixed disorder earns half marks
+    const MIXED_PARTS = {
+        'mixed-acidosis': ['metabolic-acidosis', 'respiratory-acidosis'],
+        'mixed-alkalosis': ['metabolic-alkalosis', 'respiratory-alkalosis'],
+        'respiratory-acidosis-metabolic-alkalosis': ['respiratory-acidosis', 'metabolic-alkalosis'],
+        'metabolic-acidosis-respiratory-alkalosis': ['metabolic-acidosis', 'respiratory-alkalosis']
+    };
+
+    const DISTRACTORS = 4;
+
+    // Curated cases, values in SI. `teachingPoint` is shown with the answers
+    const CASE_BANK = [
+        {
+            id: 'bank:dka',
+            title: 'Vomiting and abdominal pain in type 1 diabetes',
+            level: 'foundation',
+            stem: '24-year-old woman with type 1 diabetes, 2 days of vomiting and abdominal pain, deep sighing respirations.',
+            sampleType: 'Arterial',
+            values: { ph: 7.1, pco2: 3.0, po2: 13.5, hco3: 9, be: -19, sodium: 134, potassium: 5.6, chloride: 96, glucose: 32, ketones: 5.4, lactate: 1.8 },
+            teachingPoint: 'A pure high anion gap acidosis: the gap rises by about as much as the bicarbonate falls, so the delta ratio sits between 0.8 and 2.'
+        },
+        {
+            id: 'bank:diarrhoea',
+            title: 'Profuse diarrhoea',
+            level: 'foundation',
+            stem: '44-year-old woman with a Crohn disease flare and 10 days of profuse diarrhoea.',
+            sampleType: 'Arterial',
+            values: { ph: 7.29, pco2: 3.9, po2: 12.5, hco3: 14, be: -11, sodium: 138, potassium: 3.2, chloride: 114, lactate: 0.9 },
+            teachingPoint: 'Bicarbonate lost from the gut is replaced by chloride, so the anion gap stays normal - a hyperchloraemic acidosis.'
+        },
+        {
+            id: 'bank:vomiting',
+            title: 'Persistent vomiting',
+            level: 'foundation',
+            stem: '52-year-old woman with 5 days of vomiting and postural dizziness.',
+            sampleType: 'Arterial',
+            values: { ph: 7.52, pco2: 6.4, po2: 11.8, hco3: 38, be: 13, sodium: 134, potassium: 2.8, chloride: 84, lactate: 1.0 },
+            teachingPoint: 'Loss of gastric acid with volume and chloride depletion maintains the alkalosis; pCO2 rises about 0.7 mmHg per 1 mmol/L of bicarbonate.'
+        },
+        {
+            id: 'bank:opioid',
+            title: 'Found unresponsive',
+            level: 'foundation',
+            stem: '35-year-old man found unresponsive with pinpoint pupils and a respiratory rate of 6.',
+            sampleType: 'Arterial',
+            values: { ph: 7.21, pco2: 8.2, po2: 9.1, hco3: 24.5, be: -1, sodium: 140, potassium: 4.3, chloride: 104, lactate: 1.3 },
+            teachingPoint: 'In acute hypoventilation the kidneys have had no time to respond: bicarbonate rises only about 1 mmol/L per 10 mmHg of pCO2.'
+        },
+        {
+            id: 'bank:copd',
+            title: 'Breathless on home oxygen',
+            level: 'intermediate',
+            stem: '71-year-old man with COPD on home oxygen, increasingly breathless over 3 days, on 28% oxygen by Venturi mask.',
+            sampleType: 'Arterial',
+            values: { ph: 7.34, pco2: 8.6, po2: 7.4, hco3: 34, be: 7, sodium: 139, potassium: 4.2, chloride: 96, lactate: 1.1 },
+            teachingPoint: 'Renal retention of bicarbonate over days (about 3.5 mmol/L per 10 mmHg of pCO2) keeps the pH nearly normal in chronic hypercapnia.'
+        },
+        {
+            id: 'bank:pe',
+            title: 'Pleuritic chest pain',
+            level: 'foundation',
+            stem: '27-year-old woman with sudden pleuritic chest pain and breathlessness, taking the combined oral contraceptive pill.',
+            sampleType: 'Arterial',
+            values: { ph: 7.53, pco2: 3.3, po2: 14.8, hco3: 21.5, be: -1, sodium: 140, potassium: 3.7, chloride: 108, lactate: 1.0 },
+            teachingPoint: 'A normal or high pO2 does not exclude a pulmonary embolism; acute hyperventilation lowers bicarbonate about 2 mmol/L per 10 mmHg fall in pCO2.'
+        },
+        {
+            id: 'bank:septic-shock',
+            title: 'Pneumonia and shock',
+            level: 'advanced',
+            stem: '68-year-old man with pneumonia, blood pressure 78/40, GCS 12 and tiring.',
+            sampleType: 'Arterial',
+            values: { ph: 7.14, pco2: 6.1, po2: 9.0, hco3: 15, be: -12, sodium: 137, potassium: 4.8, chloride: 100, lactate: 9.2, albumin: 28 },
+            teachingPoint: "A pCO2 above Winter's prediction in a metabolic acidosis means the patient cannot compensate - a warning sign of respiratory failure. Correct the gap for the low albumin."
+        },
+        {
+            id: 'bank:salicylate',
+            title: 'Aspirin overdose',
+            level: 'advanced',
+            stem: '19-year-old woman 6 hours after a deliberate aspirin overdose, with tinnitus and vomiting.',
+            sampleType: 'Arterial',
+            values: { ph: 7.46, pco2: 2.9, po2: 13.9, hco3: 15, be: -8, sodium: 141, potassium: 3.6, chloride: 103, lactate: 2.1, glucose: 6.0 },
+            teachingPoint: 'Salicylates stimulate respiration directly and cause a high anion gap acidosis; the pH can look reassuring while both processes run.'
+        }
+    ];
+
+    // Disorders the generator can build. `primary` and `compensation` are what ABGRules must
+    // find in the generated gas ('none' where no rule applies, as for mixed disorders); `gap` the
+    // anion gap type; `deltaRatio` the band it must fall in
+    const GENERATOR = {
+        hagma: {
+            label: 'High anion gap metabolic acidosis',
+            primary: 'metabolic-acidosis', compensation: 'within', gap: 'HAGMA', deltaRatio: [0.9, 1.8],
+            hco3: [6, 16],
+            causes: ['lactic', 'dka', 'aki']
+        },
+        nagma: {
+            label: 'Normal anion gap metabolic acidosis',
+            primary: 'metabolic-acidosis', compensation: 'within', gap: 'NAGMA', anionGap: [8, 11],
+            hco3: [12, 18],
+            causes: ['diarrhoea', 'saline']
+        },
+        'hagma-nagma': {
+            label: 'Mixed high and normal anion gap acidosis',
+            primary: 'metabolic-acidosis', compensation: 'within', gap: 'HAGMA', deltaRatio: [0.45, 0.7],
+            hco3: [8, 14],
+            causes: ['dka-saline']
+        },
+        'hagma-alkalosis': {
+            label: 'High anion gap acidosis with metabolic alkalosis',
+            primary: 'metabolic-acidosis', compensation: 'within', gap: 'HAGMA', deltaRatio: [2.4, 3.2],
+            hco3: [15, 19],
+            causes: ['aka']
+        },
+        'metabolic-alkalosis': {
+            label: 'Metabolic alkalosis',
+            primary: 'metabolic-alkalosis', compensation: 'within', anionGap: [9, 12],
+            hco3: [32, 40],
+            causes: ['vomiting', 'diuretic']
+        },
+        'acute-respiratory-acidosis': {
+            label: 'Acute respiratory acidosis',
+            primary: 'respiratory-acidosis', compensation: 'acute', anionGap: [8, 12],
+            pco2MmHg: [60, 85], hco3PerTen: 1,
+            causes: ['opioid']
+        },
+        'chronic-respiratory-acidosis': {
+            label: 'Chronic respiratory acidosis',
+            primary: 'respiratory-acidosis', compensation: 'chronic', anionGap: [8, 12],
+            pco2MmHg: [56, 72], hco3PerTen: 3.5,
+            causes: ['copd']
+        },
+        'acute-respiratory-alkalosis': {
+            label: 'Acute respiratory alkalosis',
+            primary: 'respiratory-alkalosis', compensation: 'acute', anionGap: [8, 12],
+            pco2MmHg: [22, 29], hco3PerTen: 2,
+            causes: ['anxiety', 'pe']
+        },
+        'mixed-acidosis': {
+            label: 'Mixed metabolic and respiratory acidosis',
+            primary: 'mixed-acidosis', compensation: 'none', gap: 'HAGMA', deltaRatio: [0.9, 1.8],
+            hco3: [11, 17], pco2Excess: [14, 22],
+            causes: ['sepsis-tiring']
+        }
+    };
+
+    // Clinical stems and the values that go with them; `range` entries are drawn at random
+    const CAUSES = {
+        lactic: { stem: 'with fever, rigors and a blood pressure of 82/44 after 2 days of dysuria', extras: { lactate: [6, 11] } },
+        dka: { stem: 'with type 1 diabetes, 2 days of vomiting and abdominal pain', extras: { glucose: [22, 35], ketones: [3.5, 6.5], potassium: [5.2, 6.0] } },
+        aki: { stem: 'with 4 days of reduced urine output after a course of ibuprofen for back pain', extras: { urea: [28, 45], potassium: [5.8, 6.6] } },
+        diarrhoea: { stem: 'with a week of profuse watery diarrhoea', extras: { potassium: [2.8, 3.3] } },
+        saline: { stem: 'after 7 litres of 0.9% saline during resuscitation for a bleeding duodenal ulcer', extras: {} },
+        'dka-saline': { stem: 'with type 1 diabetes, 10 hours into DKA treatment with 0.9% saline', extras: { glucose: [13, 18], ketones: [1.5, 2.8] } },
+        aka: { stem: 'with heavy alcohol use, 4 days of vomiting and no food intake', extras: { glucose: [4, 6.5], ketones: [3.5, 5.5], potassium: [2.9, 3.4] } },
+        vomiting: { stem: 'with 5 days of persistent vomiting and postural dizziness', extras: { potassium: [2.5, 3.2] } },
+        diuretic: { stem: 'on high-dose furosemide for heart failure, feeling weak', extras: { potassium: [2.8, 3.4] } },
+        opioid: { stem: 'found drowsy with pinpoint pupils and a respiratory rate of 6', extras: { po2: [7.5, 9.5] } },
+        copd: { stem: 'with severe COPD on home oxygen, breathless for 3 days', extras: { po2: [7.0, 8.5] } },
+        anxiety: { stem: 'with sudden breathlessness and tingling fingers after an argument', extras: { po2: [13, 14.5] } },
+        pe: { stem: 'with pleuritic chest pain 10 days after a hip replacement', extras: { po2: [9, 10.5] } },
+        'sepsis-tiring': { stem: 'with pneumonia, a blood pressure of 78/40 and tiring respiratory effort', extras: { lactate: [7, 12], po2: [7.5, 9] } }
+    };
+
+    // Seeded generator (mulberry32) so a synthetic case can be rebuilt from its id
+    function seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    const between = (random, [low, high]) => low + random() * (high - low);
+    const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+    function shuffle(items, random) {
+        const out = [...items];
+        for (let index = out.length - 1; index > 0; index--) {
+            const other = Math.floor(random() * (index + 1));
+            [out[index], out[other]] = [out[other], out[index]];
+        }
+        return out;
+    }
+
+    // One candidate gas for a generator entry; compensation follows the textbook rules with a
+    // little noise, then pH comes from Henderson-Hasselbalch
+    function buildGas(spec, cause, random) {
+        let hco3;
+        let pco2MmHg;
+        if (spec.pco2MmHg) {
+            pco2MmHg = between(random, spec.pco2MmHg);
+            hco3 = 24 + spec.hco3PerTen * (pco2MmHg - 40) / 10 + between(random, [-0.8, 0.8]);
+        } else {
+            hco3 = between(random, spec.hco3);
+            pco2MmHg = spec.primary === 'metabolic-alkalosis'
+                ? 0.7 * (hco3 - 24) + 40 + between(random, [-1.2, 1.2])
+                : 1.5 * hco3 + 8 + (spec.pco2Excess ? between(random, spec.pco2Excess) : between(random, [-1.2, 1.2]));
+        }
+        hco3 = round(hco3, 1);
+        const pco2 = round(pco2MmHg / KPA_TO_MMHG, 1);
+        const ph = round(6.1 + Math.log10(hco3 / (0.23 * pco2)), 2);
+
+        const anionGap = spec.deltaRatio ? 12 + between(random, spec.deltaRatio) * (24 - hco3) : between(random, spec.anionGap);
+        const sodium = Math.round(between(random, [134, 143]));
+        const values = {
+            ph,
+            pco2,
+            po2: round(between(random, [10.5, 13.5]), 1),
+            hco3,
+            be: round(0.93 * (hco3 - 24.4 + 14.8 * (ph - 7.4)), 1),
+            sodium,
+            potassium: round(between(random, [3.6, 4.8]), 1),
+            chloride: Math.round(sodium - anionGap - hco3),
+            lactate: round(between(random, [0.7, 1.6]), 1),
+            glucose: round(between(random, [4.5, 7.5]), 1)
+        };
+        for (const [key, range] of Object.entries(cause.extras)) {
+            values[key] = round(between(random, range), key === 'urea' ? 0 : 1);
+        }
+        return values;
+    }
+
+    // A synthetic case; the same disorder and seed always give the same case. Candidates are
+    // drawn until the rule engine reads the gas as the disorder it was built to show
+    function generate(disorder, seed = Math.floor(Math.random() * 1e9)) {
+        const spec = GENERATOR[disorder];
+        if (!spec) throw new Error(`Unknown disorder "${disorder}"`);
+        const random = seededRandom(seed);
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const causeKey = pick(random, spec.causes);
+            const values = buildGas(spec, CAUSES[causeKey], random);
+            const interpretation = ABGRules.interpret(values, { sampleType: 'Arterial' });
+            const compensation = interpretation.compensation ? interpretation.compensation.verdict : 'none';
+            const gapType = interpretation.anionGap ? interpretation.anionGap.type : null;
+            if (interpretation.primaryDisorder.key !== spec.primary || compensation !== spec.compensation) continue;
+            if (spec.gap && gapType !== spec.gap) continue;
+            if (spec.deltaRatio && !(interpretation.deltaRatio && interpretation.deltaRatio.value >= spec.deltaRatio[0] - 0.1 && interpretation.deltaRatio.value <= spec.deltaRatio[1] + 0.1)) continue;
+
+            const age = Math.round(between(random, [19, 86]));
+            const sex = random() < 0.5 ? 'man' : 'woman';
+            return {
+                id: `synthetic:${disorder}:${seed}`,
+                title: spec.label,
+                level: 'synthetic',
+                synthetic: true,
+                disorder,
+                stem: `${age}-year-old ${sex} ${CAUSES[causeKey].stem}.`,
+                sampleType: 'Arterial',
+                values
+            };
+        }
+        throw new Error(`Could not generate a ${spec.label.toLowerCase()} case`);
+    }
+
+    // Bank case or rebuilt synthetic case for a stored id
+    function caseById(id) {
+        const banked = CASE_BANK.find(item => item.id === id);
+        if (banked) return banked;
+        const match = /^synthetic:([a-z-]+):(\d+)$/.exec(String(id));
+        return match && GENERATOR[match[1]] ? generate(match[1], parseInt(match[2], 10)) : null;
+    }
+
+    // The deterministic interpretation of a case and the answer expected at each step
+    function answerKey(testCase) {
+        const calculations = ABGCalculations.calculate(testCase.values, { sampleType: testCase.sampleType });
+        const interpretation = ABGRules.interpret(testCase.values, { calculations, sampleType: testCase.sampleType });
+        return {
+            calculations,
+            interpretation,
+            answers: {
+                primaryDisorder: interpretation.primaryDisorder.key,
+                compensation: interpretation.compensation ? interpretation.compensation.verdict : 'none',
+                anionGap: calculations.anionGap
+                    ? { value: calculations.anionGap.value, corrected: calculations.correctedAnionGap ? calculations.correctedAnionGap.value : null }
+                    : null,
+                deltaRatio: interpretation.deltaRatio ? interpretation.deltaRatio.value : null,
+                differentials: interpretation.differentials
+            }
+        };
+    }
+
+    // A quiz for one case: the answer key and the choices for each step. Differential choices
+    // are the key's differentials plus distractors from disorders the gas does not show
+    function startQuiz(testCase, random = Math.random) {
+        const key = answerKey(testCase);
+        const correct = key.answers.differentials;
+        const others = [...new Set(Object.values(ABGRules.DIFFERENTIALS).flat())].filter(item => !correct.includes(item));
+        const distractors = shuffle(others, random).slice(0, Math.max(DISTRACTORS, Math.ceil(correct.length / 2)));
+        return {
+            case: testCase,
+            key,
+            choices: {
+                primaryDisorder: Object.entries(ABGRules.DISORDERS).map(([value, label]) => ({ value, label })),
+                compensation: Object.entries(COMPENSATION_CHOICES).map(([value, label]) => ({ value, label })),
+                differentials: shuffle([...correct, ...distractors], random)
+            },
+            answers: {},
+            results: {}
+        };
+    }
+
+    // The case values as the quiz shows them, flagged against the key's ranges, in SI or US units
+    const valueRows = (quiz, displayUnits = 'SI') => ABGReport.valueRows(quiz.case.values, {
+        ranges: quiz.key.interpretation.ranges,
+        sampleType: quiz.case.sampleType,
+        displayUnits
+    });
+
+    const stepTolerance = (key) => STEPS.find(step => step.key === key).tolerance;
+
+    const result = (score, expected, feedback) => ({ score, correct: score === 1, expected, feedback });
+
+    // Delta ratio interpretation band, as ABGCalculations.deltaRatio names it
+    const deltaBand = (value) => (value < 0.4 ? 0 : value < 0.8 ? 1 : value <= 2 ? 2 : 3);
+
+    // Scores one step; `answer` is a disorder or verdict key, a number (or 'na') or a list of differentials
+    function scoreStep(quiz, step, answer) {
+        const { answers, calculations, interpretation } = quiz.key;
+        const expected = answers[step];
+
+        if (step === 'primaryDisorder') {
+            const label = ABGRules.DISORDERS[expected];
+            if (answer === expected) return result(1, label, `Correct - ${label.toLowerCase()}.`);
+            const partial = (MIXED_PARTS[expected] || []).includes(answer);
+            return result(partial ? 0.5 : 0, label, partial
+                ? `Part of it - this is ${label.toLowerCase()}, with both processes present.`
+                : `This is ${label.toLowerCase()} (pH ${interpretation.phStatus === 'normal' ? 'in range' : `shows ${interpretation.phStatus}`}).`);
+        }
+
+        if (step === 'compensation') {
+            const compensation = interpretation.compensation;
+            const explanation = compensation
+                ? `${compensation.rule}: ${compensation.label.toLowerCase()}.`
+                : 'No compensation rule applies to this gas.';
+            return result(answer === expected ? 1 : 0, COMPENSATION_CHOICES[expected], `${answer === expected ? 'Correct. ' : ''}${explanation}`);
+        }
+
+        if (step === 'anionGap') {
+            if (!expected) return result(answer === 'na' ? 1 : 0, 'Not calculable', 'Sodium, chloride and bicarbonate are all needed for the anion gap.');
+            const value = num(answer);
+            const error = value === null ? Infinity : Math.min(...[expected.value, expected.corrected].filter(item => item !== null).map(item => Math.abs(item - value)));
+            const tolerance = stepTolerance(step);
+            const score = error <= tolerance ? 1 : error <= 2 * tolerance ? 0.5 : 0;
+            const working = [calculations.anionGap.working, calculations.correctedAnionGap ? `albumin-corrected ${calculations.correctedAnionGap.working}` : null].filter(Boolean).join('; ');
+            return result(score, expected.corrected !== null ? `${expected.value} (corrected ${expected.corrected})` : `${expected.value}`, `${working} mmol/L.`);
+        }
+
+        if (step === 'deltaRatio') {
+            if (expected === null) {
+                return result(answer === 'na' ? 1 : 0, 'Not applicable', 'The delta ratio only applies to a high anion gap acidosis.');
+            }
+            const value = num(answer);
+            const score = value === null ? 0 : Math.abs(value - expected) <= stepTolerance(step) ? 1 : deltaBand(value) === deltaBand(expected) ? 0.5 : 0;
+            return result(score, `${expected}`, `${calculations.deltaRatio.working} - ${interpretation.deltaRatio.interpretation.toLowerCase()}.`);
+        }
+
+        if (step === 'differentials') {
+            const picked = Array.isArray(answer) ? answer : [];
+            const wrong = picked.filter(item => !expected.includes(item));
+            const missed = expected.filter(item => !picked.includes(item));
+            const distractorCount = quiz.choices.differentials.length - expected.length;
+            const score = expected.length
+                ? Math.max(0, round((expected.length - missed.length) / expected.length - (distractorCount ? wrong.length / distractorCount : 0), 2))
+                : (wrong.length ? 0 : 1);
+            const feedback = [
+                missed.length ? `Also consistent: ${missed.join('; ')}.` : '',
+                wrong.length ? `Not supported by this gas: ${wrong.join('; ')}.` : ''
+            ].filter(Boolean).join(' ') || 'All the consistent differentials, and none of the others.';
+            return result(score, expected, feedback);
+        }
+
+        throw new Error(`Unknown step "${step}"`);
+    }
+
+    // Percentage over all steps
+    const totalScore = (results) => Math.round(100 * STEPS.reduce((sum, step) => sum + (results[step.key] ? results[step.key].score : 0), 0) / STEPS.length);
+
+    // What is kept on the device for one finished quiz
+    function attemptRecord(quiz, completedAt = new Date().toISOString()) {
+        return {
+            caseId: quiz.case.id,
+            title: quiz.case.title,
+            disorder: quiz.key.answers.primaryDisorder,
+            synthetic: Boolean(quiz.case.synthetic),
+            score: totalScore(quiz.results),
+            steps: Object.fromEntries(STEPS.map(step => [step.key, quiz.results[step.key] ? quiz.results[step.key].score : 0])),
+            completedAt
+        };
+    }
+
+    const MAX_ATTEMPTS = 200;
+
+    const recordAttempt = (attempts, attempt) => [...(attempts || []), attempt].slice(-MAX_ATTEMPTS);
+
+    const mean = (items) => (items.length ? round(items.reduce((sum, item) => sum + item, 0) / items.length, 2) : null);
+
+    // Attempt count, average and recent scores, per-step and per-disorder averages, weakest step
+    function progressSummary(attempts) {
+        const list = attempts || [];
+        const byStep = Object.fromEntries(STEPS.map(step => [step.key, mean(list.map(attempt => attempt.steps[step.key] || 0))]));
+        const byDisorder = {};
+        for (const attempt of list) {
+            const entry = byDisorder[attempt.disorder] || (byDisorder[attempt.disorder] = { label: ABGRules.DISORDERS[attempt.disorder] || attempt.disorder, scores: [] });
+            entry.scores.push(attempt.score);
+        }
+        const weakest = list.length ? STEPS.reduce((low, step) => (byStep[step.key] < byStep[low.key] ? step : low), STEPS[0]) : null;
+        return {
+            attempts: list.length,
+            average: list.length ? Math.round(mean(list.map(attempt => attempt.score))) : null,
+            recent: list.length ? Math.round(mean(list.slice(-10).map(attempt => attempt.score))) : null,
+            byStep,
+            byDisorder: Object.fromEntries(Object.entries(byDisorder).map(([key, entry]) => [key, { label: entry.label, attempts: entry.scores.length, average: Math.round(mean(entry.scores)) }])),
+            weakestStep: weakest ? weakest.label : null
+        };
+    }
+
+    return {
+        STEPS,
+        COMPENSATION_CHOICES,
+        CASE_BANK,
+        GENERATOR,
+        seededRandom,
+        generate,
+        caseById,
+        answerKey,
+        startQuiz,
+        valueRows,
+        scoreStep,
+        totalScore,
+        attemptRecord,
+        recordAttempt,
+        progressSummary
+    };
+});
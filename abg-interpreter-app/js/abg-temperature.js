@@ -0,0 +1,155 @@
+// Temperature correction of pH, pCO2 and pO2 from the analyser's 37 °C values to the patient's
+// temperature. Alpha-stat interprets the 37 °C values; pH-stat interprets the corrected ones.
+// Bicarbonate, base excess and electrolytes are not temperature-corrected.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'));
+    } else {
+        root.ABGTemperature = factory(root.ABGCalculations);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations) {
+    const { normalise, round, KPA_TO_MMHG } = ABGCalculations;
+
+    const STRATEGIES = {
+        'alpha-stat': 'Alpha-stat - interpret the 37 °C values',
+        'ph-stat': 'pH-stat - interpret the values corrected to patient temperature'
+    };
+
+    // Below this the correction is smaller than the analyser's own imprecision
+    const NEGLIGIBLE = 0.5;     // °C
+
+    // Rosenthal, with the CLSI pH-dependent coefficient
+    function correctPh(v) {
+        const delta = v.temperature - 37;
+        const coefficient = 0.0147 + 0.0065 * (v.ph - 7.4);
+        const value = v.ph - coefficient * delta;
+        return {
+            label: 'pH at patient temperature',
+            value: round(value, 2),
+            unit: '',
+            formula: 'pH(37) - [0.0147 + 0.0065 × (pH(37) - 7.4)] × (T - 37)',
+            working: `${v.ph} - ${round(coefficient, 4)} × (${v.temperature} - 37) = ${round(value, 2)}`
+        };
+    }
+
+    function correctPco2(v) {
+        const factor = Math.pow(10, 0.019 * (v.temperature - 37));
+        const value = v.pco2 * factor;
+        return {
+            label: 'pCO2 at patient temperature',
+            value: round(value, 2),
+            unit: 'kPa',
+            formula: 'pCO2(37) × 10^(0.019 × (T - 37))',
+            working: `${v.pco2} × 10^(0.019 × (${v.temperature} - 37)) = ${round(value, 2)} kPa`
+        };
+    }
+
+    // Severinghaus: the coefficient falls as pO2 rises and haemoglobin saturates
+    function correctPo2(v) {
+        if (v.po2 === null) return null;
+        const mmHg = v.po2 * KPA_TO_MMHG;
+        const power = Math.pow(mmHg, 3.88);
+        const coefficient = (5.49e-11 * power + 0.071) / (9.72e-9 * power + 2.30);
+        const value = v.po2 * Math.pow(10, coefficient * (v.temperature - 37));
+        return {
+            label: 'pO2 at patient temperature',
+            value: round(value, 2),
+            unit: 'kPa',
+            formula: 'pO2(37) × 10^(f × (T - 37)), f = (5.49×10⁻¹¹ × P^3.88 + 0.071) / (9.72×10⁻⁹ × P^3.88 + 2.30), P in mmHg',
+            working: `${v.po2} × 10^(${round(coefficient, 4)} × (${v.temperature} - 37)) = ${round(value, 2)} kPa`
+        };
+    }
+
+    function commentary(v, strategy, corrected) {
+        const lines = [];
+        const delta = v.temperature - 37;
+        if (Math.abs(delta) < NEGLIGIBLE) {
+            lines.push(`Patient temperature ${v.temperature} °C - correction is negligible; the 37 °C values apply.`);
+            return lines;
+        }
+        if (strategy === 'alpha-stat') {
+            lines.push('Alpha-stat: acid-base status is judged on the 37 °C values against the usual ranges. This is the standard approach in adult therapeutic hypothermia and hypothermic cardiac arrest - ventilate to a normal 37 °C pCO2.');
+        } else {
+            lines.push('pH-stat: acid-base status is judged on the corrected values, so keeping the corrected pH at 7.40 in a cold patient needs a higher CO2 content (relative hypercapnia at 37 °C), which raises cerebral blood flow.');
+        }
+        if (delta < 0) {
+            lines.push(`At ${v.temperature} °C the true pCO2${corrected.po2 ? ' and pO2 are' : ' is'} lower and the pH higher than the printed 37 °C values.`);
+            if (corrected.po2) {
+                lines.push(`The corrected pO2 (${corrected.po2.value} kPa) is the tension in the patient's blood - oxygenation is overestimated by the 37 °C value.`);
+            }
+        } else {
+            lines.push(`At ${v.temperature} °C the true pCO2${corrected.po2 ? ' and pO2 are' : ' is'} higher and the pH lower than the printed 37 °C values.`);
+        }
+        if (v.temperature < 32) {
+            lines.push('Below 32 °C expect cold diuresis, hypokalaemia during cooling and rebound hyperkalaemia on rewarming - recheck potassium and glucose with each gas.');
+        }
+        return lines;
+    }
+
+    function assess(values, options = {}) {
+        const v = normalise(values);
+        if (v.temperature === null || v.ph === null || v.pco2 === null) return null;
+        const strategy = STRATEGIES[options.strategy] ? options.strategy : 'alpha-stat';
+
+        const corrected = {
+            ph: correctPh(v),
+            pco2: correctPco2(v),
+            po2: correctPo2(v)
+        };
+        const at37 = { ph: v.ph, pco2: v.pco2, po2: v.po2 };
+        const interpretedValues = strategy === 'ph-stat'
+            ? {
+                ...values,
+                ph: corrected.ph.value,
+                pco2: corrected.pco2.value,
+                ...(corrected.po2 ? { po2: corrected.po2.value } : {})
+            }
+            : values;
+
+        return {
+            label: 'Temperature correction',
+            temperature: v.temperature,
+            strategy,
+            strategyLabel: STRATEGIES[strategy],
+            at37,
+            corrected,
+            interpretedValues,
+            commentary: commentary(v, strategy, corrected)
+        };
+    }
+
+    // The corrected pH, pCO2 and pO2 as their own set, so reports and checks can keep them apart
+    // from the 37 °C values: { temperature, strategy, values }
+    function correctedValues(assessment) {
+        if (!assessment) return null;
+        return {
+            temperature: assessment.temperature,
+            strategy: assessment.strategy,
+            values: Object.fromEntries(Object.entries(assessment.corrected)
+                .filter(([, result]) => result)
+                .map(([key, result]) => [key, result.value]))
+        };
+    }
+
+    // Plain-text block for prompts and the offline report
+    function describe(assessment) {
+        const lines = [`${assessment.label} - patient ${assessment.temperature} °C, ${assessment.strategyLabel}`];
+        for (const [key, label, unit] of [['ph', 'pH', ''], ['pco2', 'pCO2', ' kPa'], ['po2', 'pO2', ' kPa']]) {
+            const result = assessment.corrected[key];
+            if (!result) continue;
+            lines.push(`${label}: ${assessment.at37[key]}${unit} at 37 °C, ${result.value}${unit} at ${assessment.temperature} °C (${result.working})`);
+        }
+        lines.push(...assessment.commentary);
+        return lines.join('\n');
+    }
+
+    return {
+        STRATEGIES,
+        correctPh,
+        correctPco2,
+        correctPo2,
+        assess,
+        correctedValues,
+        describe
+    };
+});
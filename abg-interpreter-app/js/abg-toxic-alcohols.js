@@ -0,0 +1,109 @@
+// Toxic alcohol (methanol, ethylene glycol) likelihood from the osmolar and anion gaps.
+// Early after ingestion the parent alcohol raises the osmolar gap; as it is metabolised the
+// gap closes and a high anion gap acidosis opens, so each gap is read in light of the other.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'));
+    } else {
+        root.ABGToxicAlcohols = factory(root.ABGCalculations);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations) {
+    const { normalise } = ABGCalculations;
+
+    const RAISED_GAP = 10;      // mOsm/kg
+    const HIGH_GAP = 20;        // mOsm/kg - rarely reached without a toxic alcohol or ethanol
+
+    const LIKELIHOOD_LABELS = {
+        high: 'High - treat as toxic alcohol poisoning until proven otherwise',
+        moderate: 'Possible - needs discussion with TOXBASE/NPIS and repeat testing',
+        low: 'Low - but a normal osmolar gap does not exclude late presentation',
+        indeterminate: 'Cannot be assessed - measured osmolality, urea and glucose are needed'
+    };
+
+    const TREATMENT = [
+        'Give fomepizole (or IV ethanol if unavailable) per TOXBASE while levels are awaited.',
+        'Discuss haemodialysis early with renal/ICU - indicated for severe acidosis, visual or renal impairment, or high levels.',
+        'Give folate (methanol) and thiamine/pyridoxine (ethylene glycol) as cofactors.',
+        'Check ionised calcium, creatinine, and urine microscopy for calcium oxalate crystals.',
+        'Send methanol and ethylene glycol levels - but do not wait for them to start treatment.'
+    ];
+
+    function assess(values, options = {}) {
+        const v = normalise(values);
+        const calculations = options.calculations || ABGCalculations.calculate(values, { sampleType: options.sampleType });
+        const anionGap = options.anionGap || null;
+        const hagma = Boolean(anionGap && anionGap.type === 'HAGMA');
+        if (!hagma && v.osmolality === null) return null;
+
+        const gap = calculations.ethanolCorrectedOsmolarGap || calculations.osmolarGap;
+        const missing = ['osmolality', 'sodium', 'glucose', 'urea'].filter(key => v[key] === null);
+        const reasons = [];
+        const advice = [];
+        let likelihood;
+
+        if (!gap) {
+            likelihood = 'indeterminate';
+            advice.push(missing.includes('osmolality')
+                ? `Send laboratory serum osmolality (freezing point depression) with ${[...missing.filter(key => key !== 'osmolality'), 'ethanol'].join(', ')} on the same sample.`
+                : `Add ${missing.join(', ')} from the same sample to calculate the osmolar gap.`);
+        } else {
+            const raised = gap.value > RAISED_GAP;
+            if (gap === calculations.osmolarGap && v.ethanol === null && raised) {
+                reasons.push('Ethanol not measured - it may account for some or all of the osmolar gap.');
+            }
+            if (hagma && gap.value > HIGH_GAP) {
+                likelihood = 'high';
+                reasons.push(`High anion gap acidosis with an osmolar gap of ${gap.value} mOsm/kg.`);
+            } else if (hagma && raised) {
+                likelihood = 'moderate';
+                reasons.push(`High anion gap acidosis with a raised osmolar gap of ${gap.value} mOsm/kg - ketoacidosis and lactic acidosis can raise the gap modestly.`);
+            } else if (raised) {
+                likelihood = gap.value > HIGH_GAP ? 'high' : 'moderate';
+                reasons.push(`Osmolar gap ${gap.value} mOsm/kg without a high anion gap acidosis - consistent with an early ingestion before the alcohol is metabolised.`);
+            } else {
+                likelihood = 'low';
+                reasons.push(`Osmolar gap ${gap.value} mOsm/kg is not raised.`);
+                if (hagma) {
+                    reasons.push('A late presentation can show a high anion gap acidosis with a normal osmolar gap once the parent alcohol is metabolised - consider it if the acidosis is otherwise unexplained.');
+                }
+            }
+        }
+
+        if (hagma && v.lactate !== null && v.lactate > 4 && gap && gap.value > RAISED_GAP) {
+            reasons.push('Some blood gas analysers read glycolate (from ethylene glycol) as lactate - a raised lactate with a raised osmolar gap may be artefactual; compare with a laboratory lactate.');
+        }
+        if (likelihood === 'high' || likelihood === 'moderate') advice.push(...TREATMENT);
+
+        return {
+            label: 'Toxic alcohol likelihood',
+            likelihood,
+            summary: LIKELIHOOD_LABELS[likelihood],
+            hagma,
+            anionGap: anionGap ? anionGap.value : null,
+            calculatedOsmolality: calculations.calculatedOsmolality || null,
+            osmolarGap: calculations.osmolarGap || null,
+            ethanolCorrectedOsmolarGap: calculations.ethanolCorrectedOsmolarGap || null,
+            missing,
+            reasons,
+            advice
+        };
+    }
+
+    // Plain-text block for prompts and the offline report
+    function describe(assessment) {
+        const lines = [`${assessment.label}: ${assessment.summary}`];
+        for (const key of ['calculatedOsmolality', 'osmolarGap', 'ethanolCorrectedOsmolarGap']) {
+            if (assessment[key]) lines.push(`${assessment[key].label}: ${assessment[key].working}`);
+        }
+        if (assessment.anionGap !== null) lines.push(`Anion gap: ${assessment.anionGap} mmol/L${assessment.hagma ? ' (raised)' : ''}`);
+        lines.push(...assessment.reasons);
+        lines.push(...assessment.advice.map(line => `• ${line}`));
+        return lines.join('\n');
+    }
+
+    return {
+        LIKELIHOOD_LABELS,
+        assess,
+        describe
+    };
+});
@@ -0,0 +1,134 @@
+// Trend calculations across serial blood gases from one patient episode.
+// Samples are { takenAt: ISO string, values, sampleType } in the app's working units.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'));
+    } else {
+        root.ABGTrends = factory(root.ABGCalculations);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations) {
+    const { num, round, anionGap, normalise } = ABGCalculations;
+
+    const TRACKED = {
+        ph: { label: 'pH', unit: '', dp: 2 },
+        pco2: { label: 'pCO2', unit: 'kPa', dp: 1 },
+        hco3: { label: 'HCO3-', unit: 'mmol/L', dp: 1 },
+        lactate: { label: 'Lactate', unit: 'mmol/L', dp: 1 },
+        potassium: { label: 'K+', unit: 'mmol/L', dp: 1 },
+        glucose: { label: 'Glucose', unit: 'mmol/L', dp: 1 },
+        ketones: { label: 'Ketones', unit: 'mmol/L', dp: 1 },
+        anionGap: { label: 'Anion Gap', unit: 'mmol/L', dp: 1 }
+    };
+
+    const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / 3600000;
+
+    const sortSamples = (samples) => [...samples]
+        .filter(sample => sample && sample.values && !Number.isNaN(new Date(sample.takenAt).getTime()))
+        .sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt));
+
+    function series(samples, key) {
+        return samples
+            .map(sample => {
+                let value;
+                if (key === 'anionGap') {
+                    const ag = anionGap(normalise(sample.values));
+                    value = ag ? ag.value : null;
+                } else {
+                    value = num(sample.values[key]);
+                }
+                return { takenAt: sample.takenAt, value };
+            })
+            .filter(point => point.value !== null);
+    }
+
+    function parameterTrend(points, dp) {
+        if (points.length < 2) return null;
+        const first = points[0];
+        const latest = points[points.length - 1];
+        const hours = hoursBetween(first.takenAt, latest.takenAt);
+        const change = latest.value - first.value;
+        return {
+            first: first.value,
+            latest: latest.value,
+            change: round(change, dp + 1),
+            hours: round(hours, 1),
+            ratePerHour: hours > 0 ? round(change / hours, dp + 1) : null
+        };
+    }
+
+    // Clearance of at least 10% per 2 hours is the usual resuscitation target
+    function lactateClearance(trend) {
+        if (!trend || !trend.first) return null;
+        const value = ((trend.first - trend.latest) / trend.first) * 100;
+        const per2h = trend.hours > 0 ? value / trend.hours * 2 : null;
+        let interpretation;
+        if (trend.latest <= 2) interpretation = 'Lactate normalised';
+        else if (per2h !== null && per2h >= 10) interpretation = 'Adequate clearance (≥10% per 2 h)';
+        else if (value > 0) interpretation = 'Slow clearance - reassess perfusion and source control';
+        else interpretation = 'Lactate not clearing - escalate and look for ongoing hypoperfusion';
+        return {
+            value: round(value, 0),
+            per2h: round(per2h, 0),
+            hours: trend.hours,
+            interpretation
+        };
+    }
+
+    function anionGapClosure(trend) {
+        if (!trend) return null;
+        const closed = trend.latest <= 12;
+        return {
+            first: trend.first,
+            latest: trend.latest,
+            change: trend.change,
+            closed,
+            interpretation: closed
+                ? 'Anion gap has closed'
+                : trend.change < 0 ? 'Anion gap narrowing but still open' : 'Anion gap not improving'
+        };
+    }
+
+    function analyse(samples) {
+        const sorted = sortSamples(samples);
+        const parameters = {};
+        const seriesByKey = {};
+        for (const [key, meta] of Object.entries(TRACKED)) {
+            seriesByKey[key] = series(sorted, key);
+            parameters[key] = parameterTrend(seriesByKey[key], meta.dp);
+        }
+        return {
+            sampleCount: sorted.length,
+            spanHours: sorted.length > 1 ? round(hoursBetween(sorted[0].takenAt, sorted[sorted.length - 1].takenAt), 1) : 0,
+            parameters,
+            series: seriesByKey,
+            lactateClearance: lactateClearance(parameters.lactate),
+            anionGapClosure: anionGapClosure(parameters.anionGap)
+        };
+    }
+
+    // Plain-text trend lines for prompts and the offline report
+    function describe(trend) {
+        const lines = [`${trend.sampleCount} samples over ${trend.spanHours} h`];
+        for (const [key, meta] of Object.entries(TRACKED)) {
+            const p = trend.parameters[key];
+            if (!p) continue;
+            const sign = p.change > 0 ? '+' : '';
+            const rate = p.ratePerHour !== null ? `, ${p.ratePerHour > 0 ? '+' : ''}${p.ratePerHour}${meta.unit ? ` ${meta.unit}` : ''}/h` : '';
+            lines.push(`${meta.label}: ${p.first} → ${p.latest}${meta.unit ? ` ${meta.unit}` : ''} (${sign}${p.change}${rate})`);
+        }
+        if (trend.lactateClearance) {
+            lines.push(`Lactate clearance: ${trend.lactateClearance.value}% over ${trend.lactateClearance.hours} h - ${trend.lactateClearance.interpretation}`);
+        }
+        if (trend.anionGapClosure) {
+            lines.push(`Anion gap: ${trend.anionGapClosure.interpretation}`);
+        }
+        return lines.join('\n');
+    }
+
+    return {
+        TRACKED,
+        sortSamples,
+        analyse,
+        describe
+    };
+});
@@ -0,0 +1,184 @@
+// Per-field unit model. The app works internally in SI units (kPa, mmol/L, g/L, FiO2 %);
+// every other unit is converted on the way in and, for display, on the way out.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'));
+    } else {
+        root.ABGUnits = factory(root.ABGCalculations);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations) {
+    const { num, round } = ABGCalculations;
+
+    // canonical value = entered value × factor
+    const FIELDS = {
+        pco2: { canonical: 'kPa', units: { kPa: 1, mmHg: 1 / 7.5 }, dp: 2 },
+        po2: { canonical: 'kPa', units: { kPa: 1, mmHg: 1 / 7.5 }, dp: 2 },
+        hco3: { canonical: 'mmol/L', units: { 'mmol/L': 1, 'mEq/L': 1 }, dp: 1 },
+        be: { canonical: 'mmol/L', units: { 'mmol/L': 1, 'mEq/L': 1 }, dp: 1 },
+        sodium: { canonical: 'mmol/L', units: { 'mmol/L': 1, 'mEq/L': 1 }, dp: 0 },
+        potassium: { canonical: 'mmol/L', units: { 'mmol/L': 1, 'mEq/L': 1 }, dp: 1 },
+        chloride: { canonical: 'mmol/L', units: { 'mmol/L': 1, 'mEq/L': 1 }, dp: 0 },
+        calcium: { canonical: 'mmol/L', units: { 'mmol/L': 1, 'mEq/L': 0.5, 'mg/dL': 1 / 4.008 }, dp: 2 },
+        glucose: { canonical: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 1 / 18.016 }, dp: 1 },
+        lactate: { canonical: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 1 / 9.008 }, dp: 1 },
+        albumin: { canonical: 'g/L', units: { 'g/L': 1, 'g/dL': 10 }, dp: 0 },
+        hb: { canonical: 'g/L', units: { 'g/L': 1, 'g/dL': 10 }, dp: 0 },
+        fio2: { canonical: '%', units: { '%': 1, fraction: 100 }, dp: 0 },
+        so2: { canonical: '%', units: { '%': 1, fraction: 100 }, dp: 1 },
+        spo2: { canonical: '%', units: { '%': 1, fraction: 100 }, dp: 0 },
+        cohb: { canonical: '%', units: { '%': 1, fraction: 100 }, dp: 1 },
+        methb: { canonical: '%', units: { '%': 1, fraction: 100 }, dp: 1 },
+        osmolality: { canonical: 'mOsm/kg', units: { 'mOsm/kg': 1 }, dp: 0 },
+        // Capillary or serum beta-hydroxybutyrate
+        ketones: { canonical: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 1 / 10.41 }, dp: 1 },
+        // US reports give blood urea nitrogen (BUN)
+        urea: { canonical: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 0.357 }, dp: 1 },
+        ethanol: { canonical: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 1 / 4.61, 'g/L': 21.7 }, dp: 1 },
+        // Not a ratio, so converted with a pair of functions instead of a factor
+        temperature: { canonical: '°C', units: { '°C': 1, '°F': { to: f => (f - 32) * 5 / 9, from: c => c * 9 / 5 + 32 } }, dp: 1 }
+    };
+
+    const PRESETS = {
+        SI: {
+            pco2: 'kPa', po2: 'kPa', hco3: 'mmol/L', be: 'mmol/L', sodium: 'mmol/L', potassium: 'mmol/L',
+            chloride: 'mmol/L', calcium: 'mmol/L', glucose: 'mmol/L', lactate: 'mmol/L', albumin: 'g/L', hb: 'g/L', fio2: '%',
+            so2: '%', spo2: '%', cohb: '%', methb: '%', temperature: '°C',
+            osmolality: 'mOsm/kg', urea: 'mmol/L', ethanol: 'mmol/L', ketones: 'mmol/L'
+        },
+        US: {
+            pco2: 'mmHg', po2: 'mmHg', hco3: 'mEq/L', be: 'mEq/L', sodium: 'mEq/L', potassium: 'mEq/L',
+            chloride: 'mEq/L', calcium: 'mg/dL', glucose: 'mg/dL', lactate: 'mg/dL', albumin: 'g/dL', hb: 'g/dL', fio2: '%',
+            so2: '%', spo2: '%', cohb: '%', methb: '%', temperature: '°F',
+            osmolality: 'mOsm/kg', urea: 'mg/dL', ethanol: 'mg/dL', ketones: 'mmol/L'
+        }
+    };
+
+    // Spellings seen on analyser printouts and in imported reports
+    const ALIASES = {
+        kpa: 'kPa',
+        mmhg: 'mmHg',
+        torr: 'mmHg',
+        'mmol/l': 'mmol/L',
+        'meq/l': 'mEq/L',
+        'mg/dl': 'mg/dL',
+        'g/dl': 'g/dL',
+        'g/l': 'g/L',
+        '%': '%',
+        'mosm/kg': 'mOsm/kg',
+        'mosmol/kg': 'mOsm/kg',
+        '°c': '°C',
+        degc: '°C',
+        c: '°C',
+        '°f': '°F',
+        degf: '°F',
+        f: '°F'
+    };
+
+    class UnitError extends Error {}
+
+    function canonicalUnit(text) {
+        if (!text) return null;
+        const key = String(text).trim().toLowerCase().replace(/\s+/g, '');
+        return ALIASES[key] || null;
+    }
+
+    function toCanonical(field, value, unit) {
+        const parsed = num(value);
+        const meta = FIELDS[field];
+        if (parsed === null || !meta || !unit || unit === meta.canonical) return parsed;
+        const factor = meta.units[unit];
+        if (factor === undefined) throw new UnitError(`Unsupported unit "${unit}" for ${field}`);
+        return round(typeof factor === 'object' ? factor.to(parsed) : parsed * factor, meta.dp + 1);
+    }
+
+    function fromCanonical(field, value, unit) {
+        const parsed = num(value);
+        const meta = FIELDS[field];
+        if (parsed === null || !meta || !unit || unit === meta.canonical) return parsed;
+        const factor = meta.units[unit];
+        if (factor === undefined) throw new UnitError(`Unsupported unit "${unit}" for ${field}`);
+        // Whole mmHg and mg/dL, except ionised calcium (about 4.8 mg/dL); albumin and Hb to 0.1 g/dL
+        const dp = unit === 'mg/dL' && field === 'calcium' ? 1 : unit === 'mmHg' || unit === 'mg/dL' ? 0 : unit === 'g/dL' ? 1 : meta.dp;
+        return round(typeof factor === 'object' ? factor.from(parsed) : parsed / factor, dp);
+    }
+
+    // Converts every field with a declared unit; fields without one are taken as canonical
+    function normaliseValues(values, units) {
+        values = values || {};
+        const out = { ...values };
+        const conversions = [];
+        for (const [field, unit] of Object.entries(units || {})) {
+            if (!FIELDS[field] || values[field] === null || values[field] === undefined || values[field] === '') continue;
+            const converted = toCanonical(field, values[field], unit);
+            out[field] = converted;
+            if (unit !== FIELDS[field].canonical) {
+                conversions.push({ field, from: unit, to: FIELDS[field].canonical, value: num(values[field]), converted });
+            }
+        }
+        return { values: out, conversions };
+    }
+
+    // Best guess for a number printed without a unit; ambiguous when both readings are plausible
+    function guessUnit(field, value) {
+        const v = num(value);
+        if (v === null) return null;
+        switch (field) {
+            case 'pco2':
+                if (v > 30) return { unit: 'mmHg', ambiguous: false };
+                if (v < 12) return { unit: 'kPa', ambiguous: false };
+                return { unit: 'kPa', ambiguous: true };
+            case 'po2':
+                if (v > 100) return { unit: 'mmHg', ambiguous: false };
+                if (v < 30) return { unit: 'kPa', ambiguous: false };
+                return { unit: 'mmHg', ambiguous: true };
+            case 'glucose':
+                if (v > 80) return { unit: 'mg/dL', ambiguous: false };
+                if (v < 40) return { unit: 'mmol/L', ambiguous: false };
+                return { unit: 'mmol/L', ambiguous: true };
+            case 'albumin':
+            case 'hb':
+                return v < 25 ? { unit: 'g/dL', ambiguous: false } : { unit: 'g/L', ambiguous: false };
+            case 'calcium':
+                return v > 3 ? { unit: 'mg/dL', ambiguous: false } : { unit: 'mmol/L', ambiguous: false };
+            case 'fio2':
+            case 'so2':
+                return v <= 1 ? { unit: 'fraction', ambiguous: false } : { unit: '%', ambiguous: false };
+            case 'temperature':
+                return v > 50 ? { unit: '°F', ambiguous: false } : { unit: '°C', ambiguous: false };
+            default:
+                return FIELDS[field] ? { unit: FIELDS[field].canonical, ambiguous: false } : null;
+        }
+    }
+
+    // The input field whose unit a calculated result is in, for converting it to the US preset
+    const CALCULATION_FIELDS = {
+        anionGap: 'hco3',
+        correctedAnionGap: 'hco3',
+        hendersonHasselbalch: 'hco3',
+        wintersFormula: 'pco2',
+        aaGradient: 'po2',
+        pfRatio: 'po2'
+    };
+
+    // Converts a calculated result (by its calculation key) to the field's unit in the display preset;
+    // results with no matching field, or already in another unit, are shown as calculated
+    function displayResult(key, value, unit, preset) {
+        const field = CALCULATION_FIELDS[key];
+        if (preset !== 'US' || !field || unit !== FIELDS[field].canonical || num(value) === null) return { value, unit };
+        const usUnit = PRESETS.US[field];
+        return { value: fromCanonical(field, value, usUnit), unit: usUnit };
+    }
+
+    return {
+        FIELDS,
+        PRESETS,
+        CALCULATION_FIELDS,
+        UnitError,
+        canonicalUnit,
+        toCanonical,
+        fromCanonical,
+        normaliseValues,
+        guessUnit,
+        displayResult
+    };
+});
@@ -0,0 +1,84 @@
+// Venous-to-arterial estimation for peripheral VBGs.
+// Uses the pooled mean arteriovenous differences from Byrne et al. (Respirology 2014),
+// which agree well for pH and HCO3- but only loosely for pCO2 - estimates are labelled as such.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'));
+    } else {
+        root.ABGVenous = factory(root.ABGCalculations);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations) {
+    const { normalise, round, isVenous } = ABGCalculations;
+
+    // Arterial = venous + offset; limits are the 95% limits of agreement for a single estimate
+    const METHOD = {
+        name: 'Mean arteriovenous difference (Byrne 2014 meta-analysis)',
+        ph: { offset: 0.033, limits: [-0.027, 0.093], dp: 3 },
+        pco2: { offset: -0.59, limits: [-3.44, 2.72], dp: 2 },
+        hco3: { offset: -1.03, limits: [-7.1, 5.0], dp: 1 }
+    };
+
+    // A venous pCO2 at or below 6.0 kPa (45 mmHg) reliably excludes arterial hypercapnia
+    const HYPERCAPNIA_SCREEN_KPA = 6.0;
+
+    function estimateArterial(values, sampleType) {
+        if (!isVenous(sampleType) || sampleType === 'Cord Venous') return null;
+        const v = normalise(values);
+        const estimates = {};
+        for (const key of ['ph', 'pco2', 'hco3']) {
+            if (v[key] === null) continue;
+            const { offset, limits, dp } = METHOD[key];
+            estimates[key] = {
+                venous: v[key],
+                estimated: round(v[key] + offset, dp),
+                range: [round(v[key] + limits[0], dp), round(v[key] + limits[1], dp)]
+            };
+        }
+
+        const caveats = [
+            'Estimated arterial values are approximations from a venous sample - obtain an ABG if precise values will change management.',
+            'pO2 from a venous sample does not reflect arterial oxygenation; P/F ratio and A-a gradient are not calculated.'
+        ];
+        let hypercapniaExcluded = null;
+        if (v.pco2 !== null) {
+            hypercapniaExcluded = v.pco2 <= HYPERCAPNIA_SCREEN_KPA;
+            caveats.push(hypercapniaExcluded
+                ? `Venous pCO2 ≤ ${HYPERCAPNIA_SCREEN_KPA} kPa - arterial hypercapnia is effectively excluded.`
+                : `Venous pCO2 > ${HYPERCAPNIA_SCREEN_KPA} kPa - arterial hypercapnia cannot be excluded; venous pCO2 agrees poorly with arterial, so confirm with an ABG if ventilatory failure is suspected.`);
+        }
+
+        return {
+            label: 'Estimated arterial values',
+            method: METHOD.name,
+            estimates,
+            hypercapniaExcluded,
+            suppressed: ['pfRatio', 'aaGradient'],
+            caveats
+        };
+    }
+
+    // The estimated values in the same shape as `values`, for classification
+    function arterialised(values, estimate) {
+        if (!estimate) return values;
+        const out = { ...values };
+        for (const [key, item] of Object.entries(estimate.estimates)) {
+            out[key] = item.estimated;
+        }
+        return out;
+    }
+
+    function describe(estimate) {
+        const units = { ph: '', pco2: ' kPa', hco3: ' mmol/L' };
+        const labels = { ph: 'pH', pco2: 'pCO2', hco3: 'HCO3-' };
+        const lines = Object.entries(estimate.estimates).map(([key, item]) =>
+            `${labels[key]}: venous ${item.venous}${units[key]} → estimated arterial ${item.estimated}${units[key]} (95% limits ${item.range[0]}-${item.range[1]})`);
+        return [`${estimate.label} - ${estimate.method}`, ...lines, ...estimate.caveats].join('\n');
+    }
+
+    return {
+        METHOD,
+        estimateArterial,
+        arterialised,
+        describe
+    };
+});
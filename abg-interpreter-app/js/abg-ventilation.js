@@ -0,0 +1,253 @@
+// Ventilated patients: oxygenation index, ventilatory ratio and dead space from the ventilator
+// settings, and the minute ventilation needed to reach a target pCO2. Settings are entered
+// as the ventilator shows them - mL, breaths/min and cmH2O - alongside predicted body weight.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./abg-calculations'));
+    } else {
+        root.ABGVentilation = factory(root.ABGCalculations);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ABGCalculations) {
+    const { normalise, num, round, isVenous, KPA_TO_MMHG } = ABGCalculations;
+
+    const MODES = {
+        'VC-AC': 'Volume control (assist-control)',
+        'PC-AC': 'Pressure control (assist-control)',
+        'SIMV': 'SIMV',
+        'PRVC': 'Pressure-regulated volume control',
+        'PSV': 'Pressure support',
+        'CPAP': 'CPAP',
+        'NIV': 'Non-invasive (BiPAP)',
+        'other': 'Other'
+    };
+
+    // Spontaneous modes: the set rate is not the delivered rate, so suggestions are advisory only
+    const SPONTANEOUS_MODES = ['PSV', 'CPAP', 'NIV'];
+
+    const DEFAULT_TARGET_PCO2 = 5.3;    // kPa
+    const PREDICTED_VCO2 = 2.6;         // mL/kg PBW/min - Siddiki 2010 estimate for the dead-space fraction
+    const CO2_CONSTANT = 0.863;         // converts VCO2 (mL/min STPD) / VA (L/min BTPS) to mmHg
+    const LUNG_PROTECTIVE_VT = [6, 8];  // mL/kg PBW
+    const MAX_RATE = 35;                // breaths/min
+
+    function readSettings(ventilator) {
+        const settings = ventilator || {};
+        return {
+            mode: MODES[settings.mode] ? settings.mode : null,
+            tidalVolume: num(settings.tidalVolume),
+            respiratoryRate: num(settings.respiratoryRate),
+            peep: num(settings.peep),
+            meanAirwayPressure: num(settings.meanAirwayPressure),
+            predictedBodyWeight: num(settings.predictedBodyWeight),
+            targetPco2: num(settings.targetPco2)
+        };
+    }
+
+    function minuteVentilation(s) {
+        if (s.tidalVolume === null || s.respiratoryRate === null) return null;
+        const value = s.tidalVolume * s.respiratoryRate / 1000;
+        return {
+            label: 'Minute Ventilation',
+            value: round(value, 1),
+            unit: 'L/min',
+            formula: 'Vt × RR',
+            working: `${s.tidalVolume} mL × ${s.respiratoryRate} /min = ${round(value, 1)} L/min`
+        };
+    }
+
+    function tidalVolumePerKg(s) {
+        if (s.tidalVolume === null || s.predictedBodyWeight === null) return null;
+        const value = s.tidalVolume / s.predictedBodyWeight;
+        return {
+            label: 'Tidal Volume per kg PBW',
+            value: round(value, 1),
+            unit: 'mL/kg',
+            formula: 'Vt ÷ PBW',
+            working: `${s.tidalVolume} ÷ ${s.predictedBodyWeight} = ${round(value, 1)} mL/kg`,
+            range: LUNG_PROTECTIVE_VT
+        };
+    }
+
+    // OI = FiO2 (%) × mean airway pressure (cmH2O) / PaO2 (mmHg)
+    function oxygenationIndex(v, s) {
+        if (v.po2 === null || v.fio2 === null || s.meanAirwayPressure === null) return null;
+        const fio2 = v.fio2 > 1 ? v.fio2 : v.fio2 * 100;
+        const po2MmHg = v.po2 * KPA_TO_MMHG;
+        const value = fio2 * s.meanAirwayPressure / po2MmHg;
+        let severity = 'Normal';
+        if (value >= 25) severity = 'Severe';
+        else if (value >= 16) severity = 'Moderate';
+        else if (value >= 8) severity = 'Mild';
+        return {
+            label: 'Oxygenation Index',
+            value: round(value, 1),
+            unit: '',
+            formula: 'FiO2 (%) × MAP (cmH2O) ÷ PaO2 (mmHg)',
+            working: `${fio2} × ${s.meanAirwayPressure} ÷ ${round(po2MmHg, 1)} = ${round(value, 1)}`,
+            range: [0, 8],
+            severity
+        };
+    }
+
+    // Sinha: measured VE × PaCO2 against the expected 100 mL/kg/min at a PaCO2 of 37.5 mmHg
+    function ventilatoryRatio(v, s, ve) {
+        if (!ve || v.pco2 === null || s.predictedBodyWeight === null) return null;
+        const pco2MmHg = v.pco2 * KPA_TO_MMHG;
+        const value = (ve.value * 1000 * pco2MmHg) / (s.predictedBodyWeight * 100 * 37.5);
+        return {
+            label: 'Ventilatory Ratio',
+            value: round(value, 2),
+            unit: '',
+            formula: '(VE (mL/min) × PaCO2 (mmHg)) ÷ (PBW × 100 × 37.5)',
+            working: `(${round(ve.value * 1000, 0)} × ${round(pco2MmHg, 1)}) ÷ (${s.predictedBodyWeight} × 100 × 37.5) = ${round(value, 2)}`,
+            range: [0.8, 1.2]
+        };
+    }
+
+    // Dead-space fraction with VCO2 predicted from PBW, as no exhaled CO2 measurement is entered
+    function deadSpace(v, s, ve) {
+        if (!ve || v.pco2 === null || s.predictedBodyWeight === null) return null;
+        const pco2MmHg = v.pco2 * KPA_TO_MMHG;
+        const vco2 = PREDICTED_VCO2 * s.predictedBodyWeight;
+        const alveolar = CO2_CONSTANT * vco2 / pco2MmHg;
+        const value = Math.min(Math.max(1 - alveolar / ve.value, 0), 0.95);
+        return {
+            label: 'Dead Space Fraction (estimated)',
+            value: round(value, 2),
+            unit: '',
+            formula: '1 - (0.863 × VCO2 ÷ PaCO2 (mmHg)) ÷ VE, VCO2 = 2.6 mL/kg PBW/min',
+            working: `1 - (0.863 × ${round(vco2, 0)} ÷ ${round(pco2MmHg, 1)}) ÷ ${ve.value} = ${round(value, 2)}`,
+            range: [0.2, 0.4],
+            alveolarVentilation: round(alveolar, 1)
+        };
+    }
+
+    // Alveolar ventilation scales inversely with PaCO2 at constant CO2 production and dead space
+    function targetVentilation(v, s, ve, vd) {
+        if (!ve || v.pco2 === null) return null;
+        const target = s.targetPco2 !== null ? s.targetPco2 : DEFAULT_TARGET_PCO2;
+        let value;
+        let working;
+        if (vd && vd.value > 0) {
+            const deadVentilation = ve.value - vd.alveolarVentilation;
+            const alveolar = vd.alveolarVentilation * v.pco2 / target;
+            value = alveolar + deadVentilation;
+            working = `${vd.alveolarVentilation} × ${v.pco2} ÷ ${target} + ${round(deadVentilation, 1)} dead-space = ${round(value, 1)} L/min`;
+        } else {
+            value = ve.value * v.pco2 / target;
+            working = `${ve.value} × ${v.pco2} ÷ ${target} = ${round(value, 1)} L/min`;
+        }
+        const rateAtCurrentVt = s.tidalVolume ? value * 1000 / s.tidalVolume : null;
+        return {
+            label: 'Target Minute Ventilation',
+            value: round(value, 1),
+            unit: 'L/min',
+            formula: vd && vd.value > 0
+                ? 'VA × PaCO2 ÷ target pCO2 + dead-space ventilation'
+                : 'VE × PaCO2 ÷ target pCO2',
+            working,
+            targetPco2: target,
+            respiratoryRate: rateAtCurrentVt !== null ? Math.round(rateAtCurrentVt) : null
+        };
+    }
+
+    function suggestions(v, s, results) {
+        const lines = [];
+        const { vtPerKg, target, ve } = results;
+        if (s.mode && SPONTANEOUS_MODES.includes(s.mode)) {
+            lines.push(`${MODES[s.mode]} - the patient sets the rate; the target minute ventilation is a guide to pressure support or a change of mode, not a set rate.`);
+        }
+        if (vtPerKg && vtPerKg.value > LUNG_PROTECTIVE_VT[1]) {
+            lines.push(`Tidal volume ${vtPerKg.value} mL/kg PBW is above ${LUNG_PROTECTIVE_VT[1]} - reduce towards ${LUNG_PROTECTIVE_VT[0]} mL/kg (${round(LUNG_PROTECTIVE_VT[0] * s.predictedBodyWeight, 0)} mL) and make up minute ventilation with rate.`);
+        }
+        if (target && ve && Math.abs(target.value - ve.value) >= 0.5) {
+            const direction = target.value > ve.value ? 'Increase' : 'Reduce';
+            let line = `${direction} minute ventilation from ${ve.value} to about ${target.value} L/min for a pCO2 of ${target.targetPco2} kPa`;
+            if (target.respiratoryRate !== null) {
+                line += ` - a rate of ${target.respiratoryRate} /min at the current tidal volume`;
+                if (target.respiratoryRate > MAX_RATE) line += `, above ${MAX_RATE} /min, so expect gas trapping and consider accepting a higher pCO2 (permissive hypercapnia with pH > 7.20)`;
+            }
+            lines.push(`${line}. Recheck the gas 20-30 minutes after the change.`);
+        } else if (target && ve) {
+            lines.push(`Current minute ventilation (${ve.value} L/min) is appropriate for a pCO2 of ${target.targetPco2} kPa.`);
+        }
+        if (v.hco3 !== null && v.hco3 > 30 && target && target.targetPco2 < v.pco2) {
+            lines.push(`HCO3- ${v.hco3} mmol/L suggests chronic CO2 retention - lowering pCO2 quickly to a normal value can cause post-hypercapnic alkalosis; aim for the patient's usual pCO2.`);
+        }
+        if (results.oi && results.oi.value >= 16) {
+            lines.push(`Oxygenation index ${results.oi.value} - consider higher PEEP${s.peep !== null ? ` than ${s.peep} cmH2O` : ''}, prone positioning and neuromuscular blockade per ARDS guidance.`);
+        }
+        if (results.vr && results.vr.value > 2) {
+            lines.push(`Ventilatory ratio ${results.vr.value} - high dead space; expect a large minute ventilation for modest pCO2 change.`);
+        }
+        return lines;
+    }
+
+    function assess(values, ventilator, options = {}) {
+        const s = readSettings(ventilator);
+        const entered = ['tidalVolume', 'respiratoryRate', 'peep', 'meanAirwayPressure', 'predictedBodyWeight'].some(key => s[key] !== null);
+        if (!entered && !s.mode) return null;
+
+        const v = normalise(values);
+        const venous = isVenous(options.sampleType);
+        const ve = minuteVentilation(s);
+        const vtPerKg = tidalVolumePerKg(s);
+        // Venous pO2 and pCO2 do not stand in for arterial values in these indices
+        const oi = venous ? null : oxygenationIndex(v, s);
+        const vr = venous ? null : ventilatoryRatio(v, s, ve);
+        const vd = venous ? null : deadSpace(v, s, ve);
+        const target = venous ? null : targetVentilation(v, s, ve, vd);
+
+        const missing = [];
+        if (!ve) missing.push('tidal volume and rate (for minute ventilation)');
+        if (s.predictedBodyWeight === null) missing.push('predicted body weight (for Vt/kg, ventilatory ratio and dead space)');
+        if (s.meanAirwayPressure === null) missing.push('mean airway pressure (for oxygenation index)');
+
+        return {
+            label: 'Ventilation',
+            settings: { ...s, modeLabel: s.mode ? MODES[s.mode] : null },
+            minuteVentilation: ve,
+            tidalVolumePerKg: vtPerKg,
+            oxygenationIndex: oi,
+            ventilatoryRatio: vr,
+            deadSpace: vd,
+            targetMinuteVentilation: target,
+            missing,
+            suggestions: venous
+                ? ['Venous sample - oxygenation index, ventilatory ratio, dead space and ventilation targets need an arterial gas.']
+                : suggestions(v, s, { vtPerKg, target, ve, oi, vr })
+        };
+    }
+
+    // Plain-text block for prompts and the offline report
+    function describe(assessment) {
+        const s = assessment.settings;
+        const settings = [
+            s.modeLabel,
+            s.tidalVolume !== null ? `Vt ${s.tidalVolume} mL` : null,
+            s.respiratoryRate !== null ? `RR ${s.respiratoryRate} /min` : null,
+            s.peep !== null ? `PEEP ${s.peep} cmH2O` : null,
+            s.meanAirwayPressure !== null ? `MAP ${s.meanAirwayPressure} cmH2O` : null,
+            s.predictedBodyWeight !== null ? `PBW ${s.predictedBodyWeight} kg` : null
+        ].filter(Boolean);
+        const lines = [`${assessment.label}: ${settings.join(', ')}`];
+        for (const key of ['minuteVentilation', 'tidalVolumePerKg', 'oxygenationIndex', 'ventilatoryRatio', 'deadSpace', 'targetMinuteVentilation']) {
+            const result = assessment[key];
+            if (result) lines.push(`${result.label}: ${result.working}${result.severity ? ` - ${result.severity}` : ''}`);
+        }
+        if (assessment.missing.length) lines.push(`Not calculated - needs ${assessment.missing.join('; ')}`);
+        lines.push(...assessment.suggestions.map(line => `• ${line}`));
+        return lines.join('\n');
+    }
+
+    return {
+        MODES,
+        DEFAULT_TARGET_PCO2,
+        oxygenationIndex,
+        ventilatoryRatio,
+        deadSpace,
+        targetVentilation,
+        assess,
+        describe
+    };
+});
@@ -0,0 +1,45 @@
+// Renders printout text lines as a one-page PDF in Courier, standing in for an analyser's PDF
+// export so OCR cases can be written as plain text. Characters outside Latin-1 are replaced.
+
+const PAGE_WIDTH = 420;     // pt
+const FONT_SIZE = 10;       // pt
+const LEADING = 13;         // pt
+const MARGIN = 36;          // pt
+
+const escape = (text) => text
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`);
+
+function renderPdf(lines) {
+    const height = MARGIN * 2 + LEADING * lines.length;
+    const content = [
+        'BT',
+        `/F1 ${FONT_SIZE} Tf`,
+        `${LEADING} TL`,
+        `${MARGIN} ${height - MARGIN - FONT_SIZE} Td`,
+        ...lines.map(line => `(${escape(line)}) Tj T*`),
+        'ET'
+    ].join('\n');
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${height}] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = { renderPdf };
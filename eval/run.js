@@ -0,0 +1,206 @@
+// Golden-case evaluation of analyze.js, ocr.js and hl7.js through their exports.handler.
+//
+//   npm run eval                        replay: mock provider with each case's recorded reply
+//   npm run eval -- --live              the provider configured in the environment (LLM_PROVIDER etc.)
+//   npm run eval -- --live --record     as --live, saving each reply to eval/recordings/<case id>/
+//   npm run eval -- --only dka-hagma    one case (repeatable)
+//   npm run eval -- --out report.json   write the report as JSON
+//   npm run eval -- --compare old.json  list cases and checks that changed since a saved report
+//
+// Cases live in eval/cases/analyze, eval/cases/ocr and eval/cases/hl7. OCR cases give the
+// printout as text lines (rendered to a PDF) or as a `file` under eval/printouts; HL7 cases name
+// a message under eval/messages, sent with the case's `request` options. Exits 1 when any case fails.
+
+const fs = require('fs');
+const path = require('path');
+const { renderPdf } = require('./printout');
+const { scoreAnalysis, scoreOcr, scoreHl7 } = require('./score');
+
+const CASES_DIR = path.join(__dirname, 'cases');
+const RECORDINGS_DIR = path.join(__dirname, 'recordings');
+const PRINTOUTS_DIR = path.join(__dirname, 'printouts');
+const MESSAGES_DIR = path.join(__dirname, 'messages');
+
+const MIME_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.pdf': 'application/pdf' };
+
+function parseArgs(argv) {
+    const args = { live: false, record: false, only: [], out: null, compare: null };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--live') args.live = true;
+        else if (arg === '--record') args.live = args.record = true;
+        else if (arg === '--only') args.only.push(argv[++index]);
+        else if (arg === '--out') args.out = argv[++index];
+        else if (arg === '--compare') args.compare = argv[++index];
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    return args;
+}
+
+function loadCases(kind, only) {
+    const directory = path.join(CASES_DIR, kind);
+    return fs.readdirSync(directory)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => ({ kind, ...JSON.parse(fs.readFileSync(path.join(directory, name), 'utf8')) }))
+        .filter(testCase => !only.length || only.includes(testCase.id));
+}
+
+function ocrBody(testCase) {
+    const page = testCase.file
+        ? {
+            data: fs.readFileSync(path.join(PRINTOUTS_DIR, testCase.file)).toString('base64'),
+            mimeType: MIME_TYPES[path.extname(testCase.file).toLowerCase()]
+        }
+        : { data: renderPdf(testCase.printout).toString('base64'), mimeType: 'application/pdf' };
+    return { images: [{ ...page, confirmedNoPatientDetails: true }], analyser: testCase.analyser };
+}
+
+// The provider is chosen per case through the environment, which the functions read on every call
+function configureProvider(testCase, args) {
+    const recording = path.join(RECORDINGS_DIR, testCase.id);
+    delete process.env.LLM_RECORD_FIXTURES;
+    if (args.live) {
+        if (args.record) process.env.LLM_RECORD_FIXTURES = recording;
+        return true;
+    }
+    const recorded = fs.existsSync(path.join(recording, `${testCase.kind === 'ocr' ? 'ocr' : 'analyze'}.json`));
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.LLM_MOCK_FIXTURES = recording;
+    return recorded;
+}
+
+function hl7Body(testCase) {
+    return { message: fs.readFileSync(path.join(MESSAGES_DIR, testCase.file), 'utf8'), ...testCase.request };
+}
+
+const requestBody = (testCase) => (testCase.kind === 'ocr' ? ocrBody(testCase) : testCase.kind === 'hl7' ? hl7Body(testCase) : testCase.request);
+
+async function runCase(testCase, args, handlers, sections) {
+    const recorded = configureProvider(testCase, args);
+    const body = requestBody(testCase);
+    const started = Date.now();
+    const result = await handlers[testCase.kind]({
+        httpMethod: 'POST',
+        headers: {
+            'x-nf-client-connection-ip': 'eval',
+            ...(process.env.ACCESS_TOKENS ? { authorization: `Bearer ${process.env.ACCESS_TOKENS.split(',')[0].trim()}` } : {})
+        },
+        body: JSON.stringify(body)
+    });
+    const response = JSON.parse(result.body);
+    const checks = [{ name: 'status', pass: result.statusCode === 200, expected: 200, actual: result.statusCode }];
+    if (result.statusCode === 200) {
+        if (testCase.kind === 'ocr') checks.push(...scoreOcr(testCase.expected, response));
+        else if (testCase.kind === 'hl7') checks.push(...scoreHl7(testCase.expected, response, { narrative: recorded, sections }));
+        else checks.push(...scoreAnalysis(testCase.expected, response, { narrative: recorded && response.source === 'ai', sections }));
+    } else {
+        checks[0].actual = `${result.statusCode} ${response.error || ''}`.trim();
+    }
+    return {
+        id: testCase.id,
+        kind: testCase.kind,
+        title: testCase.title,
+        pass: checks.every(item => item.pass),
+        recorded,
+        source: response.source || (response.analysis && response.analysis.source) || null,
+        model: response.model || (response.analysis && response.analysis.model) || null,
+        latencyMs: Date.now() - started,
+        checks
+    };
+}
+
+const failures = (result) => result.checks.filter(item => !item.pass);
+
+function printResult(result) {
+    const passed = result.checks.filter(item => item.pass && !item.skipped).length;
+    const scored = result.checks.filter(item => !item.skipped).length;
+    const skipped = result.checks.length - scored;
+    console.log(`${result.pass ? 'PASS' : 'FAIL'}  ${result.kind.padEnd(7)} ${result.id.padEnd(40)} ${passed}/${scored}${skipped ? ` (${skipped} skipped - ${result.recorded ? 'rule-based reply' : 'no recording'})` : ''}`);
+    for (const item of failures(result)) {
+        console.log(`        ${item.name}: expected ${JSON.stringify(item.expected)}, got ${JSON.stringify(item.actual)}`);
+    }
+}
+
+// Case and check outcomes that differ from an earlier report
+function compare(report, previous) {
+    const before = new Map(previous.cases.map(result => [result.id, result]));
+    const lines = [];
+    for (const result of report.cases) {
+        const old = before.get(result.id);
+        if (!old) {
+            lines.push(`new      ${result.id} ${result.pass ? 'PASS' : 'FAIL'}`);
+            continue;
+        }
+        if (old.pass !== result.pass) lines.push(`${result.pass ? 'fixed   ' : 'broken  '} ${result.id}`);
+        const oldChecks = new Map(old.checks.map(item => [item.name, item]));
+        for (const item of result.checks) {
+            const oldCheck = oldChecks.get(item.name);
+            if (oldCheck && oldCheck.pass !== item.pass) {
+                lines.push(`         ${result.id} ${item.name}: ${oldCheck.pass ? 'pass' : 'fail'} -> ${item.pass ? 'pass' : 'fail'}`);
+            }
+        }
+        before.delete(result.id);
+    }
+    for (const id of before.keys()) lines.push(`removed  ${id}`);
+    return lines;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    // Every case comes from one client, so the per-IP limit is lifted for the run
+    process.env.RATE_LIMIT_ANALYZE = process.env.RATE_LIMIT_OCR = process.env.RATE_LIMIT_HL7 = '100000';
+    // Printouts are synthetic PDFs with no patient details, which the OCR function refuses by default
+    process.env.ALLOW_UNMASKED_IMAGES = 'true';
+
+    const handlers = {
+        analyze: require('../netlify/functions/analyze').handler,
+        ocr: require('../netlify/functions/ocr').handler,
+        hl7: require('../netlify/functions/hl7').handler
+    };
+    const { ANALYSIS_SECTIONS, EXTRA_SECTIONS } = require('../netlify/functions/lib/schemas');
+    const sections = [...ANALYSIS_SECTIONS, ...EXTRA_SECTIONS];
+    const cases = [...loadCases('analyze', args.only), ...loadCases('ocr', args.only), ...loadCases('hl7', args.only)];
+    if (!cases.length) throw new Error('No cases selected');
+
+    // Function logging would bury the report
+    const log = { log: console.log, warn: console.warn, error: console.error };
+    const results = [];
+    for (const testCase of cases) {
+        console.log = console.warn = console.error = () => {};
+        let result;
+        try {
+            result = await runCase(testCase, args, handlers, sections);
+        } finally {
+            Object.assign(console, log);
+        }
+        printResult(result);
+        results.push(result);
+    }
+
+    const report = {
+        mode: args.live ? 'live' : 'replay',
+        provider: args.live ? process.env.LLM_PROVIDER || 'gemini' : 'mock',
+        startedAt: new Date().toISOString(),
+        passed: results.filter(result => result.pass).length,
+        total: results.length,
+        cases: results
+    };
+    const checks = results.flatMap(result => result.checks).filter(item => !item.skipped);
+    console.log(`\n${report.passed}/${report.total} cases passed (${checks.filter(item => item.pass).length}/${checks.length} checks) - ${report.mode}, ${report.provider}`);
+
+    if (args.out) {
+        fs.writeFileSync(args.out, `${JSON.stringify(report, null, 2)}\n`);
+        console.log(`Report written to ${args.out}`);
+    }
+    if (args.compare) {
+        const changes = compare(report, JSON.parse(fs.readFileSync(args.compare, 'utf8')));
+        console.log(changes.length ? `\nChanges since ${args.compare}:\n${changes.join('\n')}` : `\nNo changes since ${args.compare}`);
+    }
+    process.exitCode = report.passed === report.total ? 0 : 1;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,133 @@
+// Checks one function response against a golden case's `expected` block. Every check is
+// { name, pass, expected, actual } and may be `skipped` with a reason.
+
+const check = (name, pass, expected, actual) => ({ name, pass: Boolean(pass), expected, actual });
+const skip = (name, reason) => ({ name, pass: true, skipped: reason });
+
+const lower = (text) => String(text || '').toLowerCase();
+
+// A term is a string or a list of alternatives, e.g. ["DKA", "diabetic ketoacidosis"]
+const alternatives = (term) => [].concat(term);
+
+function within(actual, expected) {
+    const target = typeof expected === 'object' ? expected.value : expected;
+    const tolerance = typeof expected === 'object' && expected.tolerance !== undefined ? expected.tolerance : 1e-6;
+    return typeof actual === 'number' && Math.abs(actual - target) <= tolerance;
+}
+
+// analyze.js response; `narrative: false` skips the checks on the report prose
+function scoreAnalysis(expected, response, { narrative = true, sections = [] } = {}) {
+    const checks = [];
+    const interpretation = response.interpretation || {};
+
+    if (expected.primaryDisorder !== undefined) {
+        const actual = interpretation.primaryDisorder ? interpretation.primaryDisorder.key : null;
+        checks.push(check('primaryDisorder', actual === expected.primaryDisorder, expected.primaryDisorder, actual));
+    }
+    if (expected.compensation !== undefined) {
+        const actual = interpretation.compensation ? interpretation.compensation.verdict : null;
+        checks.push(check('compensation', actual === expected.compensation, expected.compensation, actual));
+    }
+    for (const term of expected.mixedDisorders || []) {
+        const found = (interpretation.mixedDisorders || []).some(item => lower(item).includes(lower(term)));
+        checks.push(check(`mixedDisorders ~ "${term}"`, found, term, interpretation.mixedDisorders || []));
+    }
+    for (const [key, value] of Object.entries(expected.calculations || {})) {
+        const result = (response.calculations || {})[key];
+        const actual = result ? result.value : null;
+        checks.push(check(`calculations.${key}`, within(actual, value), value, actual));
+    }
+
+    const text = lower(sections.map(key => response[key]).filter(Boolean).join('\n'));
+    for (const term of expected.mustMention || []) {
+        const name = `mentions ${alternatives(term).join(' | ')}`;
+        checks.push(narrative
+            ? check(name, alternatives(term).some(option => text.includes(lower(option))), term, null)
+            : skip(name, 'no recorded reply'));
+    }
+    for (const term of expected.mustNotMention || []) {
+        const name = `does not mention ${alternatives(term).join(' | ')}`;
+        checks.push(narrative
+            ? check(name, !alternatives(term).some(option => text.includes(lower(option))), term, null)
+            : skip(name, 'no recorded reply'));
+    }
+
+    const maxDiscrepancies = expected.maxDiscrepancies !== undefined ? expected.maxDiscrepancies : 0;
+    const discrepancies = (response.discrepancies || []).map(item => item.message);
+    checks.push(narrative
+        ? check('narrative discrepancies', discrepancies.length <= maxDiscrepancies, `<= ${maxDiscrepancies}`, discrepancies)
+        : skip('narrative discrepancies', 'no recorded reply'));
+    return checks;
+}
+
+// ocr.js response: values in SI after unit conversion, the analyser profile and flagged fields
+function scoreOcr(expected, response) {
+    const checks = [];
+    if (expected.analyser !== undefined) {
+        const actual = response.analyser ? response.analyser.key : null;
+        checks.push(check('analyser', actual === expected.analyser, expected.analyser, actual));
+    }
+    for (const [key, value] of Object.entries(expected.fields || {})) {
+        const field = (response.fields || {})[key];
+        const actual = field ? field.value : null;
+        checks.push(check(`fields.${key}`, value === null ? actual === null : within(actual, value), value, actual));
+    }
+    if (expected.flagged !== undefined) {
+        const actual = [...(response.flagged || [])].sort();
+        const wanted = [...expected.flagged].sort();
+        checks.push(check('flagged', JSON.stringify(actual) === JSON.stringify(wanted), wanted, actual));
+    }
+    return checks;
+}
+
+// hl7.js response: SI values, sample type, analyser, skipped and flagged results, and the
+// analysis when the case asked for one. `mustNotContain` lists text (patient identifiers in
+// the message) that must not appear anywhere in the response
+function scoreHl7(expected, response, options = {}) {
+    const checks = [];
+    if (expected.analyser !== undefined) {
+        const actual = response.analyser ? response.analyser.key : null;
+        checks.push(check('analyser', actual === expected.analyser, expected.analyser, actual));
+    }
+    if (expected.sampleType !== undefined) {
+        checks.push(check('sampleType', response.sampleType === expected.sampleType, expected.sampleType, response.sampleType));
+    }
+    if (expected.takenAt !== undefined) {
+        checks.push(check('takenAt', response.takenAt === expected.takenAt, expected.takenAt, response.takenAt));
+    }
+    for (const [key, value] of Object.entries(expected.values || {})) {
+        const actual = (response.values || {})[key];
+        checks.push(check(`values.${key}`, value === null ? actual === undefined : within(actual, value), value, actual === undefined ? null : actual));
+    }
+    const keys = (items) => [...new Set((items || []).map(item => item.key))].sort();
+    for (const list of ['skipped', 'unitMismatches']) {
+        if (expected[list] === undefined) continue;
+        const wanted = [...expected[list]].sort();
+        const actual = keys(response[list]);
+        checks.push(check(list, JSON.stringify(actual) === JSON.stringify(wanted), wanted, actual));
+    }
+    if (expected.abnormal !== undefined) {
+        const actual = Object.fromEntries((response.abnormal || []).map(item => [item.key, item.flag]));
+        checks.push(check('abnormal', JSON.stringify(actual) === JSON.stringify(expected.abnormal), expected.abnormal, actual));
+    }
+    const text = JSON.stringify(response);
+    for (const term of expected.mustNotContain || []) {
+        checks.push(check(`does not contain "${term}"`, !text.includes(term), term, null));
+    }
+    if (expected.analysis) {
+        const analysis = response.analysis;
+        checks.push(check('analysis', Boolean(analysis), 'analysis', response.analysisError || null));
+        if (analysis) {
+            const narrative = options.narrative && analysis.source === 'ai';
+            checks.push(...scoreAnalysis(expected.analysis, analysis, { ...options, narrative })
+                .map(item => ({ ...item, name: `analysis.${item.name}` })));
+        }
+    }
+    return checks;
+}
+
+module.exports = {
+    scoreAnalysis,
+    scoreOcr,
+    scoreHl7
+};
@@ -0,0 +1,132 @@
+// Streaming variant of analyze.js. The response is newline-delimited JSON:
+//   { type: 'calculations', ... }  deterministic results, sent before the model is called
+//   { type: 'section', key, text, source }  each report section as soon as it is complete
+//   { type: 'done', discrepancies, source, partial, sectionSources?, notice?, model }
+//   { type: 'error', error }  the analysis failed after the stream started
+// Once the stream ends the whole reply is checked as analyze.js checks it, with one repair attempt;
+// sections still missing or invalid are filled from the rule engine before 'done'.
+import llm from './lib/llm.js';
+import analysis from './lib/analysis.js';
+import schemas from './lib/schemas.js';
+import sectionStream from './lib/section-stream.js';
+import guard from './lib/guard.js';
+
+const headers = {
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Cache-Control': 'no-store, no-cache, must-revalidate'
+};
+
+const json = (status, body, extraHeaders = {}) => new Response(JSON.stringify(body), {
+    status,
+    headers: { ...headers, ...extraHeaders, 'Content-Type': 'application/json' }
+});
+
+export default async (req) => {
+    if (req.method !== 'POST') {
+        return json(405, { error: 'Method not allowed' });
+    }
+
+    // Same checks and limits as analyze.js. Counters live in each function instance's memory, so
+    // this function and analyze.js are rate limited separately, not against one shared count
+    const text = await req.text();
+    let rateHeaders;
+    try {
+        rateHeaders = guard.check('analyze', { headers: Object.fromEntries(req.headers), body: text });
+    } catch (error) {
+        if (!(error instanceof guard.GuardError)) throw error;
+        console.warn(`analyze-stream refused (${error.statusCode}): ${error.message}`);
+        return json(error.statusCode, { error: error.message }, error.headers);
+    }
+
+    const startTime = Date.now();
+
+    let prepared;
+    try {
+        prepared = analysis.prepare(JSON.parse(text));
+    } catch (error) {
+        if (error instanceof analysis.AnalysisInputError) return json(400, { error: error.message }, rateHeaders);
+        console.error(`[${new Date().toISOString()}] Function error:`, error);
+        return json(error instanceof SyntaxError ? 400 : 500, { error: 'An error occurred during analysis. Please try again.' }, rateHeaders);
+    }
+
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        async start(controller) {
+            const send = (event) => controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`));
+            try {
+                send({ type: 'calculations', ...prepared.deterministic });
+
+                // Sections are sent as they pass the schema; a failed one waits for the rule-based fill
+                const aiSections = {};
+                const reader = sectionStream.createSectionReader((key, text) => {
+                    const property = prepared.schema.properties[key];
+                    if (!property || key in aiSections || schemas.validate(property, text).length) return;
+                    aiSections[key] = text;
+                    send({ type: 'section', key, text, source: 'ai' });
+                });
+
+                const sectionKeys = Object.keys(prepared.schema.properties);
+                const provider = llm.getProvider();
+                const request = {
+                    task: 'analyze',
+                    system: prepared.systemPrompt,
+                    parts: [{ text: prepared.prompt }],
+                    temperature: 0.1,
+                    maxTokens: 8192
+                };
+                let model = null;
+                let notice = null;
+                try {
+                    const streamed = await llm.generate(provider, { ...request, schema: prepared.schema }, reader.push);
+                    model = streamed.model;
+                    if (sectionKeys.some(key => !(key in aiSections))) {
+                        const reply = await llm.generateJson(provider, request, { schema: prepared.schema, previous: streamed });
+                        model = reply.model;
+                        const invalid = reply.partial ? schemas.failedKeys(reply.errors) : [];
+                        const data = reply.data && typeof reply.data === 'object' && !Array.isArray(reply.data) ? reply.data : {};
+                        for (const key of sectionKeys) {
+                            if (key in aiSections || invalid.includes(key) || typeof data[key] !== 'string') continue;
+                            aiSections[key] = data[key];
+                            send({ type: 'section', key, text: data[key], source: 'ai' });
+                        }
+                    }
+                } catch (error) {
+                    if (!(error instanceof llm.LlmError)) throw error;
+                    console.error('AI request failed:', error.message);
+                    notice = analysis.failureNotice(error);
+                }
+
+                const missing = sectionKeys.filter(key => !(key in aiSections));
+                const { sections, sectionSources } = analysis.completeSections(prepared, aiSections, missing);
+                for (const key of missing) {
+                    send({ type: 'section', key, text: sections[key], source: 'rules' });
+                }
+
+                if (!Object.keys(aiSections).length) {
+                    console.warn(`Returning rule-based interpretation: ${notice || 'no valid AI sections'}`);
+                    send({
+                        type: 'done',
+                        discrepancies: [],
+                        source: 'rules',
+                        notice: notice || 'The AI response could not be read. Showing the offline rule-based interpretation.'
+                    });
+                } else {
+                    const summary = analysis.aiSummary(prepared, sections, sectionSources, model);
+                    send({ type: 'done', ...summary });
+                    console.log(`[${new Date().toISOString()}] Streamed analysis completed in ${Date.now() - startTime}ms${model ? ` using ${model.provider} (${model.name})` : ''}`);
+                }
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] Function error:`, error);
+                send({ type: 'error', error: 'An error occurred during analysis. Please try again.' });
+            }
+            controller.close();
+        }
+    });
+
+    return new Response(body, {
+        status: 200,
+        headers: { ...headers, ...rateHeaders, 'Content-Type': 'application/x-ndjson; charset=utf-8' }
+    });
+};
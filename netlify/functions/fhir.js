@@ -0,0 +1,112 @@
+// FHIR R4 exchange for EPR integration (mapping in abg-interpreter-app/js/abg-fhir.js):
+//   POST a Bundle of blood gas Observations  → { values, units, sampleType, takenAt, mapped,
+//                                                unmapped, unitMismatches, skipped, warnings }
+//   POST an analyze.js request body, with the analyze.js response as `analysis` when there is
+//   one → a collection Bundle with the DiagnosticReport. Calculations are always recomputed
+//   here; without `analysis` the narrative is the rule-based report.
+const ABGFHIR = require('../../abg-interpreter-app/js/abg-fhir');
+const ABGReport = require('../../abg-interpreter-app/js/abg-report');
+const analysis = require('./lib/analysis');
+const { verifyNarrative } = require('./lib/verify');
+const { ANALYSIS_SECTIONS, EXTRA_SECTIONS } = require('./lib/schemas');
+const guard = require('./lib/guard');
+
+exports.handler = guard.withGuard('fhir', async (event) => {
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'strict-origin-when-cross-origin',
+        'Cache-Control': 'no-store'
+    };
+
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    let body;
+    try {
+        body = JSON.parse(event.body);
+    } catch (error) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Request body must be JSON' })
+        };
+    }
+
+    try {
+        if (body && body.resourceType === 'Bundle') {
+            const result = ABGFHIR.importBundle(body);
+            console.log(`FHIR import: ${result.mapped.length} mapped, ${result.unmapped.length} unmapped, ${result.unitMismatches.length} unit mismatches`);
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify(result)
+            };
+        }
+
+        let prepared;
+        try {
+            prepared = analysis.prepare(body);
+        } catch (error) {
+            if (!(error instanceof analysis.AnalysisInputError)) throw error;
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: `${error.message} Send a FHIR Bundle to import, or an analysis request to export.` })
+            };
+        }
+
+        // Only the narrative is taken from the client's analysis; the numbers it quotes are checked again
+        const previous = body.analysis && typeof body.analysis === 'object' ? body.analysis : null;
+        const sectionKeys = [...ANALYSIS_SECTIONS, ...EXTRA_SECTIONS];
+        const aiSections = previous && previous.source === 'ai'
+            ? Object.fromEntries(sectionKeys.filter(key => typeof previous[key] === 'string').map(key => [key, previous[key]]))
+            : null;
+        const sections = aiSections && Object.keys(aiSections).length ? aiSections : prepared.ruleSections();
+        const source = sections === aiSections ? 'ai' : 'rules';
+
+        const data = {
+            values: prepared.values,
+            correctedValues: prepared.correctedValues,
+            sampleType: prepared.sampleType,
+            interpretation: prepared.interpretation,
+            calculations: prepared.calculations,
+            sections,
+            sectionSources: source === 'ai' ? previous.sectionSources : undefined,
+            source,
+            model: source === 'ai' ? previous.model : undefined,
+            discrepancies: source === 'ai'
+                ? verifyNarrative(sections, prepared.values, prepared.calculations, { sampleType: prepared.sampleType, correctedValues: prepared.correctedValues })
+                : [],
+            takenAt: body.takenAt,
+            generatedAt: new Date().toISOString()
+        };
+        const bundle = ABGFHIR.exportReport(data, { reportHtml: ABGReport.toHtml(data) });
+
+        return {
+            statusCode: 200,
+            headers: { ...headers, 'Content-Type': 'application/fhir+json' },
+            body: JSON.stringify(bundle)
+        };
+    } catch (error) {
+        if (error instanceof ABGFHIR.FHIRError) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: error.message })
+            };
+        }
+        console.error(`[${new Date().toISOString()}] FHIR function error:`, error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'An error occurred processing the FHIR request. Please try again.' })
+        };
+    }
+});
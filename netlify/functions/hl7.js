@@ -0,0 +1,97 @@
+// HL7 v2 ORU^R01 ingestion for analyser feeds (mapping in lib/hl7.js). The body is either the
+// raw message (ER7, optionally MLLP-framed) or JSON:
+//   { message, analyser?, analyze?, clinicalHistory?, patient?, displayUnits?, temperatureStrategy? }
+// Returns { message, analyser, values, units, sampleType, takenAt, mapped, abnormal, unmapped,
+// unitMismatches, skipped, warnings }. With `analyze: true` (or ?analyze=true for a raw
+// message) the mapped values are analysed in the same call and the analyze.js response is
+// added as `analysis`, or `analysisError` when the message cannot be analysed.
+const hl7 = require('./lib/hl7');
+const analysis = require('./lib/analysis');
+const guard = require('./lib/guard');
+
+const truthy = (value) => value === true || ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+
+exports.handler = guard.withGuard('hl7', async (event) => {
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'strict-origin-when-cross-origin',
+        'Cache-Control': 'no-store'
+    };
+
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const text = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body || '';
+    let request = { message: text, analyze: truthy((event.queryStringParameters || {}).analyze) };
+    if (text.trim().startsWith('{')) {
+        try {
+            request = JSON.parse(text);
+        } catch (error) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: 'Request body must be an HL7 message or JSON with a `message`' })
+            };
+        }
+    }
+
+    try {
+        const result = hl7.parseOru(request.message, { analyser: request.analyser });
+        console.log(`HL7 ingest ${result.message.controlId || '(no control id)'}: ${result.mapped.length} mapped, ${result.unmapped.length} unmapped, ${result.skipped.length} skipped, ${result.unitMismatches.length} unit mismatches`);
+        if (!truthy(request.analyze)) {
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify(result)
+            };
+        }
+
+        let prepared;
+        try {
+            prepared = analysis.prepare({
+                values: result.values,
+                units: result.units,
+                sampleType: result.sampleType || undefined,
+                takenAt: result.takenAt || undefined,
+                clinicalHistory: request.clinicalHistory,
+                patient: request.patient,
+                displayUnits: request.displayUnits,
+                temperatureStrategy: request.temperatureStrategy
+            });
+        } catch (error) {
+            if (!(error instanceof analysis.AnalysisInputError)) throw error;
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({ ...result, analysisError: error.message })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ ...result, analysis: await analysis.run(prepared) })
+        };
+    } catch (error) {
+        if (error instanceof hl7.HL7Error) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: error.message })
+            };
+        }
+        console.error(`[${new Date().toISOString()}] HL7 function error:`, error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'An error occurred processing the HL7 message. Please try again.' })
+        };
+    }
+});
@@ -0,0 +1,656 @@
+// Shared by analyze.js, analyze-stream.mjs and hl7.js: reads the request, computes the
+// deterministic results, builds the prompt and response schema, and assembles the response payloads.
+
+const ABGCalculations = require('../../../abg-interpreter-app/js/abg-calculations');
+const ABGRules = require('../../../abg-interpreter-app/js/abg-rules');
+const ABGTrends = require('../../../abg-interpreter-app/js/abg-trends');
+const ABGReferenceRanges = require('../../../abg-interpreter-app/js/abg-reference-ranges');
+const ABGVenous = require('../../../abg-interpreter-app/js/abg-venous');
+const ABGUnits = require('../../../abg-interpreter-app/js/abg-units');
+const ABGOximetry = require('../../../abg-interpreter-app/js/abg-oximetry');
+const ABGToxicAlcohols = require('../../../abg-interpreter-app/js/abg-toxic-alcohols');
+const ABGDKA = require('../../../abg-interpreter-app/js/abg-dka');
+const ABGTemperature = require('../../../abg-interpreter-app/js/abg-temperature');
+const ABGVentilation = require('../../../abg-interpreter-app/js/abg-ventilation');
+const llm = require('./llm');
+const { verifyNarrative } = require('./verify');
+const redact = require('./redact');
+const { analysisSchema, failedKeys } = require('./schemas');
+
+const MAX_PREVIOUS_SAMPLES = 24;
+
+// Bad request - the message is shown to the user
+class AnalysisInputError extends Error {}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+// An earlier sample from the episode in working units; the number in messages counts from 1
+function readPreviousSample(sample, index) {
+    const where = `Previous sample ${index + 1}`;
+    if (!isObject(sample) || !isObject(sample.values)) {
+        throw new AnalysisInputError(`${where} must be an object with takenAt and values.`);
+    }
+    if (!isDate(sample.takenAt)) throw new AnalysisInputError(`${where} needs a valid takenAt date.`);
+    if (sample.units !== undefined && sample.units !== null && !isObject(sample.units)) {
+        throw new AnalysisInputError(`${where} has invalid units.`);
+    }
+    try {
+        return { ...sample, values: ABGUnits.normaliseValues(sample.values, sample.units).values };
+    } catch (unitError) {
+        if (!(unitError instanceof ABGUnits.UnitError)) throw unitError;
+        throw new AnalysisInputError(`${where}: ${unitError.message}`);
+    }
+}
+
+// Everything one analysis needs; throws AnalysisInputError for a request that cannot be analysed
+function prepare(body) {
+    const { values: submittedValues, units, displayUnits, clinicalHistory, sampleType, mode, previousSamples, takenAt, patient, protocol, hoursSinceTreatment, weightKg, temperatureStrategy, ventilator } = body || {};
+
+    // Serial mode: previous samples from the same episode are interpreted as a trajectory
+    const serial = mode === 'serial' && Array.isArray(previousSamples) && previousSamples.length > 0;
+    if (serial && previousSamples.length > MAX_PREVIOUS_SAMPLES) {
+        throw new AnalysisInputError(`Too many previous samples (maximum ${MAX_PREVIOUS_SAMPLES}).`);
+    }
+    if (serial && takenAt !== undefined && takenAt !== null && !isDate(takenAt)) {
+        throw new AnalysisInputError('takenAt must be a valid date.');
+    }
+
+    // Everything downstream works in kPa, mmol/L and g/L; `units` declares any other input unit per field
+    let values;
+    let conversions;
+    let ventilatorSettings = null;
+    let earlierSamples = [];
+    try {
+        ({ values, conversions } = ABGUnits.normaliseValues(submittedValues, units));
+        // The target pCO2 is entered in the same unit as the measured pCO2
+        if (ventilator && typeof ventilator === 'object') {
+            ventilatorSettings = { ...ventilator, targetPco2: ABGUnits.toCanonical('pco2', ventilator.targetPco2, (units || {}).pco2) };
+        }
+        if (serial) earlierSamples = previousSamples.map(readPreviousSample);
+    } catch (unitError) {
+        if (!(unitError instanceof ABGUnits.UnitError)) throw unitError;
+        throw new AnalysisInputError(unitError.message);
+    }
+    const reportUnits = displayUnits === 'US' ? 'US' : 'SI';
+
+    // Identifiers are removed from the history before it goes anywhere near the prompt
+    const history = redact.redactText(typeof clinicalHistory === 'string' ? clinicalHistory : '', 'clinicalHistory');
+    const redaction = redact.report(history.items);
+    if (redaction.redacted) console.log(`PID redaction: ${redact.describe(redaction)}`);
+
+    if (!submittedValues || typeof values.ph !== 'number' || typeof values.pco2 !== 'number') {
+        throw new AnalysisInputError('Invalid input. pH and pCO₂ are required.');
+    }
+
+    // Reference ranges follow the patient's age and the sample type (adult when no age is given)
+    const profile = ABGReferenceRanges.resolveProfile({ patient, sampleType });
+    const ranges = profile.ranges;
+    const range = ABGReferenceRanges.formatRange;
+
+    // With a patient temperature, pH-stat interprets the corrected pH, pCO2 and pO2; alpha-stat keeps the 37 °C values
+    const temperatureCorrection = ABGTemperature.assess(values, { strategy: temperatureStrategy });
+    const interpretedValues = temperatureCorrection ? temperatureCorrection.interpretedValues : values;
+
+    // Deterministic calculations and rule-based interpretation are always returned
+    const calculations = ABGCalculations.calculate(interpretedValues, { sampleType });
+    const interpretation = ABGRules.interpret(interpretedValues, { calculations, sampleType, profile });
+    const venous = ABGCalculations.isVenous(sampleType);
+    const estimatedArterial = interpretation.estimatedArterial;
+    const oximetry = interpretation.oximetry;
+    const toxicAlcohol = interpretation.toxicAlcohol;
+    const ventilation = ventilatorSettings ? ABGVentilation.assess(interpretedValues, ventilatorSettings, { sampleType }) : null;
+    const samples = serial
+        ? ABGTrends.sortSamples([
+            ...earlierSamples,
+            { takenAt: takenAt || new Date().toISOString(), values, sampleType }
+        ])
+        : null;
+    const trend = serial ? ABGTrends.analyse(samples) : null;
+
+    // DKA/HHS protocol mode reads the measured (venous) values against the JBDS criteria
+    const dka = protocol === 'dka'
+        ? ABGDKA.assess(values, {
+            calculations,
+            sampleType,
+            anionGap: interpretation.anionGap,
+            trend,
+            hoursSinceTreatment: ABGCalculations.num(hoursSinceTreatment),
+            weightKg: ABGCalculations.num(weightKg)
+        })
+        : null;
+
+    // Report sections from the rule engine, for the offline report and any AI section that fails validation
+    const ruleSections = () => ABGRules.toSections(interpretation, interpretedValues, calculations,
+        { temperatureCorrection, ventilation, trend, dka });
+
+    // ENHANCED SYSTEM PROMPT - Matching clinical detail level
+    const systemPrompt = `You are a consultant clinical biochemist providing comprehensive blood gas interpretation.
+
+CRITICAL OUTPUT REQUIREMENTS:
+- Return ONLY a valid JSON object matching the response schema
+- NO markdown formatting, NO code blocks, NO explanatory text outside JSON
+- Provide extremely detailed clinical analysis matching consultant-level depth
+
+REQUIRED JSON STRUCTURE (ALL keys mandatory):
+{
+  "keyFindings": "string (400-600 words)",
+  "compensationAnalysis": "string (350-500 words)", 
+  "hhAnalysis": "string (detailed structured format)",
+  "stewartAnalysis": "string (detailed structured format)",
+  "additionalCalculations": "string (250-400 words)",
+  "differentials": "string (400-600 words)"
+}
+
+SECTION SPECIFICATIONS:
+
+"keyFindings": 
+- Start: "This patient presents with [specific detailed disorder description]"
+- Provide comprehensive pathophysiological explanation of the disorder
+- Discuss clinical severity and immediate risk stratification
+- Integrate all abnormal values with detailed clinical significance
+- Include compensation mechanisms and their physiological basis
+- Correlate findings with clinical history and presentation
+- Discuss potential complications and monitoring requirements
+- Address any diagnostic uncertainties or conflicting findings
+- Include prognostic indicators and timeframe considerations
+- Mention any critical interventions that may be needed urgently
+- Word count: 400-600 words
+
+"compensationAnalysis":
+- Provide detailed assessment of primary vs secondary disorders with mechanistic explanations
+- Include comprehensive calculation explanations with physiological rationale:
+  * For metabolic acidosis: Full Winter's formula with expected timeframes and limitations
+  * For respiratory disorders: Acute vs chronic compensation with cellular mechanisms
+  * Mixed disorders: Evidence for each component with quantitative analysis
+- Explain the detailed physiological basis for compensation mechanisms
+- Assess adequacy, timing, and sustainability of compensation responses
+- Discuss respiratory muscle fatigue risk and ventilatory limitations
+- Include renal compensation assessment where applicable
+- Address any compensation failures or inappropriate responses
+- Provide clinical implications of compensation patterns
+- Word count: 350-500 words
+
+"hhAnalysis":
+Use this comprehensive format:
+"Henderson-Hasselbalch Analysis
+pH: [value] (${range(ranges.ph)}) - [Detailed status with severity and clinical implications]
+pCO2: [value] kPa ([mmHg] mmHg) (${range(ranges.pco2, 'kPa')}) - [Detailed interpretation with physiological context]
+HCO3-: [value] mmol/L (${range(ranges.hco3, 'mmol/L')}) - [Detailed status with metabolic implications]
+Base Excess: [value] mmol/L (${ranges.be[0]} to +${ranges.be[1]} mmol/L) - [Detailed interpretation with buffer system analysis]
+
+Primary Disorder Assessment:
+[Comprehensive analysis of primary disorder with mechanistic explanation]
+[Detailed discussion of acid-base chemistry and buffer systems involved]
+
+Compensation Mechanisms:
+[Detailed respiratory compensation assessment with physiological rationale]
+[Renal compensation discussion where applicable]
+
+Mathematical Verification:
+[pH calculation verification using Henderson-Hasselbalch equation]
+[Discussion of any discrepancies and their clinical significance]
+
+Calculated Values:
+Anion Gap (AG) = [Na+] - ([Cl-] + [HCO3-]) = [full calculation] = [result] mmol/L (8-12 mmol/L) - [Detailed interpretation]
+Albumin-corrected AG: [Detailed calculation with albumin effect explanation] = [result] mmol/L - [Clinical significance]
+Delta Ratio = (AG - 12) / (24 - HCO3) = [full calculation] = [result]
+Delta Ratio Clinical Interpretation: [Comprehensive explanation of mixed disorders and diagnostic implications]
+
+Buffer System Analysis:
+[Discussion of bicarbonate, phosphate, protein, and hemoglobin buffer contributions]"
+
+"stewartAnalysis":
+Use this comprehensive format:
+"Stewart Physicochemical Analysis
+Strong Ion Difference Apparent (SIDa) = ([Na+] + [K+] + [Ca2+] + [Mg2+]) - ([Cl-] + [lactate] + [other measured anions]) = [full calculation] = [result] mmol/L (38-44 mmol/L)
+Strong Ion Difference Effective (SIDe) = [HCO3-] + [albumin effect] + [phosphate effect] + [other weak acids] = [detailed calculation] = [result] mmol/L
+Strong Ion Gap (SIG) = SIDa - SIDe = [calculation] = [result] mmol/L (normal 0±2)
+
+Mechanistic Interpretation:
+[Detailed explanation of each Stewart parameter and its physiological basis]
+[Discussion of independent variables: SID, Atot (weak acids), and pCO2]
+[Analysis of dependent variables: pH, HCO3-, and their regulation]
+
+Clinical Correlation:
+[How Stewart analysis explains the acid-base disorder mechanistically]
+[Comparison with traditional Henderson-Hasselbalch approach]
+[Identification of primary pathophysiological processes]
+
+Quantitative Assessment:
+[Detailed breakdown of unmeasured anions contributing to SIG]
+[Analysis of albumin and phosphate effects on acid-base balance]
+[Discussion of therapeutic implications based on Stewart parameters]"
+
+"additionalCalculations":
+- Include comprehensive calculation suite based on available data:
+  * P/F ratio calculations with detailed oxygenation assessment and ARDS criteria
+  * A-a gradient calculations with age-adjusted normal values and clinical interpretation
+  * Osmolar gap and toxic alcohol screening - only from the locally computed osmolar gap when one is given; never estimate measured osmolality
+  * Corrected calcium calculations if ionized calcium not available
+  * Bicarbonate deficit calculations for therapeutic planning
+  * Expected compensation calculations with timeframe analysis
+- Provide detailed clinical interpretation for each calculation
+- Discuss limitations and confounding factors for each parameter
+- Include monitoring recommendations and serial measurement importance
+- Address sample type limitations (arterial vs venous) with specific implications${venous ? `
+- VENOUS SAMPLE: do NOT calculate a P/F ratio or A-a gradient, do NOT grade ARDS or comment on oxygenation from pO2; state that oxygenation must be assessed with SpO2 or an arterial sample` : ''}
+- Clinical significance assessment for each calculated parameter
+- Integration with overall clinical picture and diagnostic workup
+- Therapeutic implications and target value discussions
+- Word count: 250-400 words
+
+"differentials":
+Provide consultant-level differential diagnosis with detailed clinical reasoning:
+"Differential Diagnoses
+
+PRIMARY ACID-BASE DISORDER:
+• **Most Likely: [primary diagnosis]** - [Comprehensive clinical correlation with supporting evidence, pathophysiology, and expected laboratory pattern]
+• **Alternative 1: [diagnosis]** - [Detailed analysis of supporting vs refuting evidence with clinical reasoning]
+• **Alternative 2: [diagnosis]** - [Thorough discussion of clinical context and diagnostic features]
+• **Additional consideration: [diagnosis]** - [Clinical pearls and distinguishing features]
+
+UNDERLYING PATHOPHYSIOLOGICAL MECHANISMS:
+• [Mechanism 1] - [Detailed explanation of how this leads to observed pattern]
+• [Mechanism 2] - [Clinical evidence and expected associated findings]
+
+CONTRIBUTING FACTORS AND COMPLICATIONS:
+• [Factor 1] - [How this modifies the clinical picture and prognosis]
+• [Factor 2] - [Therapeutic implications and monitoring requirements]
+
+IMMEDIATE CLINICAL PRIORITIES:
+• [Priority 1] - [Specific actions required with timeframe]
+• [Priority 2] - [Monitoring parameters and frequency]
+
+DIAGNOSTIC WORKUP RECOMMENDATIONS:
+• [Investigation 1] - [Clinical rationale and expected findings]
+• [Investigation 2] - [Diagnostic yield and therapeutic implications]
+
+PROGNOSTIC INDICATORS:
+• [Indicator 1] - [Clinical significance and outcome correlation]
+• [Indicator 2] - [Risk stratification and monitoring needs]"
+Word count: 400-600 words
+
+CLINICAL DEPTH REQUIREMENTS:
+- Provide senior consultant-level clinical reasoning throughout all sections
+- Include detailed pathophysiological explanations with mechanistic insights
+- Show ALL mathematical calculations step by step with clinical rationale
+- Correlate every finding with clinical context and therapeutic implications
+- Use **bold** for all abnormal values with severity grading
+- Include comprehensive severity assessments with prognostic indicators
+- Mention specific timeframes for monitoring and reassessment
+- Provide actionable clinical insights with immediate and long-term management
+- Use UK/European reference ranges with age-appropriate considerations
+- ${reportUnits === 'US'
+? 'REPORT UNITS: US conventional - pCO2/pO2 in mmHg, electrolytes in mEq/L, glucose and lactate in mg/dL, albumin and Hb in g/dL. Use these units in every section; keep the Henderson-Hasselbalch block format exactly as given'
+: 'REPORT UNITS: SI - pCO2/pO2 in kPa (mmHg in brackets), electrolytes in mmol/L, albumin and Hb in g/L'}
+- Patient population: ${profile.label}. Use the reference ranges given in this prompt, not adult defaults${profile.compensation === 'cord' ? `
+- This is an umbilical cord gas: do not apply adult compensation formulae; classify acidaemia as respiratory, metabolic or mixed using pCO2 and base deficit` : ''}${profile.key !== 'adult' && profile.compensation !== 'cord' ? `
+- Use paediatric differentials, drug doses and escalation pathways appropriate to a ${profile.label.toLowerCase()}` : ''}
+- Consider emergency vs routine scenarios with appropriate urgency indicators
+- Include clinical pearls and consultant-level insights throughout
+- Address diagnostic uncertainties with appropriate hedging and alternative considerations`;
+
+    // Build the analysis request with better structure
+    const analysisValues = { ...values };
+    
+    // Assume normal albumin if not provided
+    if (!analysisValues.albumin || isNaN(analysisValues.albumin)) {
+        analysisValues.albumin = 40;
+    }
+
+    // SI value, plus the US conversion when the report is in US units
+    const shown = (field, value) => {
+        const si = `${value} ${ABGUnits.FIELDS[field].canonical}`;
+        if (reportUnits !== 'US') return si;
+        const usUnit = ABGUnits.PRESETS.US[field];
+        return `${si} (${ABGUnits.fromCanonical(field, value, usUnit)} ${usUnit})`;
+    };
+
+    // Convert units and build structured prompt
+    const pco2_mmHg = (analysisValues.pco2 * 7.5).toFixed(1);
+    const po2_mmHg = analysisValues.po2 ? (analysisValues.po2 * 7.5).toFixed(1) : null;
+    
+    let prompt = `BLOOD GAS ANALYSIS REQUEST
+
+CLINICAL CONTEXT:
+History: ${history.text || 'Not provided'}
+Sample: ${sampleType || 'Arterial'}
+Patient: ${profile.label}${ABGReferenceRanges.ageInDays(patient) !== null ? `, age ${patient.age} ${patient.ageUnit || 'years'}` : ''}${patient && patient.weightKg ? `, weight ${patient.weightKg} kg` : ''}
+Reference ranges: pH ${range(ranges.ph)}, pCO2 ${range(ranges.pco2, 'kPa')}, pO2 ${range(ranges.po2, 'kPa')}, HCO3- ${range(ranges.hco3, 'mmol/L')}, BE ${range(ranges.be, 'mmol/L')}, lactate ${range(ranges.lactate, 'mmol/L')}, K+ ${range(ranges.potassium, 'mmol/L')}, glucose ${range(ranges.glucose, 'mmol/L')}${profile.notes.length ? `
+Population notes: ${profile.notes.join(' ')}` : ''}
+
+LABORATORY VALUES:`;
+
+    // Essential values
+    prompt += `
+Primary Gas Exchange:
+• pH: ${analysisValues.ph}
+• pCO2: ${analysisValues.pco2} kPa (${pco2_mmHg} mmHg)`;
+    
+    if (analysisValues.po2) {
+        prompt += `
+• pO2: ${analysisValues.po2} kPa (${po2_mmHg} mmHg)`;
+    }
+    
+    if (analysisValues.hco3) {
+        prompt += `
+• HCO3-: ${analysisValues.hco3} mmol/L`;
+    }
+    
+    if (analysisValues.be !== null && analysisValues.be !== undefined) {
+        prompt += `
+• Base Excess: ${analysisValues.be} mmol/L`;
+    }
+
+    // Electrolytes
+    if (analysisValues.sodium || analysisValues.potassium || analysisValues.chloride) {
+        prompt += `
+Electrolytes:`;
+        if (analysisValues.sodium) prompt += `
+• Na+: ${analysisValues.sodium} mmol/L`;
+        if (analysisValues.potassium) prompt += `
+• K+: ${analysisValues.potassium} mmol/L`;
+        if (analysisValues.chloride) prompt += `
+• Cl-: ${analysisValues.chloride} mmol/L`;
+    }
+
+    // Additional parameters
+    prompt += `
+Additional:
+• Albumin: ${shown('albumin', analysisValues.albumin)}${!values.albumin ? ' (assumed)' : ''}`;
+    
+    if (analysisValues.lactate) {
+        prompt += `
+• Lactate: ${shown('lactate', analysisValues.lactate)}`;
+    }
+    if (analysisValues.glucose) {
+        prompt += `
+• Glucose: ${shown('glucose', analysisValues.glucose)}`;
+    }
+    if (analysisValues.calcium) {
+        prompt += `
+• Ca2+: ${shown('calcium', analysisValues.calcium)}`;
+    }
+    if (analysisValues.hb) {
+        prompt += `
+• Hemoglobin: ${shown('hb', analysisValues.hb)}`;
+    }
+    if (analysisValues.fio2) {
+        prompt += `
+• FiO2: ${analysisValues.fio2}%`;
+    }
+
+    // Co-oximetry and bedside oxygenation
+    const oxygenation = [
+        ['so2', 'sO2 (co-oximetry)', '%'],
+        ['spo2', 'SpO2 (pulse oximetry)', '%'],
+        ['cohb', 'COHb', '%'],
+        ['methb', 'MetHb', '%'],
+        ['temperature', 'Patient temperature', '°C'],
+        ['cardiacOutput', 'Cardiac output', 'L/min']
+    ].filter(([key]) => ABGCalculations.num(analysisValues[key]) !== null);
+    if (oxygenation.length) {
+        prompt += `
+Co-oximetry / Oxygenation:`;
+        for (const [key, label, unit] of oxygenation) {
+            prompt += `
+• ${label}: ${analysisValues[key]} ${unit}`;
+        }
+    }
+
+    // Toxicology screen
+    const toxicology = [
+        ['osmolality', 'Measured osmolality', 'mOsm/kg'],
+        ['urea', 'Urea', 'mmol/L'],
+        ['ethanol', 'Ethanol', 'mmol/L'],
+        ['ketones', 'Blood ketones (beta-hydroxybutyrate)', 'mmol/L']
+    ].filter(([key]) => ABGCalculations.num(analysisValues[key]) !== null);
+    if (toxicology.length) {
+        prompt += `
+Toxicology:`;
+        for (const [key, label, unit] of toxicology) {
+            prompt += `
+• ${label}: ${analysisValues[key]} ${unit}`;
+        }
+    }
+
+    // The model is told to use the deterministic results rather than its own arithmetic
+    const calculationSummary = ABGCalculations.summarise(calculations);
+    if (calculationSummary) {
+        prompt += `
+
+VERIFIED CALCULATIONS (computed locally - quote these exact results, do not recalculate):
+${calculationSummary}`;
+    }
+
+    if (temperatureCorrection) {
+        prompt += `
+
+TEMPERATURE CORRECTION (computed locally - the LABORATORY VALUES above are the analyser's 37 °C values):
+${ABGTemperature.describe(temperatureCorrection)}
+${temperatureCorrection.strategy === 'ph-stat'
+    ? 'Interpret acid-base status and oxygenation on the corrected values (pH-stat); quote the corrected pH, pCO2 and pO2 in hhAnalysis and mention the 37 °C values alongside.'
+    : 'Interpret acid-base status on the 37 °C values (alpha-stat); quote the corrected values only as the true tensions at patient temperature.'}`;
+    }
+
+    if (ventilation) {
+        prompt += `
+
+MECHANICAL VENTILATION (computed locally):
+${ABGVentilation.describe(ventilation)}
+Discuss the oxygenation index, ventilatory ratio and dead space in additionalCalculations, and the ventilator adjustments in keyFindings, using these figures rather than your own.`;
+    }
+
+    if (estimatedArterial) {
+        prompt += `
+
+VENOUS SAMPLE - ESTIMATED ARTERIAL VALUES (computed locally):
+${ABGVenous.describe(estimatedArterial)}
+Classify the acid-base disorder on the estimated arterial values and say so. The venous pO2 is not an oxygenation measure.`;
+    }
+
+    if (oximetry) {
+        prompt += `
+
+CO-OXIMETRY (computed locally):
+${ABGOximetry.describe(oximetry)}
+Discuss the co-oximetry findings in keyFindings and differentials, including toxicological causes, antidotes and disposition where COHb or MetHb is raised.`;
+    }
+
+    if (toxicAlcohol) {
+        prompt += `
+
+TOXIC ALCOHOL SCREEN (computed locally):
+${ABGToxicAlcohols.describe(toxicAlcohol)}
+Discuss this likelihood in the differentials, using these gap values rather than your own.`;
+    }
+
+    if (dka) {
+        prompt += `
+
+DKA/HHS PROTOCOL (computed locally, JBDS criteria):
+${ABGDKA.describe(dka)}`;
+    }
+
+    if (trend) {
+        prompt += `
+
+SERIAL SAMPLES (same patient, oldest first, hours from the first sample):`;
+        // Elapsed time rather than timestamps, so no sample dates reach the prompt
+        const firstTakenAt = new Date(samples[0].takenAt);
+        for (const sample of samples) {
+            const v = sample.values;
+            const elapsed = ABGCalculations.round((new Date(sample.takenAt) - firstTakenAt) / 3600000, 1);
+            prompt += `
+• T+${elapsed}h${sample.sampleType ? ` (${sample.sampleType})` : ''}: pH ${v.ph ?? '-'}, pCO2 ${v.pco2 ?? '-'} kPa, HCO3- ${v.hco3 ?? '-'}, lactate ${v.lactate ?? '-'}, K+ ${v.potassium ?? '-'}, glucose ${v.glucose ?? '-'}`;
+        }
+        prompt += `
+
+TREND (computed locally):
+${ABGTrends.describe(trend)}`;
+    }
+
+    prompt += `
+
+ANALYSIS REQUIRED:
+Provide comprehensive interpretation following the exact JSON structure specified. Include all calculations and clinical correlation.`;
+
+    if (trend) {
+        prompt += `
+This is a serial sample. In addition to the six required keys, include "trendAnalysis": "string (200-350 words)" describing the trajectory and response to treatment - lactate clearance, anion gap closure, pH and bicarbonate recovery, potassium and glucose shifts - and what should change before the next gas.`;
+    }
+
+    if (dka) {
+        prompt += `
+DKA protocol mode is on. Also include "dkaAnalysis": "string (150-300 words)" applying the JBDS DKA/HHS guideline - diagnosis, severity, resolution status, hourly targets, potassium and insulin adjustments - using the locally computed checklist above rather than your own thresholds.`;
+    }
+
+    // Sections beyond the six standard ones are required when serial or DKA mode asked for them
+    const schema = analysisSchema([trend ? 'trendAnalysis' : null, dka ? 'dkaAnalysis' : null].filter(Boolean));
+
+    return {
+        values,
+        interpretedValues,
+        correctedValues: ABGTemperature.correctedValues(temperatureCorrection),
+        sampleType,
+        calculations,
+        interpretation,
+        trend,
+        dka,
+        ruleSections,
+        systemPrompt,
+        prompt,
+        schema,
+        // Deterministic results returned with every response, AI or not
+        deterministic: {
+            calculations,
+            interpretation,
+            estimatedArterial,
+            oximetry,
+            toxicAlcohol,
+            dka,
+            temperatureCorrection,
+            ventilation,
+            trend,
+            units: { display: reportUnits, conversions },
+            redaction
+        }
+    };
+}
+
+// Complete offline report for when the AI service cannot be used
+function ruleBasedPayload(analysis, notice) {
+    console.warn(`Returning rule-based interpretation: ${notice}`);
+    return {
+        ...analysis.ruleSections(),
+        ...analysis.deterministic,
+        discrepancies: [],
+        source: 'rules',
+        notice
+    };
+}
+
+// What the user is told when the model call fails
+function failureNotice(error) {
+    if (error.kind === 'config') return 'AI analysis is not configured. Showing the offline rule-based interpretation.';
+    if (error.kind === 'network') return 'The AI service could not be reached. Showing the offline rule-based interpretation.';
+    if (error.status === 429) return 'AI rate limit reached. Showing the offline rule-based interpretation - retry shortly for the full AI analysis.';
+    if (error.kind === 'empty') return 'No AI analysis was generated. Showing the offline rule-based interpretation.';
+    return 'AI analysis service temporarily unavailable. Showing the offline rule-based interpretation.';
+}
+
+const sectionName = (key) => key.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+// Sections that fail the schema come from the rule engine, and the response says so rather
+// than presenting a stub as an AI result
+function completeSections(analysis, aiSections, invalidSections) {
+    const sections = {};
+    const sectionSources = {};
+    const fallback = invalidSections.length ? analysis.ruleSections() : {};
+    for (const key of Object.keys(analysis.schema.properties)) {
+        const fromRules = invalidSections.includes(key);
+        sections[key] = fromRules ? fallback[key] : aiSections[key];
+        sectionSources[key] = fromRules ? 'rules' : 'ai';
+    }
+    return { sections, sectionSources };
+}
+
+// Response fields that follow the AI sections: verification, partial status and model metadata
+function aiSummary(analysis, sections, sectionSources, model) {
+    const invalidSections = Object.keys(sectionSources).filter(key => sectionSources[key] === 'rules');
+    const partial = invalidSections.length > 0;
+    if (partial) {
+        console.warn(`AI analysis partial - rule-based sections used for ${invalidSections.join(', ')}`);
+    }
+
+    // Check the numbers quoted in the prose against the submitted and computed values
+    const discrepancies = verifyNarrative(sections, analysis.values, analysis.calculations, { sampleType: analysis.sampleType, correctedValues: analysis.correctedValues });
+    if (discrepancies.length) {
+        console.warn(`Narrative verification found ${discrepancies.length} discrepancies`);
+    }
+
+    return {
+        discrepancies,
+        source: 'ai',
+        partial,
+        ...(partial ? {
+            sectionSources,
+            notice: `Part of the AI analysis was incomplete - the ${invalidSections.map(sectionName).join(', ')} ${invalidSections.length > 1 ? 'sections are' : 'section is'} from the rule-based interpretation.`
+        } : {}),
+        model
+    };
+}
+
+// Full payload from a schema-checked reply (see llm.generateJson)
+function aiPayload(analysis, reply) {
+    const invalidSections = reply.partial ? failedKeys(reply.errors).filter(key => analysis.schema.properties[key]) : [];
+    const { sections, sectionSources } = completeSections(analysis, reply.data, invalidSections);
+    return {
+        ...sections,
+        ...analysis.deterministic,
+        ...aiSummary(analysis, sections, sectionSources, reply.model)
+    };
+}
+
+// The analyze.js response for a prepared request: the AI report, or the rule-based one with a
+// notice when the model is not configured, fails or sends something unreadable
+async function run(analysis) {
+    const provider = llm.getProvider();
+    if (!provider.configured) {
+        console.error(`LLM provider ${provider.name} not configured`);
+        return ruleBasedPayload(analysis, failureNotice({ kind: 'config' }));
+    }
+
+    let reply;
+    try {
+        reply = await llm.generateJson(provider, {
+            task: 'analyze',
+            system: analysis.systemPrompt,
+            parts: [{ text: analysis.prompt }],
+            temperature: 0.1,
+            maxTokens: 8192
+        }, { schema: analysis.schema });
+    } catch (error) {
+        if (!(error instanceof llm.LlmError)) throw error;
+        console.error('AI request failed:', error.message);
+        return ruleBasedPayload(analysis, failureNotice(error));
+    }
+
+    if (!reply.data || typeof reply.data !== 'object' || Array.isArray(reply.data)) {
+        return ruleBasedPayload(analysis, 'The AI response could not be read. Showing the offline rule-based interpretation.');
+    }
+    return aiPayload(analysis, reply);
+}
+
+module.exports = {
+    MAX_PREVIOUS_SAMPLES,
+    AnalysisInputError,
+    prepare,
+    ruleBasedPayload,
+    failureNotice,
+    completeSections,
+    aiSummary,
+    aiPayload,
+    run
+};
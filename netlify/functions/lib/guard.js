@@ -0,0 +1,229 @@
+// Checks run on every POST before a function does any work or calls the model:
+//   size  - MAX_BODY_BYTES for the whole body, MAX_IMAGE_BYTES for each decoded image (413)
+//   rate  - RATE_LIMIT_<FUNCTION> requests per RATE_LIMIT_WINDOW_SECONDS, per IP and per token (429)
+//   auth  - when ACCESS_TOKENS (comma-separated) is set, a Bearer token is required (401): one of
+//           the access tokens, or a session token from session.js signed with SESSION_SECRET
+// Counters live in the function instance's memory, so each warm instance limits separately -
+// enough to stop quota being drained from one client, not a global quota.
+
+const crypto = require('crypto');
+
+const DEFAULT_WINDOW_SECONDS = 60;
+const DEFAULT_SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+// Requests per window when RATE_LIMIT_<FUNCTION> is not set
+const DEFAULT_RATE_LIMITS = {
+    analyze: 20,
+    ocr: 10,
+    fhir: 30,
+    hl7: 60,
+    session: 10
+};
+
+// Netlify's synchronous functions accept 6 MB; the OCR body carries up to four base64 images
+const DEFAULT_MAX_BODY_BYTES = {
+    analyze: 256 * 1024,
+    ocr: 6 * 1024 * 1024,
+    fhir: 512 * 1024,
+    hl7: 64 * 1024,
+    session: 4 * 1024
+};
+const DEFAULT_MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+// Expired counters are swept once the map grows past this
+const MAX_TRACKED_CLIENTS = 10000;
+
+const counters = new Map();
+
+class GuardError extends Error {
+    constructor(message, statusCode, headers = {}) {
+        super(message);
+        this.statusCode = statusCode;
+        this.headers = headers;
+    }
+}
+
+const positive = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+function settings(name, env = process.env) {
+    const key = name.toUpperCase();
+    return {
+        windowSeconds: positive(env.RATE_LIMIT_WINDOW_SECONDS, DEFAULT_WINDOW_SECONDS),
+        rateLimit: positive(env[`RATE_LIMIT_${key}`], DEFAULT_RATE_LIMITS[name] || DEFAULT_RATE_LIMITS.analyze),
+        maxBodyBytes: positive(env[`MAX_BODY_BYTES_${key}`] || env.MAX_BODY_BYTES, DEFAULT_MAX_BODY_BYTES[name] || DEFAULT_MAX_BODY_BYTES.analyze),
+        maxImageBytes: positive(env.MAX_IMAGE_BYTES, DEFAULT_MAX_IMAGE_BYTES),
+        accessTokens: String(env.ACCESS_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean),
+        sessionSecret: env.SESSION_SECRET || null,
+        sessionTtlSeconds: positive(env.SESSION_TTL_SECONDS, DEFAULT_SESSION_TTL_SECONDS)
+    };
+}
+
+const sameText = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Stable, non-reversible id for a token, used as its rate-limit key and session subject
+const tokenId = (token) => crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+// Session token: base64url({ sub, exp }).signature
+function issueSession(accessToken, config, now = Date.now()) {
+    const expiresAt = now + config.sessionTtlSeconds * 1000;
+    const payload = Buffer.from(JSON.stringify({ sub: tokenId(accessToken), exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${sign(payload, config.sessionSecret)}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+function readSession(token, config, now = Date.now()) {
+    if (!config.sessionSecret) return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined || !sameText(signature, sign(payload, config.sessionSecret))) return null;
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    if (!claims || typeof claims.sub !== 'string' || !(claims.exp > now)) return null;
+    // A session ends with its access token: removing a token from ACCESS_TOKENS revokes its sessions
+    if (!config.accessTokens.map(tokenId).includes(claims.sub)) return null;
+    return claims;
+}
+
+function isAccessToken(token, config) {
+    return config.accessTokens.some(accessToken => sameText(accessToken, token));
+}
+
+// Returns the client id for an accepted token; throws a 401 otherwise
+function authenticate(headers, config, now = Date.now()) {
+    const match = String(headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    const challenge = { 'WWW-Authenticate': 'Bearer realm="abg-interpreter"' };
+    if (!match) throw new GuardError('Access token required', 401, challenge);
+    const token = match[1];
+    if (isAccessToken(token, config)) return tokenId(token);
+    const session = readSession(token, config, now);
+    if (session) return session.sub;
+    throw new GuardError('Access token invalid or expired', 401, challenge);
+}
+
+// Fixed-window counter; throws a 429 with Retry-After once the limit is passed
+function consume(key, config, now = Date.now()) {
+    const windowMs = config.windowSeconds * 1000;
+    if (counters.size > MAX_TRACKED_CLIENTS) {
+        for (const [tracked, counter] of counters) {
+            if (now - counter.start >= windowMs) counters.delete(tracked);
+        }
+    }
+    let counter = counters.get(key);
+    if (!counter || now - counter.start >= windowMs) {
+        counter = { start: now, count: 0 };
+        counters.set(key, counter);
+    }
+    counter.count++;
+    const reset = Math.ceil((counter.start + windowMs - now) / 1000);
+    const remaining = Math.max(0, config.rateLimit - counter.count);
+    if (counter.count > config.rateLimit) {
+        throw new GuardError(`Too many requests - try again in ${reset} seconds`, 429, {
+            'Retry-After': String(reset),
+            'X-RateLimit-Limit': String(config.rateLimit),
+            'X-RateLimit-Remaining': '0'
+        });
+    }
+    return { limit: config.rateLimit, remaining };
+}
+
+const byteLength = (body, base64) => (base64 ? Math.floor(body.length * 3 / 4) : Buffer.byteLength(body || '', 'utf8'));
+
+// Decoded size of each image in an OCR body ({ image } or { images: [{ data }] }, base64 or data: URLs)
+function checkImages(body, config) {
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch (error) {
+        return;
+    }
+    const images = Array.isArray(parsed && parsed.images) ? parsed.images : parsed && parsed.image ? [parsed.image] : [];
+    images.forEach((image, index) => {
+        const data = String(typeof image === 'string' ? image : (image && image.data) || '').replace(/^data:[^,]*,/, '');
+        const bytes = byteLength(data, true);
+        if (bytes > config.maxImageBytes) {
+            throw new GuardError(`Image ${index + 1} is ${(bytes / 1048576).toFixed(1)} MB - the limit is ${(config.maxImageBytes / 1048576).toFixed(1)} MB. Use a smaller photo`, 413);
+        }
+    });
+}
+
+// The caller's IP as reported by Netlify's edge. X-Forwarded-For and Client-IP come from the
+// client and could be varied per request to dodge the limit, so without Netlify's header every
+// request shares one bucket
+function clientIp(headers) {
+    return headers['x-nf-client-connection-ip'] || 'unknown';
+}
+
+// Runs every check for one request ({ headers with lower-case names, body, isBase64Encoded }).
+// Returns the rate-limit headers for the response; throws a GuardError to refuse it.
+// `auth: false` skips the token check (the session exchange itself); `images` adds the image size check
+function check(name, request, options = {}) {
+    const config = settings(name, options.env);
+    const headers = request.headers || {};
+    const body = request.body || '';
+
+    const size = byteLength(body, request.isBase64Encoded);
+    if (size > config.maxBodyBytes) {
+        throw new GuardError(`Request is ${Math.ceil(size / 1024)} KB - the limit is ${Math.floor(config.maxBodyBytes / 1024)} KB`, 413);
+    }
+    if (options.images) checkImages(request.isBase64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body, config);
+
+    // Per IP first, so failed token guesses are throttled too
+    let usage = consume(`${name}:ip:${clientIp(headers)}`, config);
+    if (options.auth !== false && config.accessTokens.length) {
+        const client = authenticate(headers, config);
+        usage = consume(`${name}:token:${client}`, config);
+    }
+    return {
+        'X-RateLimit-Limit': String(usage.limit),
+        'X-RateLimit-Remaining': String(usage.remaining)
+    };
+}
+
+const lowerCaseKeys = (headers) => Object.fromEntries(Object.entries(headers || {}).map(([key, value]) => [key.toLowerCase(), value]));
+
+// Wraps an exports.handler: POSTs are checked before the handler runs; other methods pass
+// through so the handler can answer 405 itself
+function withGuard(name, handler, options = {}) {
+    return async (event, context) => {
+        if (event.httpMethod !== 'POST') return handler(event, context);
+        let rateHeaders;
+        try {
+            rateHeaders = check(name, { ...event, headers: lowerCaseKeys(event.headers) }, options);
+        } catch (error) {
+            if (!(error instanceof GuardError)) throw error;
+            console.warn(`${name} refused (${error.statusCode}): ${error.message}`);
+            return {
+                statusCode: error.statusCode,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Content-Type-Options': 'nosniff',
+                    'Cache-Control': 'no-store',
+                    ...error.headers
+                },
+                body: JSON.stringify({ error: error.message })
+            };
+        }
+        const response = await handler(event, context);
+        return { ...response, headers: { ...response.headers, ...rateHeaders } };
+    };
+}
+
+module.exports = {
+    GuardError,
+    settings,
+    issueSession,
+    isAccessToken,
+    check,
+    withGuard
+};
@@ -0,0 +1,353 @@
+// HL7 v2 ORU^R01 results from point-of-care blood gas analysers, mapped onto the `values` /
+// `sampleType` model that analyze.js takes. OBX results are matched by LOINC code (coding
+// system LN) or by the analyser's own labels (abg-analysers.js profiles), so the same rules
+// that keep pH(T) and standard bicarbonate out of OCR keep them out of a feed. Units are
+// converted to SI. The sample type comes from SPM-4 or OBR-15 and the analyser from MSH-3/4
+// and OBX-18. PID, PV1 and NTE segments are never read.
+
+const ABGAnalysers = require('../../../abg-interpreter-app/js/abg-analysers');
+const ABGCalculations = require('../../../abg-interpreter-app/js/abg-calculations');
+const ABGFHIR = require('../../../abg-interpreter-app/js/abg-fhir');
+const ABGUnits = require('../../../abg-interpreter-app/js/abg-units');
+
+const { num } = ABGCalculations;
+
+// Specimen codes from HL7 tables 0070 (OBR-15) and 0487 (SPM-4)
+const SPECIMEN_CODES = {
+    BLDA: 'Arterial',
+    BLDV: 'Venous',
+    BLDC: 'Capillary',
+    BLDCO: 'Cord'
+};
+
+// Free-text specimen descriptions, checked in order
+const SPECIMEN_TEXT = [
+    [/cord.*arter|arter.*cord/i, 'Cord Arterial'],
+    [/cord.*ven|ven.*cord/i, 'Cord Venous'],
+    [/capill/i, 'Capillary'],
+    [/ven/i, 'Venous'],
+    [/arter/i, 'Arterial']
+];
+
+// OBX-8 abnormal flags (HL7 table 0078) an analyser sends with a result
+const ABNORMAL_FLAGS = {
+    L: 'low',
+    H: 'high',
+    LL: 'critically low',
+    HH: 'critically high',
+    '<': 'below the measuring range',
+    '>': 'above the measuring range',
+    A: 'abnormal',
+    AA: 'critically abnormal',
+    N: 'normal'
+};
+const CRITICAL_FLAGS = ['LL', 'HH', 'AA', '<', '>'];
+
+// OBX-11 result statuses whose value is not to be used, and those still awaiting verification
+const UNUSABLE_STATUSES = { D: 'deleted', W: 'wrong result', X: 'result cannot be obtained' };
+const UNVERIFIED_STATUSES = { P: 'preliminary', R: 'not verified', I: 'pending' };
+
+const NUMERIC_TYPES = ['NM', 'SN', 'ST', 'TX'];
+
+class HL7Error extends Error {}
+
+const normaliseLabel = (label) => String(label || '').toLowerCase().replace(/\s+/g, '');
+
+// MLLP framing (0x0B ... 0x1C 0x0D) is dropped; segments may end in CR, LF or CRLF
+function segmentsOf(text) {
+    const message = String(text || '').replace(/^\u000b/, '').replace(/\u001c\r?$/, '').trim();
+    if (!message.startsWith('MSH')) throw new HL7Error('Expected an HL7 v2 message starting with an MSH segment');
+    const fieldSeparator = message[3];
+    const encoding = message.slice(4, 8);
+    if (!fieldSeparator || encoding.length < 4 || encoding.includes(fieldSeparator)) {
+        throw new HL7Error('The MSH segment does not declare the HL7 separators');
+    }
+    const [component, repetition, escape, subcomponent] = encoding;
+    const separators = { field: fieldSeparator, component, repetition, escape, subcomponent };
+    const segments = message.split(/\r\n|\r|\n/).filter(line => line.trim()).map(line => {
+        const fields = line.split(fieldSeparator);
+        // MSH-1 is the field separator itself, so MSH fields are shifted by one
+        if (fields[0] === 'MSH') fields.splice(1, 0, fieldSeparator);
+        return { type: fields[0], fields };
+    });
+    return { separators, segments };
+}
+
+// Undoes \F\, \S\, \T\, \R\ and \E\; other escapes (formatting, hex) are dropped
+function unescape(text, separators) {
+    const { escape } = separators;
+    if (!escape || !text.includes(escape)) return text;
+    const replacements = { F: separators.field, S: separators.component, T: separators.subcomponent, R: separators.repetition, E: escape };
+    const pattern = new RegExp(`\\${escape}([^\\${escape}]*)\\${escape}`, 'g');
+    return text.replace(pattern, (match, code) => (replacements[code] !== undefined ? replacements[code] : code === '.br' ? '\n' : ''));
+}
+
+// Components of a field's first repetition, unescaped
+function components(segment, index, separators) {
+    const raw = segment.fields[index] || '';
+    return raw.split(separators.repetition)[0].split(separators.component).map(part => unescape(part.split(separators.subcomponent)[0], separators).trim());
+}
+
+const component = (segment, index, separators, position = 0) => components(segment, index, separators)[position] || '';
+
+// HL7 DTM (YYYYMMDDHHMM[SS[.S]][+/-ZZZZ]) as ISO 8601. Without an offset the time is the
+// analyser's local time and is returned without a zone, as the browser then reads it
+function parseTime(text) {
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{4})?$/.exec(String(text || '').trim());
+    if (!match) return null;
+    const [, year, month, day, hour = '00', minute = '00', second = '00', offset] = match;
+    const local = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+    if (!offset) return local;
+    const date = new Date(`${local}${offset.slice(0, 3)}:${offset.slice(3)}`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const later = (a, b) => new Date(a).getTime() > new Date(b).getTime();
+
+function specimenType(coded) {
+    const [code, text, system] = coded;
+    if (!code && !text) return null;
+    if (/^(SCT|SNM|SNOMED)/i.test(system || '') && ABGFHIR.SPECIMEN_TYPES[code]) return ABGFHIR.SPECIMEN_TYPES[code];
+    const fromCode = SPECIMEN_CODES[String(code).toUpperCase()];
+    const described = SPECIMEN_TEXT.find(([pattern]) => pattern.test(`${code} ${text}`));
+    // Cord blood needs the text to say which vessel
+    if (fromCode === 'Cord') return described && described[1].startsWith('Cord') ? described[1] : null;
+    return fromCode || (described ? described[1] : null);
+}
+
+// label → field lookups for the analyser's profile, then the generic one
+function labelMatcher(profileKey) {
+    const profiles = [ABGAnalysers.resolve(profileKey), ABGAnalysers.resolve('generic')];
+    const synonyms = new Map();
+    for (const profile of profiles) {
+        for (const [field, labels] of Object.entries(profile.synonyms)) {
+            for (const label of labels) {
+                if (!synonyms.has(normaliseLabel(label))) synonyms.set(normaliseLabel(label), field);
+            }
+        }
+    }
+    // Labels any profile avoids (temperature-corrected rows, standard bicarbonate, ...)
+    const avoided = new Map();
+    for (const key of Object.keys(ABGAnalysers.PROFILES)) {
+        const profile = ABGAnalysers.resolve(key);
+        for (const [field, labels] of Object.entries(profile.avoid || {})) {
+            for (const label of labels) {
+                if (!avoided.has(normaliseLabel(label))) avoided.set(normaliseLabel(label), { field, reason: ABGAnalysers.checkLabel(profile, field, label) });
+            }
+        }
+    }
+    return (labels) => {
+        for (const label of labels.filter(Boolean)) {
+            const avoid = avoided.get(normaliseLabel(label));
+            if (avoid) return { key: avoid.field, label, avoid: avoid.reason };
+        }
+        for (const label of labels.filter(Boolean)) {
+            const field = synonyms.get(normaliseLabel(label));
+            if (field) return { key: field, label };
+        }
+        return null;
+    };
+}
+
+// The unit in the app's naming: UCUM code first, then the analyser's own spelling
+function unitOf(text) {
+    if (!text) return null;
+    return ABGFHIR.UCUM_UNITS[text] || ABGUnits.canonicalUnit(text);
+}
+
+// Numeric OBX-5: NM, a plain number sent as ST/TX, or SN (<comparator>^<number>). A value with
+// a comparator is outside the analyser's measuring range and cannot be used as a number
+function numericValue(type, parts) {
+    if (type === 'SN') {
+        const [comparator, first, separator] = parts;
+        if (comparator && comparator !== '=') return { outOfRange: `${comparator}${first}` };
+        if (separator) return { value: null };
+        return { value: num(first) };
+    }
+    const text = parts[0];
+    const comparator = /^([<>]=?)\s*-?\d/.exec(text);
+    if (comparator) return { outOfRange: text };
+    return { value: /^[+-]?(\d+\.?\d*|\.\d+)$/.test(text) ? num(text) : null };
+}
+
+// Returns { message, analyser, values, units, sampleType, takenAt, mapped, abnormal, unmapped,
+// unitMismatches, skipped, warnings }. `values` are in the app's SI units, so `units` is the SI
+// preset. `options.analyser` overrides the profile detected from the message header
+function parseOru(text, options = {}) {
+    const { separators, segments } = segmentsOf(text);
+    const msh = segments[0];
+    const messageType = components(msh, 9, separators);
+    if (messageType[0] !== 'ORU' || (messageType[1] && messageType[1] !== 'R01')) {
+        throw new HL7Error(`Expected an ORU^R01 results message, not ${messageType.filter(Boolean).join('^') || 'an untyped message'}`);
+    }
+
+    const observations = segments.filter(segment => segment.type === 'OBX');
+    if (!observations.length) throw new HL7Error('The message has no OBX result segments');
+
+    const equipment = observations.map(segment => components(segment, 18, separators).join(' ')).join(' ');
+    const headerText = [components(msh, 3, separators).join(' '), components(msh, 4, separators).join(' '), equipment].join(' ');
+    const detected = ABGAnalysers.detect(headerText);
+    const analyserKey = options.analyser && ABGAnalysers.PROFILES[options.analyser] ? options.analyser : detected || 'generic';
+    const analyser = ABGAnalysers.resolve(analyserKey);
+    const match = labelMatcher(analyser.key);
+
+    const values = {};
+    const read = {};
+    const mapped = [];
+    const abnormal = [];
+    const unmapped = [];
+    const unitMismatches = [];
+    const skipped = [];
+    const warnings = [];
+    const sampleTypes = new Set();
+    let collectedAt = null;
+    let analysedAt = null;
+
+    // Specimen segments apply to the whole message; a feed carries one sample per message
+    for (const segment of segments) {
+        const coded = segment.type === 'SPM' ? components(segment, 4, separators)
+            : segment.type === 'OBR' ? components(segment, 15, separators) : null;
+        if (!coded) continue;
+        const type = specimenType(coded);
+        if (type) sampleTypes.add(type);
+        else if (coded[0] || coded[1]) warnings.push(`Specimen "${coded[1] || coded[0]}" is not a blood gas sample type this app knows`);
+        const collected = parseTime(component(segment, segment.type === 'SPM' ? 17 : 7, separators));
+        if (collected && (!collectedAt || later(collected, collectedAt))) collectedAt = collected;
+    }
+
+    let unverified = 0;
+    for (const segment of observations) {
+        const [code, label, system, altCode, altLabel, altSystem] = components(segment, 3, separators);
+        const identifier = { code: code || null, text: label || null, system: system || null };
+        const loinc = [[code, system], [altCode, altSystem]].find(([value, coding]) => coding === 'LN' && ABGFHIR.CODES[value]);
+        const labelMatch = loinc ? null : match([label, code, altLabel, altCode]);
+        if (!loinc && !labelMatch) {
+            unmapped.push({ ...identifier, reason: 'Neither a LOINC code nor an analyser label this app maps' });
+            continue;
+        }
+        const entry = loinc ? ABGFHIR.CODES[loinc[0]] : null;
+        const key = entry ? entry.key : labelMatch.key;
+        const description = entry ? entry.display : labelMatch.label;
+
+        if (labelMatch && labelMatch.avoid) {
+            skipped.push({ key, ...identifier, reason: labelMatch.avoid });
+            continue;
+        }
+        const status = component(segment, 11, separators).toUpperCase();
+        if (UNUSABLE_STATUSES[status]) {
+            skipped.push({ key, ...identifier, reason: `Result status is ${status} (${UNUSABLE_STATUSES[status]})` });
+            continue;
+        }
+        const type = component(segment, 2, separators).toUpperCase();
+        if (type && !NUMERIC_TYPES.includes(type)) {
+            skipped.push({ key, ...identifier, reason: `Value type ${type} is not numeric` });
+            continue;
+        }
+        const result = numericValue(type, components(segment, 5, separators));
+        if (result.outOfRange) {
+            skipped.push({ key, ...identifier, reason: `${result.outOfRange} is outside the analyser's measuring range` });
+            continue;
+        }
+        if (result.value === null) {
+            skipped.push({ key, ...identifier, reason: 'No numeric result' });
+            continue;
+        }
+        const value = result.value;
+
+        const field = ABGUnits.FIELDS[key];
+        const [unitCode, unitText] = components(segment, 6, separators);
+        const given = unitCode || unitText || null;
+        let unit = key === 'ph' ? null : unitOf(unitCode) || unitOf(unitText);
+        if (field && !given) {
+            // Analysers always send units; an empty OBX-6 is only trusted where the value can tell
+            const guess = ABGUnits.guessUnit(key, value);
+            if (!guess || guess.ambiguous) {
+                unitMismatches.push({ key, ...identifier, unit: null, expected: Object.keys(field.units), action: 'skipped', reason: `No unit given for ${description} and ${value} could be in more than one unit` });
+                continue;
+            }
+            unit = guess.unit;
+            unitMismatches.push({ key, ...identifier, unit: null, expected: Object.keys(field.units), action: 'assumed', reason: `No unit given for ${description} - ${value} read as ${unit}` });
+        } else if (field && (!unit || field.units[unit] === undefined)) {
+            unitMismatches.push({ key, ...identifier, unit: given, expected: Object.keys(field.units), action: 'skipped', reason: `${given} cannot be converted for ${description}` });
+            continue;
+        }
+        const converted = field ? ABGUnits.toCanonical(key, value, unit) : value;
+
+        const observed = parseTime(component(segment, 14, separators));
+        const previous = read[key];
+        if (previous && previous.value === converted) continue;
+        if (previous) {
+            // A corrected result replaces the original; otherwise the later one stands
+            const replaces = status === 'C' || !previous.observed || !observed || !later(previous.observed, observed);
+            warnings.push(`${key} reported twice (${previous.value} and ${converted}) - using ${replaces ? converted : previous.value}${status === 'C' ? ', the corrected result' : ', the later result'}`);
+            if (!replaces) continue;
+            const index = mapped.findIndex(item => item.key === key);
+            if (index >= 0) mapped.splice(index, 1);
+            for (let index = abnormal.length - 1; index >= 0; index--) {
+                if (abnormal[index].key === key) abnormal.splice(index, 1);
+            }
+        }
+        read[key] = { value: converted, observed };
+        values[key] = converted;
+
+        const flags = (segment.fields[8] || '').split(separators.repetition).map(flag => flag.trim().toUpperCase()).filter(Boolean);
+        const range = component(segment, 7, separators) || null;
+        mapped.push({
+            key,
+            ...identifier,
+            value: converted,
+            unit: field ? field.canonical : null,
+            original: { value, unit: given },
+            referenceRange: range,
+            flags,
+            status: status || null
+        });
+        for (const flag of flags.filter(item => item !== 'N')) {
+            abnormal.push({ key, flag, meaning: ABNORMAL_FLAGS[flag] || 'abnormal' });
+            if (CRITICAL_FLAGS.includes(flag)) warnings.push(`The analyser flagged ${description} ${converted}${field ? ` ${field.canonical}` : ''} as ${ABNORMAL_FLAGS[flag]}`);
+        }
+        if (UNVERIFIED_STATUSES[status]) unverified++;
+
+        if (entry && entry.sample) sampleTypes.add(entry.sample);
+        if (observed && (!analysedAt || later(observed, analysedAt))) analysedAt = observed;
+    }
+
+    if (unverified) warnings.push(`${unverified} result${unverified > 1 ? 's are' : ' is'} not yet final (preliminary or unverified)`);
+    let sampleType = null;
+    if (sampleTypes.size === 1) {
+        sampleType = [...sampleTypes][0];
+    } else if (sampleTypes.size > 1) {
+        warnings.push(`The message describes more than one sample type (${[...sampleTypes].join(', ')}) - check the sample type before analysis`);
+    } else {
+        warnings.push('The message does not give the sample type - check it before analysis');
+    }
+    if (values.ph === undefined || values.pco2 === undefined) {
+        warnings.push('The message has no usable pH or pCO2 - both are needed for analysis');
+    }
+
+    return {
+        message: {
+            controlId: component(msh, 10, separators) || null,
+            sendingApplication: components(msh, 3, separators).filter(Boolean).join(' ') || null,
+            sentAt: parseTime(component(msh, 7, separators)),
+            version: component(msh, 12, separators) || null
+        },
+        analyser: { key: analyser.key, label: analyser.label, detected: Boolean(detected) },
+        values,
+        units: { ...ABGUnits.PRESETS.SI },
+        sampleType,
+        // Collection time from OBR-7/SPM-17, else the latest OBX-14 analysis time
+        takenAt: collectedAt || analysedAt,
+        mapped,
+        abnormal,
+        unmapped,
+        unitMismatches,
+        skipped,
+        warnings
+    };
+}
+
+module.exports = {
+    HL7Error,
+    parseOru
+};
@@ -0,0 +1,343 @@
+// Language model providers behind one call, selected with LLM_PROVIDER:
+//   gemini (default) - GEMINI_API_KEY, GEMINI_MODEL
+//   openai           - any OpenAI-compatible chat completions endpoint, including local servers:
+//                      OPENAI_BASE_URL, OPENAI_API_KEY (optional for local), OPENAI_MODEL
+//   mock             - no network; replies from fixture files for development and CI:
+//                      LLM_MOCK_FIXTURES (directory), falling back to the built-in fixtures
+// LLM_RECORD_FIXTURES (directory) saves every reply from any provider as <task>.json in the
+// mock fixture format, so a live run can be replayed later (see eval/run.js).
+// The clinical logic only sees { text, model } or an LlmError; generateJson() adds schema
+// enforcement, server-side validation and one repair attempt. Passing onText to generate()
+// streams the reply, chunk by chunk, as it is written.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schemas');
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+// kind: 'config' | 'network' | 'http' | 'empty' | 'unsupported' | 'fixture'
+class LlmError extends Error {
+    constructor(message, kind, status = null) {
+        super(message);
+        this.kind = kind;
+        this.status = status;
+    }
+}
+
+// Text and image parts in request order; images are { mimeType, data } with base64 data
+const textOf = (parts) => parts.filter(part => part.text !== undefined).map(part => part.text).join('\n');
+
+// Gemini takes an OpenAPI-style subset: upper-case types, `nullable` instead of type lists,
+// and no length limits (validate() still checks those)
+function toGeminiSchema(schema) {
+    const types = [].concat(schema.type);
+    const out = { type: types.find(type => type !== 'null').toUpperCase() };
+    if (types.includes('null')) out.nullable = true;
+    if (schema.enum) out.enum = schema.enum;
+    if (schema.properties) {
+        out.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+        // Keeps the reply in section order, so keyFindings is written first
+        out.propertyOrdering = Object.keys(schema.properties);
+    }
+    if (schema.required) out.required = schema.required;
+    return out;
+}
+
+async function send(url, headers, payload, label) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(payload)
+        });
+    } catch (error) {
+        throw new LlmError(`${label} request failed: ${error.message}`, 'network');
+    }
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        console.error(`${label} API error (${response.status}):`, detail.substring(0, 500));
+        throw new LlmError(`${label} API error ${response.status}`, 'http', response.status);
+    }
+    return response;
+}
+
+async function post(url, headers, payload, label) {
+    return (await send(url, headers, payload, label)).json();
+}
+
+// Calls onEvent with each parsed `data:` line of a server-sent event stream, up to [DONE]
+async function readEvents(response, label, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value, { stream: !done });
+            const lines = buffer.split(/\r?\n/);
+            buffer = done ? '' : lines.pop();
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') return;
+                if (data) onEvent(JSON.parse(data));
+            }
+            if (done) return;
+        }
+    } catch (error) {
+        if (error instanceof SyntaxError) throw new LlmError(`${label} stream unreadable: ${error.message}`, 'http');
+        throw new LlmError(`${label} stream interrupted: ${error.message}`, 'network');
+    }
+}
+
+function geminiProvider(env) {
+    const apiKey = env.GEMINI_API_KEY;
+    const model = env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL;
+    const url = (method, query = '') => `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}?${query}key=${apiKey}`;
+    const payload = ({ system, parts, schema, temperature = 0.1, maxTokens = 2000 }) => ({
+        contents: [{
+            parts: parts.map(part => (part.image
+                ? { inlineData: { mimeType: part.image.mimeType, data: part.image.data } }
+                : { text: part.text }))
+        }],
+        systemInstruction: { parts: [{ text: system }] },
+        generationConfig: {
+            temperature,
+            topK: 1,
+            topP: 0.8,
+            maxOutputTokens: maxTokens,
+            candidateCount: 1,
+            ...(schema ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) } : {})
+        }
+    });
+    const textOfReply = (data) => data.candidates?.[0]?.content?.parts?.[0]?.text;
+    const usageOf = (data) => (data.usageMetadata
+        ? { inputTokens: data.usageMetadata.promptTokenCount, outputTokens: data.usageMetadata.candidatesTokenCount }
+        : null);
+    return {
+        name: 'gemini',
+        model,
+        configured: Boolean(apiKey),
+        async generate(request) {
+            const data = await post(url('generateContent'), {}, payload(request), 'Gemini');
+            return { text: textOfReply(data), usage: usageOf(data) };
+        },
+        async stream(request, onText) {
+            const response = await send(url('streamGenerateContent', 'alt=sse&'), {}, payload(request), 'Gemini');
+            let text = '';
+            let usage = null;
+            await readEvents(response, 'Gemini', (data) => {
+                const chunk = textOfReply(data);
+                if (chunk) {
+                    text += chunk;
+                    onText(chunk);
+                }
+                usage = usageOf(data) || usage;
+            });
+            return { text, usage };
+        }
+    };
+}
+
+function openAiProvider(env) {
+    const baseUrl = (env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+    const apiKey = env.OPENAI_API_KEY;
+    const model = env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL;
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const payload = ({ system, parts, schema, task, temperature = 0.1, maxTokens = 2000 }) => {
+        const content = parts.map(part => {
+            if (!part.image) return { type: 'text', text: part.text };
+            if (!part.image.mimeType.startsWith('image/')) {
+                throw new LlmError(`${part.image.mimeType} input is not supported by the OpenAI-compatible provider`, 'unsupported');
+            }
+            return { type: 'image_url', image_url: { url: `data:${part.image.mimeType};base64,${part.image.data}` } };
+        });
+        return {
+            model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: content.every(item => item.type === 'text') ? textOf(parts) : content }
+            ],
+            temperature,
+            max_tokens: maxTokens,
+            ...(schema ? { response_format: { type: 'json_schema', json_schema: { name: task || 'response', schema } } } : {})
+        };
+    };
+    const usageOf = (data) => (data.usage
+        ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens }
+        : null);
+    return {
+        name: 'openai',
+        model,
+        // Hosted endpoints need a key; a local server on a custom base URL may not
+        configured: Boolean(apiKey || env.OPENAI_BASE_URL),
+        async generate(request) {
+            const data = await post(`${baseUrl}/chat/completions`, headers, payload(request), 'OpenAI-compatible');
+            return { text: data.choices?.[0]?.message?.content, usage: usageOf(data) };
+        },
+        async stream(request, onText) {
+            const response = await send(`${baseUrl}/chat/completions`, headers, { ...payload(request), stream: true }, 'OpenAI-compatible');
+            let text = '';
+            let usage = null;
+            await readEvents(response, 'OpenAI-compatible', (data) => {
+                const chunk = data.choices?.[0]?.delta?.content;
+                if (chunk) {
+                    text += chunk;
+                    onText(chunk);
+                }
+                usage = usageOf(data) || usage;
+            });
+            return { text, usage };
+        }
+    };
+}
+
+// Fixture key: the task plus a hash of everything sent, so a recorded reply only matches its own request
+function fixtureKey(task, system, parts) {
+    const hash = crypto.createHash('sha256')
+        .update(JSON.stringify({ system, parts }))
+        .digest('hex')
+        .slice(0, 16);
+    return `${task}-${hash}`;
+}
+
+// Streamed fixture replies arrive in chunks of this size
+const MOCK_CHUNK_LENGTH = 64;     // characters
+
+// Looks for <task>-<hash>.json, then <task>.json, in LLM_MOCK_FIXTURES and then the built-in fixtures
+function mockProvider(env) {
+    const directories = [env.LLM_MOCK_FIXTURES, path.join(__dirname, 'fixtures')].filter(Boolean);
+    return {
+        name: 'mock',
+        model: 'fixture',
+        configured: true,
+        async generate({ system, parts, task = 'default' }) {
+            const key = fixtureKey(task, system, parts);
+            for (const directory of directories) {
+                for (const name of [`${key}.json`, `${task}.json`]) {
+                    const file = path.join(directory, name);
+                    if (!fs.existsSync(file)) continue;
+                    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+                    if (fixture.error) throw new LlmError(fixture.error.message || 'Mock provider error', fixture.error.kind || 'http', fixture.error.status || null);
+                    return {
+                        text: typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response),
+                        usage: null,
+                        fixture: path.basename(file, '.json')
+                    };
+                }
+            }
+            throw new LlmError(`No mock fixture for ${key}`, 'fixture');
+        },
+        async stream(request, onText) {
+            const result = await this.generate(request);
+            for (let start = 0; start < result.text.length; start += MOCK_CHUNK_LENGTH) {
+                onText(result.text.slice(start, start + MOCK_CHUNK_LENGTH));
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            return result;
+        }
+    };
+}
+
+const PROVIDERS = {
+    gemini: geminiProvider,
+    openai: openAiProvider,
+    mock: mockProvider
+};
+
+function getProvider(env = process.env) {
+    const name = String(env.LLM_PROVIDER || 'gemini').toLowerCase();
+    if (!PROVIDERS[name]) {
+        console.error(`Unknown LLM_PROVIDER "${name}" - use ${Object.keys(PROVIDERS).join(', ')}`);
+        return { name, model: null, configured: false };
+    }
+    return PROVIDERS[name](env);
+}
+
+function recordFixture(directory, task, text) {
+    let response = text;
+    try {
+        response = JSON.parse(text);
+    } catch (error) {
+        // Kept as text - the replay sees exactly what the provider sent
+    }
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, `${task || 'default'}.json`), `${JSON.stringify({ response }, null, 2)}\n`);
+}
+
+// One model call; resolves to the text and the metadata returned to the client
+async function generate(provider, request, onText = null) {
+    if (!provider.configured) {
+        throw new LlmError(`LLM provider ${provider.name} is not configured`, 'config');
+    }
+    const started = Date.now();
+    console.log(`[${new Date().toISOString()}] ${request.task || 'LLM'} request to ${provider.name} (${provider.model})`);
+    const result = onText ? await provider.stream(request, onText) : await provider.generate(request);
+    if (!result.text) throw new LlmError(`Empty response from ${provider.name}`, 'empty');
+    if (process.env.LLM_RECORD_FIXTURES && provider.name !== 'mock') {
+        recordFixture(process.env.LLM_RECORD_FIXTURES, request.task, result.text);
+    }
+    return {
+        text: result.text,
+        model: {
+            provider: provider.name,
+            name: provider.model,
+            latencyMs: Date.now() - started,
+            ...(result.usage ? { usage: result.usage } : {}),
+            ...(result.fixture ? { fixture: result.fixture } : {})
+        }
+    };
+}
+
+// The whole previous reply goes back (maxTokens bounds it) - a cut-off copy hides failing fields
+// near the end and leaves the model to rewrite sections it never saw
+function repairPrompt(text, errors) {
+    return `Your previous reply did not match the required JSON schema:
+${errors.slice(0, 20).map(error => `- ${error.path}: ${error.message}`).join('\n')}
+
+Previous reply:
+${String(text)}
+
+Return the complete corrected JSON object only - every required key, no markdown.`;
+}
+
+// A schema-checked JSON reply. The first invalid reply is sent back with its errors for repair;
+// if that also fails, `partial` is set and `data` is whatever parsed (or null). `previous` is a
+// reply already received from generate() (a streamed one), checked as the first attempt
+async function generateJson(provider, request, { schema, attempts = 2, previous = null }) {
+    let parts = request.parts;
+    let latencyMs = 0;
+    let last;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        const reply = attempt === 1 && previous ? previous : await generate(provider, { ...request, parts, schema });
+        latencyMs += reply.model.latencyMs;
+        let data = null;
+        let errors;
+        try {
+            data = JSON.parse(reply.text.trim());
+            errors = validate(schema, data);
+        } catch (error) {
+            errors = [{ path: '$', message: `not valid JSON (${error.message})` }];
+        }
+        last = { data, errors, model: { ...reply.model, latencyMs, attempts: attempt } };
+        if (!errors.length) return { ...last, partial: false };
+
+        console.warn(`${request.task || 'LLM'} reply failed validation (attempt ${attempt}/${attempts}): ${errors.slice(0, 5).map(error => `${error.path} ${error.message}`).join('; ')}`);
+        parts = [...request.parts, { text: repairPrompt(reply.text, errors) }];
+    }
+    return { ...last, partial: true };
+}
+
+module.exports = {
+    LlmError,
+    PROVIDERS,
+    fixtureKey,
+    getProvider,
+    generate,
+    generateJson
+};
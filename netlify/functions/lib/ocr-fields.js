@@ -0,0 +1,207 @@
+// Turns the model's per-field OCR output into values the form can use, keeping the printed
+// label, text and unit alongside each one so the user can review them before analysis.
+
+const ABGUnits = require('../../../abg-interpreter-app/js/abg-units');
+const { num } = require('../../../abg-interpreter-app/js/abg-calculations');
+
+const ABGAnalysers = require('../../../abg-interpreter-app/js/abg-analysers');
+const { OCR_FIELD_KEYS: FIELD_KEYS } = require('./schemas');
+
+const CONFIDENCE = ['high', 'medium', 'low'];
+
+// Physiologically possible values after conversion to SI; anything outside is rejected
+const BOUNDS = {
+    ph: [6.0, 8.0],
+    pco2: [0.5, 30],
+    po2: [0.5, 100],
+    hco3: [2, 60],
+    sodium: [80, 200],
+    potassium: [1, 12],
+    chloride: [50, 150],
+    albumin: [10, 70],
+    lactate: [0, 30],
+    glucose: [0, 80],
+    calcium: [0.2, 5],
+    hb: [30, 250],
+    be: [-50, 50],
+    fio2: [21, 100],
+    so2: [0, 100],
+    cohb: [0, 100],
+    methb: [0, 100],
+    temperature: [25, 45]
+};
+
+const inBounds = (key, value) => value >= BOUNDS[key][0] && value <= BOUNDS[key][1];
+
+// The number as printed, ignoring signs and units, so a dropped decimal point shows up
+function printedNumber(text) {
+    const match = String(text || '').replace(/−/g, '-').match(/[-+]?\d+(?:[.,]\d+)?/);
+    return match ? parseFloat(match[0].replace(',', '.')) : null;
+}
+
+function toCanonical(key, value, unit) {
+    if (!ABGUnits.FIELDS[key] || unit === ABGUnits.FIELDS[key].canonical) return value;
+    return ABGUnits.toCanonical(key, value, unit);
+}
+
+// A value one decimal place out that would otherwise be plausible, e.g. K+ 65 → 6.5
+function decimalSuggestion(key, value, unit) {
+    for (const candidate of [value / 10, value * 10, value / 100]) {
+        const converted = toCanonical(key, candidate, unit);
+        if (inBounds(key, converted)) return converted;
+    }
+    return null;
+}
+
+function processField(key, raw) {
+    const entry = raw !== null && typeof raw === 'object' ? raw : { value: raw };
+    const field = {
+        value: null,
+        rawLabel: entry.label || null,
+        rawText: entry.text !== undefined && entry.text !== null ? String(entry.text) : null,
+        unit: null,
+        printedUnit: entry.unit || null,
+        confidence: CONFIDENCE.includes(entry.confidence) ? entry.confidence : 'medium',
+        status: 'ok',
+        reason: null
+    };
+
+    const value = num(entry.value);
+    if (value === null) {
+        field.status = 'missing';
+        field.confidence = null;
+        return field;
+    }
+
+    const reasons = [];
+    const printed = printedNumber(field.rawText);
+    if (printed !== null && Math.abs(printed - value) > 1e-9) {
+        field.confidence = 'low';
+        reasons.push(`Read as ${value} but printed text is "${field.rawText}"`);
+    }
+
+    let unit = ABGUnits.canonicalUnit(field.printedUnit);
+    if (ABGUnits.FIELDS[key] && (!unit || ABGUnits.FIELDS[key].units[unit] === undefined)) {
+        const guess = ABGUnits.guessUnit(key, value);
+        unit = guess.unit;
+        if (guess.ambiguous) {
+            field.confidence = 'low';
+            reasons.push(`No unit printed; assumed ${unit}`);
+        }
+    }
+    field.unit = unit || null;
+
+    const converted = toCanonical(key, value, field.unit);
+    if (!inBounds(key, converted)) {
+        const [min, max] = BOUNDS[key];
+        const suggestion = decimalSuggestion(key, value, field.unit);
+        field.status = 'rejected';
+        field.suggestion = suggestion;
+        reasons.push(suggestion !== null
+            ? `${value} is outside the possible range (${min}-${max}) - possible misplaced decimal point (${suggestion}?)`
+            : `${value} is outside the possible range (${min}-${max})`);
+    } else {
+        field.value = converted;
+        if (field.confidence === 'low') field.status = 'low-confidence';
+    }
+
+    field.reason = reasons.length ? reasons.join('; ') : null;
+    return field;
+}
+
+// Rejected values stay out of `values`; everything flagged needs a look before analysis
+function processFields(rawFields) {
+    const fields = {};
+    const values = {};
+    for (const key of FIELD_KEYS) {
+        const field = processField(key, (rawFields || {})[key]);
+        fields[key] = field;
+        values[key] = field.value;
+    }
+    return summarise(values, fields);
+}
+
+const REVIEW_STATUSES = ['rejected', 'low-confidence', 'conflict'];
+
+function summarise(values, fields, extra = {}) {
+    const flagged = FIELD_KEYS.filter(key => REVIEW_STATUSES.includes(fields[key].status));
+    return {
+        values,
+        fields,
+        ...extra,
+        flagged,
+        needsReview: flagged.length > 0
+    };
+}
+
+const CONFIDENCE_RANK = { high: 0, medium: 1, low: 2 };
+
+// Accepted readings first, then by confidence
+const byPreference = (a, b) =>
+    (a.field.value === null) - (b.field.value === null) ||
+    (CONFIDENCE_RANK[a.field.confidence] ?? 3) - (CONFIDENCE_RANK[b.field.confidence] ?? 3);
+
+// Combines processFields() results from several pages of one printout. A field read on
+// more than one page with different values is kept for review rather than silently picked.
+function mergePages(pages) {
+    const fields = {};
+    const values = {};
+    const conflicts = [];
+    for (const key of FIELD_KEYS) {
+        const readings = pages
+            .map((page, index) => ({ page: index + 1, field: page.fields[key] }))
+            .filter(reading => reading.field.status !== 'missing')
+            .sort(byPreference);
+        if (!readings.length) {
+            fields[key] = pages[0].fields[key];
+            values[key] = null;
+            continue;
+        }
+
+        const chosen = { ...readings[0].field, page: readings[0].page };
+        const accepted = readings.filter(reading => reading.field.value !== null);
+        const distinct = [...new Set(accepted.map(reading => reading.field.value))];
+        if (distinct.length > 1) {
+            const alternatives = readings.map(reading => ({
+                page: reading.page,
+                value: reading.field.value,
+                rawText: reading.field.rawText,
+                confidence: reading.field.confidence
+            }));
+            chosen.status = 'conflict';
+            chosen.alternatives = alternatives;
+            chosen.reason = [chosen.reason, `Pages disagree: ${accepted.map(reading => `${reading.field.value} (page ${reading.page})`).join(' vs ')}`]
+                .filter(Boolean).join('; ');
+            conflicts.push({ field: key, readings: alternatives });
+        }
+        fields[key] = chosen;
+        values[key] = chosen.value;
+    }
+    return summarise(values, fields, { pageCount: pages.length, conflicts });
+}
+
+// Flags values printed under a label the analyser profile says is the wrong variant,
+// e.g. a temperature-corrected pH or standard bicarbonate
+function applyAnalyser(result, profile) {
+    const { values, fields: read, flagged, needsReview, ...extra } = result;
+    const fields = {};
+    for (const [key, field] of Object.entries(read)) {
+        const problem = field.status === 'missing' ? null : ABGAnalysers.checkLabel(profile, key, field.rawLabel);
+        fields[key] = !problem ? field : {
+            ...field,
+            confidence: 'low',
+            status: field.status === 'ok' ? 'low-confidence' : field.status,
+            reason: [field.reason, problem].filter(Boolean).join('; ')
+        };
+    }
+    return summarise(values, fields, extra);
+}
+
+module.exports = {
+    FIELD_KEYS,
+    BOUNDS,
+    processField,
+    processFields,
+    mergePages,
+    applyAnalyser
+};
@@ -0,0 +1,83 @@
+// Reads the uploaded pages from an OCR request body. Accepts the original single
+// `image` field or an `images` array of { data, mimeType }, base64 or data: URLs.
+// `masked` and `maskedRegions` are the client's declaration that patient details were
+// blacked out before upload, `confirmedNoPatientDetails` that the page has none.
+
+const SUPPORTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'application/pdf'];
+
+// Types the browser can draw masks on; HEIC and PDF pages go up as they were chosen
+const MASKABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Two halves of a long printout is the usual case; this leaves room without hitting the body limit
+const MAX_PAGES = 4;
+
+class OcrInputError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+// File signatures, so a missing or wrong client MIME type does not reach the model
+function sniffMimeType(base64) {
+    const head = Buffer.from(String(base64).slice(0, 32), 'base64');
+    if (head[0] === 0xFF && head[1] === 0xD8) return 'image/jpeg';
+    if (head.slice(0, 8).toString('hex') === '89504e470d0a1a0a') return 'image/png';
+    if (head.slice(0, 5).toString('latin1') === '%PDF-') return 'application/pdf';
+    if (head.slice(0, 4).toString('latin1') === 'RIFF' && head.slice(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+    if (head.slice(4, 8).toString('latin1') === 'ftyp') {
+        const brand = head.slice(8, 12).toString('latin1');
+        if (['heic', 'heix', 'heim', 'heis'].includes(brand)) return 'image/heic';
+        if (['mif1', 'msf1', 'heif'].includes(brand)) return 'image/heif';
+    }
+    return null;
+}
+
+function readPage(page, index) {
+    const entry = typeof page === 'string' ? { data: page } : page || {};
+    let data = entry.data;
+    let declared = entry.mimeType ? String(entry.mimeType).toLowerCase() : null;
+    if (!data || typeof data !== 'string') throw new OcrInputError(`Page ${index + 1} has no image data`);
+
+    const dataUrl = data.match(/^data:([^;,]+)(?:;[^,]*)?,(.*)$/s);
+    if (dataUrl) {
+        declared = declared || dataUrl[1].toLowerCase();
+        data = dataUrl[2];
+    }
+    if (declared === 'image/jpg') declared = 'image/jpeg';
+
+    const mimeType = sniffMimeType(data) || declared;
+    if (!SUPPORTED_TYPES.includes(mimeType)) {
+        throw new OcrInputError(`Page ${index + 1}: unsupported file type ${mimeType || 'unknown'} - use JPEG, PNG, HEIC or PDF`, 415);
+    }
+    if (declared && declared !== mimeType) {
+        console.warn(`Page ${index + 1} declared ${declared} but looks like ${mimeType}`);
+    }
+    // A page only counts as masked when regions were drawn on a type that can carry them
+    const maskedRegions = Number.isInteger(entry.maskedRegions) && entry.maskedRegions > 0 ? entry.maskedRegions : 0;
+    return {
+        data,
+        mimeType,
+        masked: entry.masked === true && maskedRegions > 0 && MASKABLE_TYPES.includes(mimeType),
+        maskedRegions,
+        confirmedNoPatientDetails: entry.confirmedNoPatientDetails === true
+    };
+}
+
+function readPages(body) {
+    const pages = Array.isArray(body.images) ? body.images
+        : body.image ? [{ data: body.image, mimeType: body.mimeType }]
+            : [];
+    if (!pages.length) throw new OcrInputError('Image data required');
+    if (pages.length > MAX_PAGES) throw new OcrInputError(`At most ${MAX_PAGES} images per request`);
+    return pages.map(readPage);
+}
+
+module.exports = {
+    SUPPORTED_TYPES,
+    MASKABLE_TYPES,
+    MAX_PAGES,
+    OcrInputError,
+    sniffMimeType,
+    readPages
+};
@@ -0,0 +1,102 @@
+// Removes patient-identifiable data from free text before it is sent to the model: names,
+// NHS numbers, dates and hospital numbers. Deliberately over-inclusive - a redacted clinical
+// detail costs less than an identifier leaving the trust. The report lists what was removed by
+// type and field, never the removed text itself.
+
+const PLACEHOLDERS = {
+    name: '[NAME]',
+    nhsNumber: '[NHS NUMBER]',
+    date: '[DATE]',
+    hospitalNumber: '[HOSPITAL NUMBER]'
+};
+
+const MONTH = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const ORDINAL = '(?:st|nd|rd|th)?';
+// A capitalised word or an initial
+const NAME_WORD = "[A-Z](?:[a-zA-Z'’-]+|\\.|\\b)";
+// A word or an initial in any case, for labelled names ("patient name: jane doe"); the words after
+// the first stop at common sentence words so the rest of the sentence is kept
+const ANY_CASE_WORD = "[a-z](?:[a-z'’-]+|\\.|\\b)";
+const SENTENCE_WORD = '(?:is|was|has|had|and|with|who|presented|presents|aged?|dob|born|on|at|in|from)\\b';
+// Name-cased: a capital then lower case ("John", "O'Neill"), or an initial
+const FORENAME = "[A-Z](?:[a-z][a-zA-Z'’-]*|\\.|\\b)";
+const NAME_CASED = "[A-Z][a-z][a-zA-Z'’-]*";
+// Capitalised clinical abbreviations that are not surnames in "SURNAME, Forename"
+const CLINICAL_ABBREVIATIONS = [
+    'ABG', 'ACS', 'AF', 'AKI', 'ALS', 'BIPAP', 'BP', 'CAP', 'CCF', 'CF', 'CHF', 'CKD', 'CLD', 'COPD', 'CPAP', 'CPR', 'CRP', 'CT',
+    'CVA', 'CXR', 'DH', 'DKA', 'DM', 'DVT', 'ECG', 'ED', 'ESRD', 'ESRF', 'ETOH', 'FBC', 'FH', 'GCS', 'GI', 'GORD', 'HAP', 'HD',
+    'HDU', 'HF', 'HHS', 'HIV', 'HPC', 'HR', 'HTN', 'IBD', 'ICU', 'IDDM', 'IHD', 'ILD', 'ITU', 'IVDU', 'LFT', 'LOC', 'LRTI', 'MI',
+    'MRI', 'NAD', 'NIDDM', 'NIV', 'NKDA', 'NSTEMI', 'OD', 'OSA', 'PC', 'PD', 'PE', 'PEA', 'PMH', 'PMHX', 'PUD', 'RA', 'ROSC', 'RR',
+    'RRT', 'RTC', 'SH', 'SLE', 'SOB', 'SOBOE', 'STEMI', 'TB', 'TFT', 'TIA', 'UC', 'UE', 'UTI', 'VBG', 'WCC'
+];
+
+// Applied in order; group 1, when present, is a label kept in front of the placeholder.
+// NHS numbers go before hospital numbers so a 10-digit number is not split
+const RULES = [
+    // 3-3-4 or 10 digits
+    { type: 'nhsNumber', pattern: /\b\d{3}[ -]?\d{3}[ -]?\d{4}\b/g },
+    // Labelled NHS numbers that are not written as ten digits
+    { type: 'nhsNumber', pattern: /(\bNHS\s*(?:no\.?|number)?\s*[:#]?\s*)\d[\d -]{4,10}\d\b/gi },
+    { type: 'hospitalNumber', pattern: /(\b(?:MRN|hospital\s*(?:no\.?|number|id)|hosp\.?\s*no\.?|unit\s*(?:no\.?|number)|patient\s*(?:id|no\.?|number)|PAS\s*(?:no\.?|number)|CRN)\s*[:#]?\s*)[A-Z0-9][A-Z0-9/-]{3,}\b/gi },
+    // Trust-style numbers: one to three letters then 6-9 digits. Bare digits are left alone, as
+    // lab values such as a platelet count of 250000 look the same
+    { type: 'hospitalNumber', pattern: /\b[A-Z]{1,3}\d{6,9}\b/g },
+    { type: 'date', pattern: /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?Z?)?\b/g },
+    { type: 'date', pattern: /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/g },
+    { type: 'date', pattern: new RegExp(`\\b\\d{1,2}${ORDINAL}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+\\d{2,4})?\\b`, 'g') },
+    { type: 'date', pattern: new RegExp(`\\b${MONTH}\\s+(?:\\d{1,2}${ORDINAL},?\\s+)?\\d{4}\\b`, 'g') },
+    // Titled names keep the title: "Mrs [NAME]"
+    { type: 'name', pattern: new RegExp(`(\\b(?:Mr|Mrs|Ms|Miss|Mx|Dr|Prof|Master)\\.?\\s+)${NAME_WORD}(?:\\s*${NAME_WORD}){0,2}`, 'g') },
+    { type: 'name', pattern: new RegExp(`(\\b(?:patient name|pt name|name|surname|forenames?|first name|last name)\\s*[:-]\\s*)${ANY_CASE_WORD}(?:,?\\s+(?!${SENTENCE_WORD})${ANY_CASE_WORD}){0,2}`, 'gi') },
+    { type: 'name', pattern: new RegExp(`(\\b(?:[Cc]alled|[Nn]amed|[Kk]nown as)\\s+)${NAME_WORD}(?:\\s+${NAME_WORD})?`, 'g') },
+    // Printout and PAS style: "SMITH, John" - the forename must be name-cased
+    { type: 'name', pattern: new RegExp(`\\b(?!(?:${CLINICAL_ABBREVIATIONS.join('|')})\\b)[A-Z][A-Z'’-]+,\\s*${FORENAME}`, 'g') },
+    // Two or three name-cased words just before an age or sex: "John Smith 45M", "Jane Doe, 72 year old",
+    // "John Smith is a 45-year-old"
+    { type: 'name', pattern: new RegExp(`\\b${NAME_CASED}(?:\\s+${NAME_CASED}){1,2}(?=\\s*[,(]?\\s*(?:aged\\s+)?\\d{1,3}\\s*-?\\s*(?:[MF]\\b|y(?:ears?|rs?|o|\\/o)?\\b)|\\s+(?:is|was)\\s+an?\\s+\\d)`, 'g') }
+];
+
+// Returns the redacted text and one item per removal
+function redactText(text, field = 'text') {
+    if (typeof text !== 'string' || !text) return { text, items: [] };
+    const items = [];
+    let redacted = text;
+    for (const rule of RULES) {
+        redacted = redacted.replace(rule.pattern, (match, label) => {
+            items.push({ field, type: rule.type });
+            return `${typeof label === 'string' ? label : ''}${PLACEHOLDERS[rule.type]}`;
+        });
+    }
+    return { text: redacted, items };
+}
+
+// Summary returned with the response; images are the client's own masking declarations
+function report(items, images = null) {
+    const counts = Object.fromEntries(Object.keys(PLACEHOLDERS).map(type => [type, items.filter(item => item.type === type).length]));
+    const fields = [...new Set(items.map(item => item.field))];
+    return {
+        redacted: items.length > 0,
+        total: items.length,
+        counts,
+        fields,
+        ...(images ? { images } : {})
+    };
+}
+
+// Plain-language summary, e.g. "1 NHS number and 2 dates removed from clinicalHistory"
+function describe(summary) {
+    if (!summary.redacted) return 'No patient identifiers found.';
+    const names = { name: ['name', 'names'], nhsNumber: ['NHS number', 'NHS numbers'], date: ['date', 'dates'], hospitalNumber: ['hospital number', 'hospital numbers'] };
+    const parts = Object.entries(summary.counts)
+        .filter(([, count]) => count)
+        .map(([type, count]) => `${count} ${names[type][count === 1 ? 0 : 1]}`);
+    const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+    return `${list} removed from ${summary.fields.join(', ')}`;
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    redactText,
+    report,
+    describe
+};
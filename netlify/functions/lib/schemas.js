@@ -0,0 +1,102 @@
+// JSON Schemas for the model's analysis and OCR replies. The same schema is sent to the
+// provider's structured-output support and checked here, since not every provider enforces it.
+// validate() covers the subset used below: type (or a list of types), properties, required,
+// additionalProperties: false, enum and minLength.
+
+const ABGAnalysers = require('../../../abg-interpreter-app/js/abg-analysers');
+
+const ANALYSIS_SECTIONS = ['keyFindings', 'compensationAnalysis', 'hhAnalysis', 'stewartAnalysis', 'additionalCalculations', 'differentials'];
+
+// Optional sections requested for serial samples and DKA protocol mode
+const EXTRA_SECTIONS = ['trendAnalysis', 'dkaAnalysis'];
+
+// Anything shorter is a stub, not a section
+const MIN_SECTION_LENGTH = 30;
+
+const OCR_FIELD_KEYS = ABGAnalysers.fieldsFor(ABGAnalysers.resolve('generic'));
+
+function analysisSchema(extraSections = []) {
+    const sections = [...ANALYSIS_SECTIONS, ...extraSections.filter(key => EXTRA_SECTIONS.includes(key))];
+    return {
+        type: 'object',
+        properties: Object.fromEntries(sections.map(key => [key, { type: 'string', minLength: MIN_SECTION_LENGTH }])),
+        required: sections
+    };
+}
+
+const OCR_FIELD_SCHEMA = {
+    type: ['object', 'null'],
+    properties: {
+        value: { type: ['number', 'null'] },
+        label: { type: ['string', 'null'] },
+        text: { type: ['string', 'null'] },
+        unit: { type: ['string', 'null'] },
+        confidence: { type: 'string', enum: ['high', 'medium', 'low'] }
+    },
+    required: ['value', 'confidence']
+};
+
+const OCR_SCHEMA = {
+    type: 'object',
+    properties: {
+        header: { type: ['string', 'null'] },
+        fields: {
+            type: 'object',
+            properties: Object.fromEntries(OCR_FIELD_KEYS.map(key => [key, OCR_FIELD_SCHEMA])),
+            required: OCR_FIELD_KEYS
+        }
+    },
+    required: ['header', 'fields']
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'invalid';
+    return typeof value;
+}
+
+// Returns a list of { path, message }; empty when the data matches
+function validate(schema, data, path = '$') {
+    const errors = [];
+    const types = [].concat(schema.type || []);
+    const actual = typeOf(data);
+    if (types.length && !types.includes(actual)) {
+        errors.push({ path, message: `expected ${types.join(' or ')}, got ${actual}` });
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(data)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+    if (actual === 'string' && schema.minLength && data.length < schema.minLength) {
+        errors.push({ path, message: `shorter than ${schema.minLength} characters` });
+    }
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in data)) errors.push({ path: `${path}.${key}`, message: 'missing' });
+        }
+        for (const [key, value] of Object.entries(data)) {
+            const property = (schema.properties || {})[key];
+            if (property) {
+                errors.push(...validate(property, value, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}.${key}`, message: 'not allowed' });
+            }
+        }
+    }
+    return errors;
+}
+
+// Top-level keys with at least one error, e.g. the analysis sections to fall back on
+const failedKeys = (errors) => [...new Set(errors.map(error => error.path.split('.')[1]).filter(Boolean))];
+
+module.exports = {
+    ANALYSIS_SECTIONS,
+    EXTRA_SECTIONS,
+    MIN_SECTION_LENGTH,
+    OCR_FIELD_KEYS,
+    OCR_SCHEMA,
+    analysisSchema,
+    validate,
+    failedKeys
+};
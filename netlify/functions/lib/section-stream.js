@@ -0,0 +1,72 @@
+// Reads a JSON object as it streams in and reports each top-level string property as soon as
+// its closing quote arrives, so a report section can be shown before the rest is written.
+// Nested objects, arrays and anything before the opening brace (e.g. a markdown fence) are skipped,
+// as is a string that is not valid JSON (a raw newline or a bad escape); the caller parses and
+// validates the complete text once the stream ends.
+
+const parseLiteral = (literal) => {
+    try {
+        return JSON.parse(literal);
+    } catch (error) {
+        return undefined;
+    }
+};
+
+function createSectionReader(onSection) {
+    let text = '';
+    let position = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let stringStart = 0;
+    let key = null;
+    let expectingValue = false;
+
+    function push(chunk) {
+        text += chunk;
+        for (; position < text.length; position++) {
+            const char = text[position];
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                    if (depth !== 1) continue;
+                    const literal = parseLiteral(text.slice(stringStart, position + 1));
+                    if (expectingValue) {
+                        if (literal !== undefined) onSection(key, literal);
+                        key = null;
+                        expectingValue = false;
+                    } else {
+                        key = literal === undefined ? null : literal;
+                    }
+                }
+                continue;
+            }
+            if (char === '"') {
+                inString = true;
+                stringStart = position;
+            } else if (char === '{' || char === '[') {
+                // A nested value is not a section
+                if (depth === 1) expectingValue = false;
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+            } else if (depth === 1 && char === ':') {
+                expectingValue = key !== null;
+            } else if (depth === 1 && char === ',') {
+                key = null;
+                expectingValue = false;
+            }
+        }
+    }
+
+    return {
+        push,
+        text: () => text
+    };
+}
+
+module.exports = { createSectionReader };
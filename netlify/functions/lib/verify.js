@@ -0,0 +1,281 @@
+// Cross-checks the numbers the model quotes in its prose against the submitted values
+// and the locally computed calculations. Returns a list of discrepancies for the UI.
+
+const { isVenous, KPA_TO_MMHG } = require('../../../abg-interpreter-app/js/abg-calculations');
+
+const SECTIONS = ['keyFindings', 'compensationAnalysis', 'hhAnalysis', 'stewartAnalysis', 'additionalCalculations'];
+
+// "label: value" lines from the Henderson-Hasselbalch block; gas tensions in kPa or, in a
+// US-units report, mmHg
+const INPUT_PATTERNS = {
+    ph: /^\s*pH:\s*(\d+(?:\.\d+)?)/im,
+    pco2: /^\s*pCO2:\s*(\d+(?:\.\d+)?)\s*(kPa|mmHg)/im,
+    po2: /^\s*pO2:\s*(\d+(?:\.\d+)?)\s*(kPa|mmHg)/im,
+    hco3: /^\s*HCO3-?:\s*(\d+(?:\.\d+)?)/im,
+    be: /^\s*Base Excess:\s*([-−+]?\d+(?:\.\d+)?)/im
+};
+
+const INPUT_TOLERANCE = {
+    ph: 0.005,
+    pco2: 0.05,
+    po2: 0.05,
+    hco3: 0.5,
+    be: 0.5
+};
+
+// mmHg are usually quoted whole, so the tolerance covers the rounding
+const INPUT_TOLERANCE_MMHG = {
+    pco2: 0.5,
+    po2: 0.5
+};
+
+// Which lines carry which calculation, and how far the quoted result may drift
+const CALCULATION_CHECKS = {
+    anionGap: { match: /anion gap|\bAG\b/i, exclude: /corrected|albumin|delta/i, tolerance: 1 },
+    correctedAnionGap: { match: /corrected (?:AG|anion gap)/i, tolerance: 1 },
+    deltaRatio: { match: /delta ratio/i, exclude: /interpretation/i, tolerance: 0.15 },
+    sidApparent: { match: /^\W*(?:SIDa\b|strong ion difference apparent)/i, tolerance: 1.5 },
+    sidEffective: { match: /^\W*(?:SIDe\b|strong ion difference effective)/i, tolerance: 2 },
+    strongIonGap: { match: /^\W*(?:SIG\b|strong ion gap)/i, tolerance: 2 },
+    aaGradient: { match: /A-a gradient/i, tolerance: 0.5, toleranceMmHg: 4 },
+    pfRatio: { match: /P\/F ratio|PaO2\/FiO2/i, tolerance: 2, toleranceMmHg: 15 },
+    saturationGap: { match: /saturation gap/i, tolerance: 1 },
+    oxygenContent: { match: /CaO2|O2 content|oxygen content/i, tolerance: 0.5 },
+    oxygenDelivery: { match: /\bDO2\b|oxygen delivery/i, tolerance: 30 },
+    calculatedOsmolality: { match: /calculated osmolality/i, tolerance: 3 },
+    osmolarGap: { match: /osmolar gap/i, exclude: /ethanol|corrected/i, tolerance: 3 },
+    ethanolCorrectedOsmolarGap: { match: /(?:ethanol|corrected)[- ]?(?:corrected )?osmolar gap/i, tolerance: 3 }
+};
+
+const NUMBER = /^[-−]?\d+(?:\.\d+)?/;
+
+// Small arithmetic parser so quoted workings can be re-evaluated without eval()
+function evaluate(expression) {
+    const tokens = expression
+        .replace(/[×x]/g, '*')
+        .replace(/÷/g, '/')
+        .replace(/−/g, '-')
+        .match(/\d+(?:\.\d+)?|[-+*/()]/g);
+    if (!tokens) return null;
+    let pos = 0;
+
+    const parsePrimary = () => {
+        const token = tokens[pos++];
+        if (token === '(') {
+            const value = parseSum();
+            if (tokens[pos++] !== ')') throw new Error('Unbalanced parentheses');
+            return value;
+        }
+        if (token === '-') return -parsePrimary();
+        const value = parseFloat(token);
+        if (Number.isNaN(value)) throw new Error(`Unexpected token ${token}`);
+        return value;
+    };
+    const parseProduct = () => {
+        let value = parsePrimary();
+        while (tokens[pos] === '*' || tokens[pos] === '/') {
+            const op = tokens[pos++];
+            const rhs = parsePrimary();
+            value = op === '*' ? value * rhs : value / rhs;
+        }
+        return value;
+    };
+    const parseSum = () => {
+        let value = parseProduct();
+        while (tokens[pos] === '+' || tokens[pos] === '-') {
+            const op = tokens[pos++];
+            const rhs = parseProduct();
+            value = op === '+' ? value + rhs : value - rhs;
+        }
+        return value;
+    };
+
+    try {
+        const value = parseSum();
+        return pos === tokens.length && Number.isFinite(value) ? value : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// A segment is pure working if it only holds numbers and operators
+const isArithmetic = (segment) => /^[\d\s.+\-−*/×÷()]+$/.test(segment) && /[+\-−*/×÷]/.test(segment.replace(/^\s*[-−]/, ''));
+
+// Splits "Label = formula = 140 - (100 + 12) = 28 mmol/L (8-12)" into working and result
+function parseWorking(line) {
+    const segments = line.split('=').slice(1).map(segment => segment.trim());
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        if (isArithmetic(segment)) continue;
+        const result = segment.match(NUMBER);
+        if (!result) continue;
+        const previous = i > 0 && isArithmetic(segments[i - 1]) ? segments[i - 1] : null;
+        return {
+            result: parseFloat(result[0].replace('−', '-')),
+            unitText: segment.slice(result[0].length, result[0].length + 8),
+            working: previous
+        };
+    }
+    return null;
+}
+
+const near = (a, b, tolerance) => Math.abs(a - b) <= tolerance + 1e-9;
+
+// With a patient temperature the narrative may quote the 37 °C or the corrected value of pH, pCO2 and pO2
+function checkInputs(section, text, values, corrected) {
+    const discrepancies = [];
+    for (const [field, pattern] of Object.entries(INPUT_PATTERNS)) {
+        const submitted = values[field];
+        if (typeof submitted !== 'number') continue;
+        const match = text.match(pattern);
+        if (!match) continue;
+        const quoted = parseFloat(match[1].replace('−', '-'));
+        // Compared in the unit quoted; submitted values are kPa
+        const inMmHg = Boolean(match[2]) && match[2].toLowerCase() === 'mmhg';
+        const inQuotedUnit = (value) => (inMmHg ? Math.round(value * KPA_TO_MMHG * 10) / 10 : value);
+        const tolerance = inMmHg ? INPUT_TOLERANCE_MMHG[field] : INPUT_TOLERANCE[field];
+        const unit = inMmHg ? ' mmHg' : '';
+        const expected = inQuotedUnit(submitted);
+        const alternative = corrected && typeof corrected.values[field] === 'number' ? inQuotedUnit(corrected.values[field]) : null;
+        if (!near(quoted, expected, tolerance) && !(alternative !== null && near(quoted, alternative, tolerance))) {
+            discrepancies.push({
+                type: 'input',
+                field,
+                section,
+                quoted,
+                expected,
+                message: `${section} quotes ${field} as ${quoted}${unit} but the submitted value is ${expected}${unit}` +
+                    (alternative !== null ? ` (${alternative}${unit} corrected to ${corrected.temperature} °C)` : '')
+            });
+        }
+    }
+    return discrepancies;
+}
+
+function checkCalculations(section, text, values, calculations) {
+    const discrepancies = [];
+    const lines = text.split('\n');
+
+    for (const [key, check] of Object.entries(CALCULATION_CHECKS)) {
+        const local = calculations[key];
+        const line = lines.find(candidate =>
+            check.match.test(candidate) &&
+            !(check.exclude && check.exclude.test(candidate)) &&
+            /=\s*[-−]?\d/.test(candidate));
+        if (!line) continue;
+        const parsed = parseWorking(line);
+        if (!parsed) continue;
+
+        let flagged = false;
+
+        // Does the model's own arithmetic add up?
+        if (parsed.working) {
+            const evaluated = evaluate(parsed.working);
+            if (evaluated !== null && !near(evaluated, parsed.result, Math.max(check.tolerance / 2, Math.abs(evaluated) * 0.02))) {
+                discrepancies.push({
+                    type: 'arithmetic',
+                    field: key,
+                    section,
+                    quoted: parsed.result,
+                    expected: Math.round(evaluated * 100) / 100,
+                    message: `${section}: ${parsed.working} = ${parsed.result} is miscalculated (should be ${Math.round(evaluated * 100) / 100})`
+                });
+                flagged = true;
+            }
+        }
+
+        // Anion gap operands should be the submitted Na+, Cl- and HCO3-
+        if (key === 'anionGap' && parsed.working) {
+            const operands = (parsed.working.match(/\d+(?:\.\d+)?/g) || []).map(parseFloat);
+            const expectedOperands = [values.sodium, values.chloride, values.hco3];
+            if (operands.length === 3 && operands.some((operand, i) => typeof expectedOperands[i] === 'number' && !near(operand, expectedOperands[i], 0.5))) {
+                discrepancies.push({
+                    type: 'input',
+                    field: key,
+                    section,
+                    quoted: parsed.working,
+                    expected: `${values.sodium} - (${values.chloride} + ${values.hco3})`,
+                    message: `${section} calculates the anion gap from ${parsed.working} but the submitted values give ${values.sodium} - (${values.chloride} + ${values.hco3})`
+                });
+                flagged = true;
+            }
+        }
+
+        if (flagged || !local || typeof local.value !== 'number') continue;
+
+        // Oxygenation results may be quoted in mmHg
+        const quotedInMmHg = /mmHg/i.test(parsed.unitText) || (local.valueMmHg !== undefined && parsed.result > local.value * 3);
+        const expected = quotedInMmHg && local.valueMmHg !== undefined ? local.valueMmHg : local.value;
+        const tolerance = quotedInMmHg && check.toleranceMmHg ? check.toleranceMmHg : check.tolerance;
+        if (!near(parsed.result, expected, tolerance)) {
+            discrepancies.push({
+                type: 'calculation',
+                field: key,
+                section,
+                quoted: parsed.result,
+                expected,
+                message: `${section} reports ${local.label} as ${parsed.result} but the locally computed value is ${expected}`
+            });
+        }
+    }
+    return discrepancies;
+}
+
+// Expected pCO2 ranges quoted for Winter's formula, in kPa or mmHg
+function checkWinters(section, text, calculations) {
+    const winters = calculations.wintersFormula;
+    if (!winters) return [];
+    const line = text.split('\n').find(candidate => /winter/i.test(candidate));
+    if (!line) return [];
+    const match = line.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)\s*(kPa|mmHg)/i);
+    if (!match) return [];
+    const low = parseFloat(match[1]);
+    const high = parseFloat(match[2]);
+    const inMmHg = match[3].toLowerCase() === 'mmhg';
+    const factor = inMmHg ? 7.5 : 1;
+    const tolerance = inMmHg ? 1.5 : 0.2;
+    if (near(low, winters.low * factor, tolerance) && near(high, winters.high * factor, tolerance)) return [];
+    const expected = `${Math.round(winters.low * factor * 10) / 10}-${Math.round(winters.high * factor * 10) / 10} ${match[3]}`;
+    return [{
+        type: 'calculation',
+        field: 'wintersFormula',
+        section,
+        quoted: match[0],
+        expected,
+        message: `${section} gives an expected pCO2 of ${match[0]} but Winter's formula gives ${expected}`
+    }];
+}
+
+// Venous pO2 must not be turned into P/F ratios, A-a gradients or ARDS grading
+function checkVenousOxygenation(section, text) {
+    const match = text.match(/P\/F ratio\s*(?:=|:|of)\s*\d|PaO2\/FiO2\s*(?:=|:|of)\s*\d|A-a gradient\s*(?:=|:|of)\s*\d|(?:mild|moderate|severe) ARDS/i);
+    if (!match) return [];
+    return [{
+        type: 'venous-oxygenation',
+        field: 'po2',
+        section,
+        quoted: match[0],
+        expected: null,
+        message: `${section} derives oxygenation indices (${match[0]}) from a venous pO2, which does not reflect arterial oxygenation`
+    }];
+}
+
+// values are the submitted (37 °C) values; options.correctedValues the set from
+// ABGTemperature.correctedValues when a patient temperature was given
+function verifyNarrative(analysis, values, calculations, options = {}) {
+    const discrepancies = [];
+    const venous = isVenous(options.sampleType);
+    for (const section of SECTIONS) {
+        const text = analysis[section];
+        if (typeof text !== 'string') continue;
+        discrepancies.push(
+            ...checkInputs(section, text, values, options.correctedValues),
+            ...checkCalculations(section, text, values, calculations),
+            ...checkWinters(section, text, calculations),
+            ...(venous ? checkVenousOxygenation(section, text) : [])
+        );
+    }
+    return discrepancies;
+}
+
+module.exports = { CALCULATION_CHECKS, verifyNarrative, evaluate, parseWorking };
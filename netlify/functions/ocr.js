@@ -1,5 +1,16 @@
 // CORRECT OCR function with exports.handler (not ES6 export)
-exports.handler = async (event) => {
+const ABGAnalysers = require('../../abg-interpreter-app/js/abg-analysers');
+const { FIELD_KEYS, processFields, mergePages, applyAnalyser } = require('./lib/ocr-fields');
+const { readPages, MASKABLE_TYPES, OcrInputError } = require('./lib/ocr-input');
+const llm = require('./lib/llm');
+const { OCR_SCHEMA, validate } = require('./lib/schemas');
+const redact = require('./lib/redact');
+const guard = require('./lib/guard');
+
+// Upstream failures carry the message shown to the user
+class OcrServiceError extends Error {}
+
+exports.handler = guard.withGuard('ocr', async (event) => {
     const headers = {
         'Content-Type': 'application/json',
         'X-Content-Type-Options': 'nosniff',
@@ -17,8 +28,8 @@ exports.handler = async (event) => {
     }
 
     try {
-        const apiKey = process.env.GEMINI_API_KEY;
-        if (!apiKey) {
+        const provider = llm.getProvider();
+        if (!provider.configured) {
             return {
                 statusCode: 500,
                 headers,
@@ -26,17 +37,42 @@ exports.handler = async (event) => {
             };
         }
 
-        const { image } = JSON.parse(event.body);
-        if (!image) {
+        const body = JSON.parse(event.body);
+        let pages;
+        try {
+            pages = readPages(body);
+        } catch (error) {
+            if (!(error instanceof OcrInputError)) throw error;
+            return {
+                statusCode: error.statusCode,
+                headers,
+                body: JSON.stringify({ error: error.message })
+            };
+        }
+
+        // Pages the client has not masked or cleared are refused, as the patient header would go to
+        // the model. HEIC and PDF pages cannot be masked in the browser, so they are refused whatever
+        // the client declares; ALLOW_UNMASKED_IMAGES=true turns this off for deployments that handle it upstream
+        const cleared = (page) => MASKABLE_TYPES.includes(page.mimeType) && (page.masked || page.confirmedNoPatientDetails);
+        const unmasked = pages.map((page, index) => (cleared(page) ? null : index + 1)).filter(Boolean);
+        if (process.env.ALLOW_UNMASKED_IMAGES !== 'true' && unmasked.length) {
+            const unmaskable = unmasked.filter(number => !MASKABLE_TYPES.includes(pages[number - 1].mimeType));
+            const error = unmaskable.length
+                ? `Page ${unmaskable.join(', ')} is a PDF or HEIC file, which cannot be masked - upload a photo or screenshot with the patient details blacked out`
+                : `Mask the patient details on page ${unmasked.join(', ')} before upload, or confirm the page has none`;
             return {
                 statusCode: 400,
                 headers,
-                body: JSON.stringify({ error: 'Image data required' })
+                body: JSON.stringify({ error })
             };
         }
 
-        // Use Gemini 2.5 Flash
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+        // A named profile narrows the label guide; otherwise every profile is described and
+        // the analyser is detected from the printout header
+        const selected = ABGAnalysers.PROFILES[body.analyser] ? ABGAnalysers.resolve(body.analyser) : null;
+        const labelGuide = selected
+            ? ABGAnalysers.promptSection(selected)
+            : Object.keys(ABGAnalysers.PROFILES).map(key => ABGAnalysers.promptSection(ABGAnalysers.resolve(key))).join('\n\n');
 
         const systemPrompt = `You are a precise OCR system for blood gas analysis reports.
 
@@ -45,178 +81,121 @@ OUTPUT RULES:
 2. Start with { and end with }
 3. No markdown, no code blocks
 
-Required JSON structure (ALL keys must be present, use null for missing values):
+Required JSON structure (ALL keys must be present, use null for fields not on the printout):
 {
-  "ph": number or null,
-  "pco2": number or null,
-  "po2": number or null,
-  "hco3": number or null,
-  "sodium": number or null,
-  "potassium": number or null,
-  "chloride": number or null,
-  "albumin": number or null,
-  "lactate": number or null,
-  "glucose": number or null,
-  "calcium": number or null,
-  "hb": number or null,
-  "be": number or null
+  "header": "analyser name, model and report title as printed at the top, or null",
+  "fields": {
+    "<key>": {
+      "value": number exactly as printed,
+      "label": "the label printed next to the value",
+      "text": "the value text exactly as printed, including sign and decimal point",
+      "unit": "unit exactly as printed next to the value, or null if none is printed",
+      "confidence": "high" | "medium" | "low"
+    } or null
+  }
 }
+Keys: ${FIELD_KEYS.join(', ')}
 
 EXTRACTION RULES:
-- Extract ONLY numerical values, ignore units
-- If pCO2 > 20 or pO2 > 100, they're likely in mmHg - convert to kPa by dividing by 7.5
-- Common label mappings:
-  pH: "pH"
-  pCO2: "pCO2", "PCO2", "CO2"
-  pO2: "pO2", "PO2", "O2"
-  HCO3: "HCO3", "HCO3-", "cHCO3", "Bicarb", "HCO3(st)", "Standard Bicarb"
-  Base Excess: "BE", "Base Excess", "BE(B)", "BE(ecf)", "SBE"
-  Sodium: "Na", "Na+", "Sodium"
-  Potassium: "K", "K+", "Potassium"
-  Chloride: "Cl", "Cl-", "Chloride"
-  Albumin: "Alb", "Albumin"
-  Lactate: "Lac", "Lactate", "Lact"
-  Glucose: "Glu", "Glucose", "BG", "Gluc"
-  Calcium: "Ca", "Ca2+", "iCa", "Ca++", "Ion Ca", "Ca(7.4)"
-  Hemoglobin: "Hb", "tHb", "Hemoglobin", "Hgb"`;
-
-        const requestPayload = {
-            contents: [{
-                parts: [
-                    { text: "Extract all blood gas values from this image. Return ONLY the JSON object:" },
-                    { 
-                        inlineData: { 
-                            mimeType: "image/jpeg", 
-                            data: image 
-                        }
-                    }
-                ]
-            }],
-            systemInstruction: {
-                parts: [{ text: systemPrompt }]
-            },
-            generationConfig: {
-                temperature: 0.1,
-                topK: 1,
-                topP: 0.8,
-                maxOutputTokens: 500,
-                candidateCount: 1
+- Extract numerical values exactly as printed - do NOT convert units
+- Copy the printed characters into "text" and the printed label into "label" even when unsure; never correct a value you cannot read
+- Use "low" confidence for blurred, cropped, overwritten or handwritten values, or when the decimal point is unclear
+- Where a value is printed both at 37 °C and corrected to patient temperature, extract the 37 °C value and put the patient temperature in "temperature"
+- NEVER transcribe patient identifiers - name, NHS number, date of birth, hospital or patient ID, sample ID, operator or location. "header" holds the analyser name, model and report title only
+- Label mappings by analyser (key: printed labels):
+${labelGuide}`;
+
+        // Each page is read separately so disagreements between pages can be reported
+        const extractPage = async (page, index) => {
+            let reply;
+            try {
+                reply = await llm.generateJson(provider, {
+                    task: 'ocr',
+                    system: systemPrompt,
+                    parts: [
+                        { text: 'Extract all blood gas values from this printout. Return ONLY the JSON object:' },
+                        { image: { mimeType: page.mimeType, data: page.data } }
+                    ],
+                    temperature: 0.1,
+                    maxTokens: 2000
+                }, { schema: OCR_SCHEMA });
+            } catch (error) {
+                if (!(error instanceof llm.LlmError)) throw error;
+                console.error(`OCR API error: ${error.message}`);
+                if (error.kind === 'unsupported') throw new OcrServiceError(`${page.mimeType} files cannot be read by the configured OCR model - upload a photo instead`);
+                throw new OcrServiceError(error.kind === 'empty' ? 'No OCR results generated' : 'OCR service unavailable');
             }
-        };
 
-        console.log(`[${new Date().toISOString()}] OCR request to Gemini 2.5 Flash`);
-
-        const geminiResponse = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestPayload)
-        });
+            // A reply we cannot read is an error, not an empty form
+            const { data, model } = reply;
+            const fieldsRead = data && typeof data.fields === 'object' && data.fields !== null && !Array.isArray(data.fields);
+            if (!fieldsRead) {
+                console.error('OCR reply unreadable:', reply.errors.slice(0, 5).map(error => `${error.path} ${error.message}`).join('; '));
+                const where = pages.length > 1 ? ` on page ${index + 1}` : '';
+                throw new OcrServiceError(`Could not read values from the image${where} - retake the photo or enter values manually`);
+            }
 
-        if (!geminiResponse.ok) {
-            console.error(`OCR API error: ${geminiResponse.status}`);
+            // Fields that still break the schema are read as missing rather than guessed at
+            const invalid = reply.partial
+                ? FIELD_KEYS.filter(key => key in data.fields && validate(OCR_SCHEMA.properties.fields.properties[key], data.fields[key]).length)
+                : [];
+            const fields = Object.fromEntries(Object.entries(data.fields).filter(([key]) => !invalid.includes(key)));
             return {
-                statusCode: 502,
-                headers,
-                body: JSON.stringify({ error: 'OCR service unavailable' })
+                ...processFields(fields),
+                header: typeof data.header === 'string' ? data.header : null,
+                partial: reply.partial,
+                invalid,
+                model
             };
-        }
+        };
 
-        const data = await geminiResponse.json();
-        const responseText = data.candidates?.[0]?.content?.parts?.[0]?.text;
-        
-        if (!responseText) {
+        let pageResults;
+        try {
+            pageResults = await Promise.all(pages.map(extractPage));
+        } catch (error) {
+            if (!(error instanceof OcrServiceError)) throw error;
             return {
                 statusCode: 502,
                 headers,
-                body: JSON.stringify({ error: 'No OCR results generated' })
-            };
-        }
-
-        // Parse JSON response
-        let extractedValues;
-        try {
-            // Clean the response
-            let cleaned = responseText.trim();
-            
-            // Remove any markdown formatting
-            cleaned = cleaned.replace(/```json\s*/gi, '');
-            cleaned = cleaned.replace(/```\s*/g, '');
-            
-            // Extract JSON object
-            const startIdx = cleaned.indexOf('{');
-            const endIdx = cleaned.lastIndexOf('}');
-            
-            if (startIdx !== -1 && endIdx !== -1 && endIdx > startIdx) {
-                const jsonStr = cleaned.substring(startIdx, endIdx + 1);
-                extractedValues = JSON.parse(jsonStr);
-            } else {
-                extractedValues = JSON.parse(cleaned);
-            }
-            
-            console.log('OCR values extracted successfully');
-            
-        } catch (error) {
-            console.error('OCR JSON parse error:', error);
-            console.error('Raw response:', responseText.substring(0, 200));
-            
-            // Return empty structure on parse failure
-            extractedValues = {
-                ph: null, pco2: null, po2: null, hco3: null,
-                sodium: null, potassium: null, chloride: null,
-                albumin: null, lactate: null, glucose: null,
-                calcium: null, hb: null, be: null
+                body: JSON.stringify({ error: error.message })
             };
         }
 
-        // Ensure all required keys exist (including BE)
-        const requiredKeys = ['ph', 'pco2', 'po2', 'hco3', 'sodium', 'potassium', 
-                             'chloride', 'albumin', 'lactate', 'glucose', 'calcium', 'hb', 'be'];
-        
-        for (const key of requiredKeys) {
-            if (!(key in extractedValues)) {
-                extractedValues[key] = null;
-            }
+        // The header is echoed back to the client, so anything identifying the model copied anyway is removed
+        const headerText = redact.redactText(pageResults.map(page => page.header).filter(Boolean).join('\n'), 'header');
+        const header = headerText.text || null;
+        const detected = ABGAnalysers.detect(header);
+        const profile = selected || ABGAnalysers.resolve(detected || 'generic');
+        const result = applyAnalyser(mergePages(pageResults), profile);
+        result.partial = pageResults.some(page => page.partial);
+        if (result.partial) {
+            result.invalidFields = [...new Set(pageResults.flatMap(page => page.invalid))];
+            result.needsReview = true;
         }
-
-        // Validate and convert units if needed
-        if (extractedValues.pco2 && extractedValues.pco2 > 20) {
-            // Likely in mmHg, convert to kPa
-            extractedValues.pco2 = parseFloat((extractedValues.pco2 / 7.5).toFixed(2));
-            console.log('Converted pCO2 from mmHg to kPa');
+        result.model = { ...pageResults[0].model, latencyMs: Math.max(...pageResults.map(page => page.model.latencyMs)) };
+        result.analyser = {
+            key: profile.key,
+            label: profile.label,
+            source: selected ? 'selected' : detected ? 'detected' : 'default',
+            detected,
+            header,
+            notes: profile.notes
+        };
+        if (selected && detected && detected !== selected.key) {
+            result.analyser.warning = `Printout looks like ${ABGAnalysers.PROFILES[detected].label}, not the selected ${selected.label}`;
+            result.needsReview = true;
         }
-        
-        if (extractedValues.po2 && extractedValues.po2 > 20) {
-            // Likely in mmHg, convert to kPa
-            extractedValues.po2 = parseFloat((extractedValues.po2 / 7.5).toFixed(2));
-            console.log('Converted pO2 from mmHg to kPa');
+        result.redaction = redact.report(headerText.items, pages.map((page, index) => ({
+            page: index + 1,
+            masked: page.masked,
+            confirmedNoPatientDetails: page.confirmedNoPatientDetails,
+            regions: page.masked ? page.maskedRegions : 0
+        })));
+        if (unmasked.length) {
+            console.warn(`OCR page ${unmasked.join(', ')} uploaded without patient-detail masking`);
         }
-
-        // Validate physiological ranges
-        const bounds = {
-            ph: [6.0, 8.0],
-            pco2: [0.5, 30],
-            po2: [0.5, 100],
-            hco3: [2, 60],
-            sodium: [80, 200],
-            potassium: [1, 12],
-            chloride: [50, 150],
-            albumin: [10, 70],
-            lactate: [0, 30],
-            glucose: [0, 80],
-            calcium: [0.2, 5],
-            hb: [30, 250],
-            be: [-50, 50]
-        };
-
-        // Check bounds and nullify obviously wrong values
-        for (const [key, [min, max]] of Object.entries(bounds)) {
-            if (extractedValues[key] !== null) {
-                const value = extractedValues[key];
-                if (value < min || value > max) {
-                    console.warn(`${key} value ${value} outside bounds [${min}, ${max}], setting to null`);
-                    extractedValues[key] = null;
-                }
-            }
+        for (const key of result.flagged) {
+            console.warn(`OCR ${key} ${result.fields[key].status}: ${result.fields[key].reason}`);
         }
 
         console.log(`[${new Date().toISOString()}] OCR completed successfully`);
@@ -224,7 +203,7 @@ EXTRACTION RULES:
         return {
             statusCode: 200,
             headers,
-            body: JSON.stringify(extractedValues)
+            body: JSON.stringify(result)
         };
 
     } catch (error) {
@@ -235,4 +214,4 @@ EXTRACTION RULES:
             body: JSON.stringify({ error: 'OCR processing failed' })
         };
     }
-};
+}, { images: true });
@@ -0,0 +1,58 @@
+// Exchanges an access token for a signed session token, so the browser keeps a token that
+// expires (SESSION_TTL_SECONDS) rather than the access token itself
+const guard = require('./lib/guard');
+
+exports.handler = guard.withGuard('session', async (event) => {
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'strict-origin-when-cross-origin',
+        'Cache-Control': 'no-store'
+    };
+
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const config = guard.settings('session');
+    if (!config.accessTokens.length) {
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ required: false })
+        };
+    }
+    if (!config.sessionSecret) {
+        return {
+            statusCode: 501,
+            headers,
+            body: JSON.stringify({ error: 'Sessions are not configured - use the access token directly' })
+        };
+    }
+
+    let accessToken;
+    try {
+        accessToken = String(JSON.parse(event.body).accessToken || '');
+    } catch (error) {
+        accessToken = '';
+    }
+    if (!guard.isAccessToken(accessToken, config)) {
+        console.warn('Session refused: unknown access token');
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ error: 'Access token not recognised' })
+        };
+    }
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ required: true, ...guard.issueSession(accessToken, config) })
+    };
+}, { auth: false });
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGAnalysers = require('../abg-interpreter-app/js/abg-analysers');
+const { processFields, applyAnalyser } = require('../netlify/functions/lib/ocr-fields');
+
+test('analysers are detected from the printout header', () => {
+    assert.equal(ABGAnalysers.detect('RADIOMETER ABL90 FLEX  Patient report'), 'radiometer-abl');
+    assert.equal(ABGAnalysers.detect('ABL 800 Syringe - S 65uL'), 'radiometer-abl');
+    assert.equal(ABGAnalysers.detect('Siemens Healthineers'), 'siemens-rapidpoint');
+    assert.equal(ABGAnalysers.detect('RAPIDPoint 500e'), 'siemens-rapidpoint');
+    assert.equal(ABGAnalysers.detect('i-STAT CG8+'), 'abbott-istat');
+    assert.equal(ABGAnalysers.detect('Cartridge EG7+'), 'abbott-istat');
+    assert.equal(ABGAnalysers.detect('Ward 4 blood gas'), null);
+    assert.equal(ABGAnalysers.detect(''), null);
+});
+
+test('unknown profile keys resolve to the generic profile', () => {
+    assert.equal(ABGAnalysers.resolve('abbott-istat').key, 'abbott-istat');
+    assert.equal(ABGAnalysers.resolve('nova-stat').key, 'generic');
+    assert.equal(ABGAnalysers.resolve(undefined).label, 'Other / unknown analyser');
+});
+
+test('fields and prompt guidance follow the profile', () => {
+    const istat = ABGAnalysers.resolve('abbott-istat');
+    const fields = ABGAnalysers.fieldsFor(istat);
+    assert.ok(fields.includes('so2'));
+    assert.ok(!fields.includes('cohb'));
+    assert.ok(!fields.includes('methb'));
+    const prompt = ABGAnalysers.promptSection(istat);
+    assert.match(prompt, /^Abbott i-STAT:/);
+    assert.match(prompt, / {2}hco3: "HCO3" \(NOT "TCO2"\)/);
+    assert.match(prompt, /Prefer for hco3: HCO3, never TCO2/);
+});
+
+test('labels for the wrong variant are reported, ignoring case and spacing', () => {
+    const abl = ABGAnalysers.resolve('radiometer-abl');
+    assert.equal(ABGAnalysers.checkLabel(abl, 'hco3', 'cHCO3-(P)'), null);
+    assert.equal(ABGAnalysers.checkLabel(abl, 'hco3', 'chco3-(p, st)'),
+        '"chco3-(p, st)" is not the variant used for interpretation - use cHCO3-(P) (actual) over cHCO3-(P,st) (standard)');
+    assert.match(ABGAnalysers.checkLabel(abl, 'ph', 'pH(T)'), /use the 37.0 °C value/);
+    assert.equal(ABGAnalysers.checkLabel(abl, 'ph', null), null);
+    // Siemens prints corrected values in a separate column rather than under a (T) label
+    assert.equal(ABGAnalysers.checkLabel(ABGAnalysers.resolve('siemens-rapidpoint'), 'pco2', 'pCO2(T)'), null);
+});
+
+test('OCR readings under an avoided label are flagged for review', () => {
+    const result = applyAnalyser(processFields({
+        ph: { value: 7.33, text: '7.33', label: 'pH(T)', confidence: 'high' },
+        hco3: { value: 24, text: '24', label: 'cHCO3-(P)', unit: 'mmol/L', confidence: 'high' }
+    }), ABGAnalysers.resolve('radiometer-abl'));
+    assert.equal(result.fields.ph.status, 'low-confidence');
+    assert.equal(result.fields.ph.confidence, 'low');
+    assert.match(result.fields.ph.reason, /"pH\(T\)" is not the variant used/);
+    assert.equal(result.fields.hco3.status, 'ok');
+    assert.deepEqual(result.flagged, ['ph']);
+    assert.equal(result.values.ph, 7.33);
+});
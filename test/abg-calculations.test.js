@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGCalculations = require('../abg-interpreter-app/js/abg-calculations');
+
+// High anion gap acidosis with a low albumin
+const acidosis = {
+    ph: 7.2, pco2: 3.5, po2: 12, hco3: 12, sodium: 140, potassium: 4, chloride: 100,
+    albumin: 20, lactate: 2, calcium: 1.2, magnesium: 0.9, phosphate: 1, fio2: 21,
+    glucose: 10, urea: 5, osmolality: 320
+};
+
+test('anion gap and albumin-corrected anion gap', () => {
+    const result = ABGCalculations.calculate(acidosis);
+    assert.equal(result.anionGap.value, 28);
+    assert.equal(result.anionGap.flag, 'high');
+    assert.equal(result.correctedAnionGap.value, 33);
+});
+
+test('delta ratio', () => {
+    const result = ABGCalculations.calculate(acidosis);
+    assert.equal(result.deltaRatio.value, 1.33);
+    assert.equal(result.deltaRatio.interpretation, 'Pure high anion gap acidosis');
+    assert.equal(ABGCalculations.calculate({ ...acidosis, chloride: 110, hco3: 18 }).deltaRatio, null);
+});
+
+test("Winter's formula gives the expected pCO2 range in kPa", () => {
+    const winters = ABGCalculations.calculate(acidosis).wintersFormula;
+    assert.equal(winters.value, 3.47);
+    assert.equal(winters.low, 3.2);
+    assert.equal(winters.high, 3.73);
+    assert.equal(winters.comparison, 'within');
+    assert.equal(ABGCalculations.calculate({ ...acidosis, pco2: 5 }).wintersFormula.comparison, 'above');
+    assert.equal(ABGCalculations.calculate({ ...acidosis, pco2: 2.5 }).wintersFormula.comparison, 'below');
+});
+
+test('apparent and effective strong ion difference and strong ion gap', () => {
+    const result = ABGCalculations.calculate(acidosis);
+    assert.equal(result.sidApparent.value, 46.2);
+    assert.deepEqual(result.sidApparent.omitted, []);
+    assert.equal(result.sidEffective.value, 18.8);
+    assert.equal(result.sidEffective.albuminAssumed, false);
+    assert.equal(result.strongIonGap.value, 27.4);
+});
+
+test('A-a gradient and P/F ratio', () => {
+    const result = ABGCalculations.calculate({ ...acidosis, pco2: 5 });
+    assert.equal(result.aaGradient.value, 1.7);
+    assert.equal(result.aaGradient.flag, 'normal');
+    assert.equal(result.pfRatio.value, 57.1);
+    assert.equal(result.pfRatio.valueMmHg, 429);
+    assert.equal(result.pfRatio.severity, 'Not in ARDS range');
+    // FiO2 as a fraction gives the same result
+    assert.equal(ABGCalculations.calculate({ ...acidosis, pco2: 5, fio2: 0.21 }).pfRatio.value, 57.1);
+});
+
+test('calculated osmolality and osmolar gap', () => {
+    const result = ABGCalculations.calculate(acidosis);
+    assert.equal(result.calculatedOsmolality.value, 295);
+    assert.equal(result.osmolarGap.value, 25);
+    assert.equal(result.osmolarGap.flag, 'high');
+});
+
+test('results are null when the values they need are missing', () => {
+    const result = ABGCalculations.calculate({ ph: 7.4, pco2: 5.3 });
+    for (const key of ['anionGap', 'correctedAnionGap', 'deltaRatio', 'wintersFormula', 'sidApparent', 'sidEffective',
+        'strongIonGap', 'aaGradient', 'pfRatio', 'calculatedOsmolality', 'osmolarGap']) {
+        assert.equal(result[key], null, key);
+    }
+    assert.equal(ABGCalculations.calculate({ ...acidosis, albumin: '' }).correctedAnionGap, null);
+    assert.equal(ABGCalculations.calculate({ ...acidosis, osmolality: null }).osmolarGap, null);
+});
+
+test('form strings are read as numbers', () => {
+    const result = ABGCalculations.calculate({ sodium: '140', chloride: '100', hco3: '12' });
+    assert.equal(result.anionGap.value, 28);
+});
+
+test('venous samples have no oxygenation indices', () => {
+    for (const sampleType of ABGCalculations.VENOUS_SAMPLE_TYPES) {
+        const result = ABGCalculations.calculate(acidosis, { sampleType });
+        assert.equal(result.aaGradient, null);
+        assert.equal(result.pfRatio, null);
+        assert.equal(result.saturationGap, null);
+        assert.equal(result.oxygenContent, null);
+        // Acid-base results are unaffected
+        assert.equal(result.anionGap.value, 28);
+    }
+    assert.notEqual(ABGCalculations.calculate(acidosis, { sampleType: 'Arterial' }).aaGradient, null);
+});
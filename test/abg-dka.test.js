@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGDKA = require('../abg-interpreter-app/js/abg-dka');
+const ABGTrends = require('../abg-interpreter-app/js/abg-trends');
+
+const item = (assessment, name) => assessment.checklist.find(entry => entry.item === name);
+
+test('DKA with a raised anion gap is severe and gets the weight-based insulin rate', () => {
+    const assessment = ABGDKA.assess({ ph: 7.1, hco3: 8, ketones: 5.5, glucose: 25, sodium: 134, chloride: 98, potassium: 5.8 }, { weightKg: 70 });
+    assert.equal(assessment.diagnosis.met, true);
+    assert.equal(assessment.severity, 'severe');
+    // 134 - (98 + 8) = 28
+    assert.deepEqual(assessment.severeFeatures, ['Anion gap 28 mmol/L (> 16)']);
+    // 134 + 2.4 × (25 - 5.5) / 5.5 = 142.5
+    assert.equal(assessment.correctedSodium.value, 143);
+    assert.match(item(assessment, 'Insulin').detail, /0.1 units\/kg\/h \(7 units\/h for 70 kg\)/);
+    assert.match(item(assessment, 'Potassium').detail, /no potassium in the infusion fluid/);
+});
+
+test('DKA without severe features, and criteria left unknown without ketones', () => {
+    const mild = ABGDKA.assess({ ph: 7.25, hco3: 13, ketones: 3.8, glucose: 20, sodium: 138, chloride: 110, potassium: 4.2 });
+    assert.equal(mild.severity, 'not-severe');
+    assert.match(item(mild, 'Potassium').detail, /40 mmol\/L potassium chloride/);
+    const unknown = ABGDKA.assess({ ph: 7.25, hco3: 13, glucose: 20 });
+    assert.equal(unknown.diagnosis.met, null);
+    assert.equal(unknown.severity, null);
+});
+
+test('resolution needs pH, ketones and bicarbonate all in range', () => {
+    const resolved = ABGDKA.assess({ ph: 7.35, hco3: 18, ketones: 0.4, glucose: 10 });
+    assert.equal(resolved.resolution.resolved, true);
+    assert.ok(item(resolved, 'Resolution'));
+    const pending = ABGDKA.assess({ ph: 7.35, hco3: 18, glucose: 10 });
+    assert.equal(pending.resolution.resolved, false);
+    assert.deepEqual(pending.resolution.pending, ['Ketones']);
+});
+
+test('hourly targets come from the episode trend and prompt an insulin rate increase', () => {
+    const trend = ABGTrends.analyse(ABGTrends.sortSamples([
+        { takenAt: '2026-01-01T08:00:00Z', sampleType: 'Venous', values: { ph: 7.1, pco2: 3, hco3: 10, ketones: 5, glucose: 25 } },
+        { takenAt: '2026-01-01T10:00:00Z', sampleType: 'Venous', values: { ph: 7.18, pco2: 3.4, hco3: 14, ketones: 3.6, glucose: 19 } }
+    ]));
+    const assessment = ABGDKA.assess({ ph: 7.18, hco3: 14, ketones: 3.6, glucose: 19, potassium: 4 }, { trend });
+    // Ketones -0.7/h (target -0.5), bicarbonate +2/h (target +3), glucose -3/h (target -3)
+    assert.deepEqual(assessment.targets.map(target => [target.key, target.actual, target.met]), [
+        ['ketones', '-0.7 mmol/L/h', true],
+        ['hco3', '+2 mmol/L/h', false],
+        ['glucose', '-3 mmol/L/h', true]
+    ]);
+    assert.match(item(assessment, 'Insulin rate').detail, /Bicarbonate rise \+2 mmol\/L\/h \(target \+3 mmol\/L\/h\)/);
+});
+
+test('HHS needs ketones below 3 mmol/L and no acidosis', () => {
+    const values = { ph: 7.35, hco3: 22, sodium: 150, glucose: 40, potassium: 4 };
+    // 2 × 150 + 40 = 340 mOsm/kg
+    const hhs = ABGDKA.assess({ ...values, ketones: 1 }, { weightKg: 80 });
+    assert.equal(hhs.effectiveOsmolality.value, 340);
+    assert.equal(hhs.hhs.present, true);
+    assert.match(item(hhs, 'Insulin').detail, /0.05 units\/kg\/h \(4 units\/h\)/);
+    assert.ok(item(hhs, 'Osmolality'));
+
+    const ketotic = ABGDKA.assess({ ...values, ketones: 4 });
+    assert.equal(ketotic.hhs.present, false);
+    assert.ok(item(ketotic, 'Osmolality'));
+
+    const mixed = ABGDKA.assess({ ...values, ph: 7.2, hco3: 12, ketones: 4 });
+    assert.deepEqual([mixed.hhs.present, mixed.hhs.overlap], [false, true]);
+});
+
+test('without ketones HHS cannot be assessed', () => {
+    const assessment = ABGDKA.assess({ ph: 7.35, hco3: 22, sodium: 150, glucose: 40, potassium: 4 });
+    assert.equal(assessment.hhs.present, null);
+    assert.equal(assessment.hhs.overlap, false);
+    assert.match(item(assessment, 'Ketones').detail, /measure blood ketones/);
+    assert.equal(item(assessment, 'Insulin'), undefined);
+    assert.match(ABGDKA.describe(assessment), /HHS cannot be assessed without ketones/);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGFHIR = require('../abg-interpreter-app/js/abg-fhir');
+
+const LOINC = 'http://loinc.org';
+const SNOMED = 'http://snomed.info/sct';
+
+const observation = (code, value, unit, extra = {}) => ({
+    resourceType: 'Observation',
+    status: 'final',
+    code: { coding: [{ system: LOINC, code }] },
+    valueQuantity: unit === undefined ? { value } : { value, unit, system: 'http://unitsofmeasure.org', code: unit },
+    ...extra
+});
+const bundle = (...resources) => ({ resourceType: 'Bundle', type: 'collection', entry: resources.map(resource => ({ resource })) });
+
+test('gas tensions in mmHg and glucose in mg/dL are converted to SI', () => {
+    const result = ABGFHIR.importBundle(bundle(
+        observation('2744-1', 7.31, '[pH]'),
+        observation('2019-8', 45, 'mm[Hg]'),
+        observation('2703-7', 90, 'mm[Hg]'),
+        observation('2339-0', 180, 'mg/dL')
+    ));
+    assert.equal(result.values.ph, 7.31);
+    // 45 ÷ 7.5, 90 ÷ 7.5
+    assert.equal(result.values.pco2, 6);
+    assert.equal(result.values.po2, 12);
+    // 180 ÷ 18.016 = 9.991
+    assert.equal(result.values.glucose, 9.99);
+    assert.equal(result.sampleType, 'Arterial');
+    assert.deepEqual(result.mapped.find(item => item.key === 'pco2').original, { value: 45, unit: 'mmHg' });
+    assert.deepEqual(result.unitMismatches, []);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('units that do not match the code are converted or skipped and reported', () => {
+    const result = ABGFHIR.importBundle(bundle(
+        observation('2744-1', 7.4, '[pH]'),
+        observation('2019-8', 5.1, 'mmol/L'),
+        observation('15074-8', 90, 'mg/dL'),
+        observation('2823-3', 4.2, undefined)
+    ));
+    assert.equal(result.values.pco2, undefined);
+    // 90 ÷ 18.016 = 4.996
+    assert.equal(result.values.glucose, 5);
+    assert.equal(result.values.potassium, undefined);
+    assert.deepEqual(result.unitMismatches.map(item => [item.key, item.action]), [
+        ['pco2', 'skipped'],
+        ['glucose', 'converted'],
+        ['potassium', 'skipped']
+    ]);
+    assert.equal(result.unitMismatches[0].reason, 'mmol/L cannot be converted for Carbon dioxide [Partial pressure] in Arterial blood');
+    assert.equal(result.unitMismatches[1].reason, 'Glucose [Moles/volume] in Blood is normally reported in mmol/L; mg/dL was converted');
+    assert.equal(result.unitMismatches[2].reason, 'No unit given for Potassium [Moles/volume] in Serum or Plasma');
+    assert.deepEqual(result.warnings, ['The Bundle has no usable pH or pCO2 - both are needed for analysis']);
+});
+
+test('a value reported twice keeps the later result whatever the order', () => {
+    const result = ABGFHIR.importBundle(bundle(
+        observation('2744-1', 7.35, '[pH]', { effectiveDateTime: '2026-03-01T10:00:00Z' }),
+        observation('2019-8', 5.5, 'kPa', { effectiveDateTime: '2026-03-01T10:00:00Z' }),
+        observation('6298-4', 4.6, 'mmol/L', { effectiveDateTime: '2026-03-01T10:30:00Z' }),
+        observation('2823-3', 4.0, 'mmol/L', { effectiveDateTime: '2026-03-01T10:00:00Z' }),
+        observation('2947-0', 138, 'mmol/L'),
+        observation('2951-2', 141, 'mmol/L')
+    ));
+    assert.equal(result.values.potassium, 4.6);
+    // Without times the later-listed result stands
+    assert.equal(result.values.sodium, 141);
+    assert.deepEqual(result.warnings, [
+        'potassium reported twice (4.6 and 4) - using 4.6, the later result',
+        'sodium reported twice (138 and 141) - using 141, the later result'
+    ]);
+    assert.equal(result.takenAt, '2026-03-01T10:30:00.000Z');
+});
+
+test('the sample type comes from the Specimen when the codes are not sample-specific', () => {
+    const specimen = { resourceType: 'Specimen', id: 'gas1', type: { coding: [{ system: SNOMED, code: '122555007' }] } };
+    const result = ABGFHIR.importBundle(bundle(
+        specimen,
+        observation('11558-4', 7.3, '[pH]', { specimen: { reference: 'Specimen/gas1' } }),
+        observation('11557-6', 6.8, 'kPa', { specimen: { reference: 'Specimen/gas1' } })
+    ));
+    assert.equal(result.sampleType, 'Venous');
+
+    const mixed = ABGFHIR.importBundle(bundle(
+        specimen,
+        observation('2744-1', 7.3, '[pH]', { specimen: { reference: 'Specimen/gas1' } }),
+        observation('11557-6', 6.8, 'kPa')
+    ));
+    assert.equal(mixed.sampleType, null);
+    assert.deepEqual(mixed.warnings, ['Observations describe more than one sample type (Arterial, Venous) - check the sample type before analysis']);
+});
+
+test('panel components are read and unusable results are skipped', () => {
+    const result = ABGFHIR.importBundle(bundle(
+        {
+            resourceType: 'Observation',
+            status: 'final',
+            code: { coding: [{ system: LOINC, code: '24336-0' }] },
+            component: [
+                { code: { coding: [{ system: LOINC, code: '2744-1' }] }, valueQuantity: { value: 7.42, code: '[pH]' } },
+                { code: { coding: [{ system: LOINC, code: '2019-8' }] }, valueQuantity: { value: 5.2, code: 'kPa' } }
+            ]
+        },
+        observation('32693-4', 9.9, 'mmol/L', { status: 'entered-in-error' }),
+        observation('99999-9', 1, 'mmol/L')
+    ));
+    assert.deepEqual(result.values, { ph: 7.42, pco2: 5.2 });
+    assert.deepEqual(result.skipped, [{ key: 'lactate', code: '32693-4', reason: 'Observation status is entered-in-error' }]);
+    assert.deepEqual(result.unmapped, [{ system: LOINC, code: '99999-9', display: null, reason: 'No LOINC code this app maps' }]);
+    assert.throws(() => ABGFHIR.importBundle({ resourceType: 'Observation' }), ABGFHIR.FHIRError);
+});
+
+test('export codes by sample type, keeps the corrected set apart and re-imports', () => {
+    let id = 0;
+    const exported = ABGFHIR.exportReport({
+        values: { ph: 7.3, pco2: 6.8, hco3: 24, sodium: 140 },
+        sampleType: 'Venous',
+        takenAt: '2026-03-01T10:00:00Z',
+        correctedValues: { temperature: 33, strategy: 'ph-stat', values: { ph: 7.36, pco2: 5.55 } },
+        calculations: { anionGap: { label: 'Anion Gap', value: 12, unit: 'mmol/L', working: '140 - 104 - 24 = 12 mmol/L', range: [8, 16], flag: 'normal' } }
+    }, { newId: () => `id-${++id}` });
+
+    const resources = exported.entry.map(entry => entry.resource);
+    const report = resources[0];
+    assert.equal(report.resourceType, 'DiagnosticReport');
+    assert.equal(report.code.coding[0].code, '24339-4');
+    const codes = resources.slice(1).map(resource => resource.code.coding[0].code);
+    assert.deepEqual(codes, ['2746-6', '2021-4', '14627-4', '2947-0', 'ph-temperature-corrected', 'pco2-temperature-corrected', '33037-3']);
+    assert.deepEqual(resources[2].valueQuantity, { value: 6.8, unit: 'kPa', system: 'http://unitsofmeasure.org', code: 'kPa' });
+    assert.equal(resources[6].code.text, 'pCO2 corrected to 33 °C');
+    assert.equal(resources[6].valueQuantity.value, 5.55);
+    assert.deepEqual(resources[6].derivedFrom.map(item => item.reference), ['urn:uuid:id-1', 'urn:uuid:id-2', 'urn:uuid:id-3', 'urn:uuid:id-4']);
+    assert.equal(report.result.length, 7);
+
+    // The corrected Observations use the local code system, so they never replace the 37 °C values
+    const reimported = ABGFHIR.importBundle(exported);
+    assert.deepEqual(reimported.values, { ph: 7.3, pco2: 6.8, hco3: 24, sodium: 140 });
+    assert.equal(reimported.sampleType, 'Venous');
+    assert.equal(reimported.unmapped.length, 3);
+});
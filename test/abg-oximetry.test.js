@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGOximetry = require('../abg-interpreter-app/js/abg-oximetry');
+
+const SAMPLE = { ph: 7.38, pco2: 4.8, po2: 12, hco3: 21, hb: 150, so2: 98, spo2: 98, cardiacOutput: 5 };
+
+test('normal co-oximetry: no saturation gap, CaO2 and DO2 in range', () => {
+    const result = ABGOximetry.assess({ ...SAMPLE, cohb: 1, methb: 0 }, { sampleType: 'Arterial' });
+    // O2Hb = 98 × (100 - 1) / 100 = 97.0
+    assert.equal(result.saturationGap.value, 1);
+    assert.equal(result.saturationGap.flag, 'normal');
+    // 1.34 × 15 × 0.970 + 0.0225 × 12 = 19.5 + 0.27 = 19.8
+    assert.equal(result.oxygenContent.value, 19.8);
+    assert.equal(result.oxygenContent.dissolved, 0.27);
+    assert.equal(result.oxygenContent.flag, 'normal');
+    // 19.8 × 5 × 10
+    assert.equal(result.oxygenDelivery.value, 990);
+    assert.equal(result.carboxyhaemoglobin.level, 'normal');
+    assert.deepEqual(result.alerts, []);
+});
+
+test('carbon monoxide opens a saturation gap and lowers the oxygen content', () => {
+    const result = ABGOximetry.assess({ ...SAMPLE, po2: 40, so2: 97, cohb: 20, lactate: 9 }, { sampleType: 'Arterial' });
+    // O2Hb = 97 × 0.8 = 77.6; gap 98 - 77.6
+    assert.equal(result.saturationGap.value, 20.4);
+    assert.equal(result.saturationGap.flag, 'high');
+    // 1.34 × 15 × 0.776 + 0.0225 × 40 = 15.60 + 0.9 = 16.5
+    assert.equal(result.oxygenContent.value, 16.5);
+    assert.equal(result.oxygenContent.dyshaemoglobinAdjusted, true);
+    assert.equal(result.oxygenDelivery.value, 825);
+    assert.deepEqual(result.alerts, [
+        'Carbon monoxide exposure (COHb 20%)',
+        'Raised COHb with lactate 9 mmol/L - consider cyanide toxicity if smoke exposure (hydroxocobalamin)'
+    ]);
+    assert.match(result.commentary[0], /^Saturation gap 20.4% - pulse oximetry is overestimating oxygenation; use co-oximetry values\.$/);
+});
+
+test('methaemoglobin bands and methylene blue advice', () => {
+    const moderate = ABGOximetry.assess({ ...SAMPLE, methb: 15, hb: 90 }, { sampleType: 'Arterial' });
+    assert.equal(moderate.methaemoglobin.level, 'moderate');
+    // Anaemia brings the treatment threshold down to 20%
+    assert.ok(moderate.methaemoglobin.commentary.some(line => line.startsWith('Methylene blue')));
+    assert.deepEqual(moderate.alerts, []);
+
+    const severe = ABGOximetry.assess({ ...SAMPLE, methb: 35 }, { sampleType: 'Arterial' });
+    assert.equal(severe.methaemoglobin.level, 'severe');
+    assert.deepEqual(severe.alerts, ['Severe methaemoglobinaemia (MetHb 35%)']);
+});
+
+test('venous samples keep COHb but not the saturation gap or oxygen content', () => {
+    const result = ABGOximetry.assess({ ...SAMPLE, cohb: 12 }, { sampleType: 'Venous' });
+    assert.equal(result.carboxyhaemoglobin.level, 'raised');
+    assert.equal(result.saturationGap, null);
+    assert.equal(result.oxygenContent, null);
+    assert.equal(result.oxygenDelivery, null);
+    assert.match(result.commentary.at(-1), /^Venous sample - COHb and MetHb are valid/);
+});
+
+test('nothing to assess without co-oximetry or saturations', () => {
+    assert.equal(ABGOximetry.assess({ ph: 7.4, pco2: 5.3, hb: 140 }), null);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGReport = require('../abg-interpreter-app/js/abg-report');
+const ABGCalculations = require('../abg-interpreter-app/js/abg-calculations');
+
+const values = { ph: 7.3, pco2: 4, hco3: 15, sodium: 140, glucose: 7.4, lactate: 2, calcium: 1.2, urea: 5, albumin: 30, hb: 120, temperature: 37 };
+const ranges = { pco2: [4.7, 6.0], glucose: [4.0, 7.8] };
+const row = (rows, key) => rows.find(item => item.key === key);
+
+test('SI value rows keep the working units', () => {
+    const rows = ABGReport.valueRows(values, { ranges });
+    assert.deepEqual([row(rows, 'glucose').value, row(rows, 'glucose').unit], [7.4, 'mmol/L']);
+    assert.deepEqual([row(rows, 'pco2').value, row(rows, 'pco2').unit], [4, 'kPa']);
+    assert.equal(row(rows, 'urea').label, 'Urea');
+});
+
+test('US value rows convert each field and its range to its US unit', () => {
+    const rows = ABGReport.valueRows(values, { ranges, displayUnits: 'US' });
+    const shown = (key) => [row(rows, key).value, row(rows, key).unit];
+    assert.deepEqual(shown('pco2'), [30, 'mmHg']);
+    assert.deepEqual(row(rows, 'pco2').range, [35, 45]);
+    assert.deepEqual(shown('glucose'), [133, 'mg/dL']);
+    assert.deepEqual(row(rows, 'glucose').range, [72, 141]);
+    assert.deepEqual(shown('lactate'), [18, 'mg/dL']);
+    assert.deepEqual(shown('calcium'), [4.8, 'mg/dL']);
+    assert.deepEqual(row(rows, 'calcium').range, [4.6, 5.4]);
+    assert.deepEqual(shown('urea'), [14, 'mg/dL']);
+    assert.equal(row(rows, 'urea').label, 'BUN');
+    assert.deepEqual(shown('albumin'), [3, 'g/dL']);
+    assert.deepEqual(shown('hb'), [12, 'g/dL']);
+    assert.deepEqual(shown('sodium'), [140, 'mEq/L']);
+    assert.deepEqual(shown('temperature'), [98.6, '°F']);
+    // Flags are still judged on the SI values
+    assert.equal(row(rows, 'pco2').flag, 'low');
+});
+
+test('a US-units report prints no mmol/L value relabelled as mEq/L', () => {
+    const html = ABGReport.toHtml({
+        values,
+        sampleType: 'Arterial',
+        interpretation: null,
+        calculations: {},
+        sections: {},
+        displayUnits: 'US',
+        generatedAt: '2026-01-01T10:00:00Z'
+    });
+    assert.match(html, /<td>Glucose<\/td><td>133<\/td><td>mg\/dL<\/td>/);
+    assert.match(html, /<td>Ca2\+ \(ionised\)<\/td><td>4\.8<\/td><td>mg\/dL<\/td>/);
+    assert.match(html, /<td>Lactate<\/td><td>18<\/td><td>mg\/dL<\/td>/);
+    assert.doesNotMatch(html, /<td>(7\.4|1\.2|2)<\/td><td>mEq\/L<\/td>/);
+});
+
+test('temperature-corrected values are reported apart from the 37 °C results', () => {
+    const correctedValues = { temperature: 33, strategy: 'ph-stat', values: { ph: 7.36, pco2: 4.45 } };
+    const data = { values: { ph: 7.3, pco2: 5.3, hco3: 19 }, correctedValues, interpretation: {}, calculations: {} };
+    assert.deepEqual(ABGReport.correctedRows(correctedValues, 'US').map(item => [item.label, item.value, item.unit]), [
+        ['pH corrected to 33 °C', 7.36, ''],
+        ['pCO2 corrected to 33 °C', 33, 'mmHg']
+    ]);
+    const html = ABGReport.toHtml(data);
+    assert.match(html, /<h2>Results \(measured at 37 °C\)<\/h2>/);
+    assert.match(html, /<td>pH<\/td><td>7.3<\/td>/);
+    assert.match(html, /<td>pH corrected to 33 °C<\/td><td>7.36<\/td>/);
+    assert.match(ABGReport.sbar(data).text, /pH 7.3, pCO2 5.3 kPa, HCO3- 19 mmol\/L\. Corrected to 33 °C: pH 7.36, pCO2 4.45 kPa\./);
+    assert.doesNotMatch(ABGReport.sbar({ ...data, correctedValues: { ...correctedValues, strategy: 'alpha-stat' } }).text, /Corrected/);
+});
+
+test('US calculated values are converted per field and the SI working is labelled', () => {
+    const calculations = ABGCalculations.calculate({ ph: 7.25, pco2: 3.2, po2: 12, fio2: 40, hco3: 10, sodium: 140, chloride: 104 });
+    const html = ABGReport.toHtml({ values: {}, interpretation: {}, calculations, displayUnits: 'US' });
+    const cells = (label) => html.match(new RegExp(`<td>${label}</td><td>([^<]*)</td><td class="working">([^<]*)</td>`)).slice(1);
+    assert.deepEqual(cells('Anion Gap'), ['26 mEq/L', '140 - (104 + 10) = 26 (SI)']);
+    // Winter's (1.5 × 10 + 8 ± 2) mmHg = 21-25 mmHg, calculated as 2.8-3.33 kPa
+    assert.deepEqual(cells("Winter's Formula \\(expected pCO2\\)"), ['21-25 mmHg', '(1.5 × 10 + 8 ± 2) / 7.5 = 2.8-3.33 kPa (SI)']);
+    // Unitless and mEq/L results are shown as calculated
+    assert.deepEqual(cells('Delta Ratio'), ['1', '(26 - 12) / (24 - 10) = 1']);
+    assert.deepEqual(cells('Strong Ion Difference Effective \\(SIDe\\)'), ['20.4 mEq/L', '10 + 10.4 + 0 = 20.4']);
+    // 0.4 × 95 - 3.2 / 0.8 - 12 = 22 kPa; 12 / 0.4 = 30 kPa
+    assert.equal(cells('A-a Gradient')[0], '165 mmHg');
+    assert.equal(cells('P/F Ratio')[0], '225 mmHg');
+    assert.doesNotMatch(html, /\d kPa<\/td>/);
+
+    const si = ABGReport.toHtml({ values: {}, interpretation: {}, calculations });
+    assert.match(si, /<td>A-a Gradient<\/td><td>22 kPa<\/td><td class="working">0.4 × 95 - 3.2 \/ 0.8 - 12 = 22 kPa<\/td>/);
+});
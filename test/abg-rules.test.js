@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGRules = require('../abg-interpreter-app/js/abg-rules');
+const ABGReferenceRanges = require('../abg-interpreter-app/js/abg-reference-ranges');
+const ABGTemperature = require('../abg-interpreter-app/js/abg-temperature');
+const ABGVentilation = require('../abg-interpreter-app/js/abg-ventilation');
+const ABGTrends = require('../abg-interpreter-app/js/abg-trends');
+const ABGDKA = require('../abg-interpreter-app/js/abg-dka');
+
+const neonate = ABGReferenceRanges.resolveProfile({ patient: { age: 5, ageUnit: 'days' }, sampleType: 'Arterial' });
+const adult = ABGReferenceRanges.resolveProfile({ sampleType: 'Arterial' });
+
+// Respiratory acidosis with a partial rise in HCO3-
+const hypercapnic = { ph: 7.26, pco2: 8, hco3: 26.5, sodium: 140, chloride: 105 };
+
+test('neonatal respiratory compensation is measured from the neonatal normal', () => {
+    assert.equal(neonate.compensation, 'neonatal');
+    const compensation = ABGRules.interpret(hypercapnic, { profile: neonate }).compensation;
+    assert.equal(compensation.expected.acute, 23.4);
+    assert.equal(compensation.expected.chronic, 29.5);
+    assert.equal(compensation.verdict, 'chronic');
+    assert.match(compensation.rule, /neonatal normal \(pCO2 4\.75 kPa, HCO3- 21 mmol\/L\)/);
+});
+
+test('adults keep the adult respiratory compensation rules', () => {
+    const compensation = ABGRules.interpret(hypercapnic, { profile: adult }).compensation;
+    assert.equal(compensation.expected.acute, 26);
+    assert.equal(compensation.expected.chronic, 31);
+    assert.equal(compensation.verdict, 'acute');
+    assert.doesNotMatch(compensation.rule, /neonatal/);
+});
+
+test('neonatal metabolic alkalosis compensation uses the neonatal baseline', () => {
+    const values = { ph: 7.5, pco2: 5.2, hco3: 30 };
+    const neonatal = ABGRules.interpret(values, { profile: neonate }).compensation;
+    const adultRule = ABGRules.interpret(values, { profile: adult }).compensation;
+    assert.ok(neonatal.expected.low < adultRule.expected.low);
+    assert.match(neonatal.rule, /neonatal normal/);
+});
+
+test('neonatal metabolic acidosis is still checked with Winter\'s formula', () => {
+    const compensation = ABGRules.interpret({ ph: 7.2, pco2: 3.3, hco3: 12, sodium: 140, chloride: 100 }, { profile: neonate }).compensation;
+    assert.equal(compensation.verdict, 'within');
+    assert.match(compensation.rule, /^Winter's formula \(adult-derived/);
+});
+
+test('cord gases have no compensation assessment', () => {
+    const cord = ABGReferenceRanges.resolveProfile({ sampleType: 'Cord Arterial' });
+    assert.equal(ABGRules.interpret({ ph: 7.1, pco2: 9, hco3: 20, be: -9 }, { profile: cord, sampleType: 'Cord Arterial' }).compensation, null);
+});
+
+test('rule sections include temperature, ventilation, trend and DKA results when given', () => {
+    const values = { ph: 7.1, pco2: 3.0, hco3: 7, sodium: 135, chloride: 100, glucose: 30, ketones: 5, temperature: 35 };
+    const interpretation = ABGRules.interpret(values, { sampleType: 'Venous' });
+    const plain = ABGRules.toSections(interpretation, values);
+    assert.equal(plain.trendAnalysis, undefined);
+    assert.equal(plain.dkaAnalysis, undefined);
+
+    const trend = ABGTrends.analyse([
+        { takenAt: '2026-01-01T08:00:00Z', values: { ...values, ph: 7.05, ketones: 6 } },
+        { takenAt: '2026-01-01T10:00:00Z', values }
+    ]);
+    const extras = {
+        temperatureCorrection: ABGTemperature.assess(values, { strategy: 'alpha-stat' }),
+        ventilation: ABGVentilation.assess(values, { tidalVolume: 450, respiratoryRate: 24 }, { sampleType: 'Venous' }),
+        trend,
+        dka: ABGDKA.assess(values, { sampleType: 'Venous', anionGap: interpretation.anionGap, trend })
+    };
+    const sections = ABGRules.toSections(interpretation, values, null, extras);
+    assert.ok(sections.hhAnalysis.startsWith(ABGTemperature.describe(extras.temperatureCorrection)));
+    assert.ok(sections.hhAnalysis.endsWith(plain.hhAnalysis));
+    assert.equal(sections.additionalCalculations, `${plain.additionalCalculations}\n\n${ABGVentilation.describe(extras.ventilation)}`);
+    assert.equal(sections.trendAnalysis, `Serial Gas Trend\n${ABGTrends.describe(trend)}`);
+    assert.equal(sections.dkaAnalysis, ABGDKA.describe(extras.dka));
+    assert.equal(sections.keyFindings, plain.keyFindings);
+});
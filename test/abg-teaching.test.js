@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGTeaching = require('../abg-interpreter-app/js/abg-teaching');
+
+const bankCase = (id) => ABGTeaching.CASE_BANK.find(item => item.id === `bank:${id}`);
+const quizFor = (id) => ABGTeaching.startQuiz(bankCase(id), ABGTeaching.seededRandom(1));
+const score = (quiz, step, answer) => ABGTeaching.scoreStep(quiz, step, answer).score;
+
+test('bank cases read as the disorder they teach', () => {
+    const expected = {
+        dka: ['metabolic-acidosis', 'within'],
+        diarrhoea: ['metabolic-acidosis', 'within'],
+        vomiting: ['metabolic-alkalosis', 'within'],
+        opioid: ['respiratory-acidosis', 'acute'],
+        copd: ['respiratory-acidosis', 'chronic'],
+        pe: ['respiratory-alkalosis', 'acute'],
+        'septic-shock': ['mixed-acidosis', 'none'],
+        salicylate: ['respiratory-alkalosis', 'chronic']
+    };
+    assert.equal(new Set(ABGTeaching.CASE_BANK.map(item => item.id)).size, ABGTeaching.CASE_BANK.length);
+    for (const [id, [primary, compensation]] of Object.entries(expected)) {
+        const { answers } = ABGTeaching.answerKey(bankCase(id));
+        assert.deepEqual([answers.primaryDisorder, answers.compensation], [primary, compensation], id);
+    }
+});
+
+test('the DKA bank case key has the hand-worked gap and delta ratio', () => {
+    // 134 - (96 + 9) = 29; (29 - 12) / (24 - 9) = 1.13
+    const { answers } = ABGTeaching.answerKey(bankCase('dka'));
+    assert.deepEqual(answers.anionGap, { value: 29, corrected: null });
+    assert.equal(answers.deltaRatio, 1.13);
+    // 22 + 0.25 * (40 - 28) = 25 for albumin 28 g/L
+    assert.deepEqual(ABGTeaching.answerKey(bankCase('septic-shock')).answers.anionGap, { value: 22, corrected: 25 });
+});
+
+test('generated cases are reproducible from their id and show the disorder asked for', () => {
+    for (const [disorder, spec] of Object.entries(ABGTeaching.GENERATOR)) {
+        for (const seed of [1, 42, 2024]) {
+            const generated = ABGTeaching.generate(disorder, seed);
+            assert.equal(generated.id, `synthetic:${disorder}:${seed}`);
+            assert.deepEqual(ABGTeaching.caseById(generated.id), generated);
+            const { values } = generated;
+            // pH from Henderson-Hasselbalch on the rounded pCO2 and bicarbonate
+            assert.ok(Math.abs(values.ph - (6.1 + Math.log10(values.hco3 / (0.23 * values.pco2)))) <= 0.005, `${disorder} ${seed} pH`);
+            const { answers, interpretation } = ABGTeaching.answerKey(generated);
+            assert.equal(answers.primaryDisorder, spec.primary, `${disorder} ${seed}`);
+            assert.equal(answers.compensation, spec.compensation, `${disorder} ${seed}`);
+            if (spec.gap) assert.equal(interpretation.anionGap.type, spec.gap, `${disorder} ${seed}`);
+        }
+    }
+    assert.deepEqual(ABGTeaching.generate('nagma', 7), ABGTeaching.generate('nagma', 7));
+    assert.notDeepEqual(ABGTeaching.generate('nagma', 7).values, ABGTeaching.generate('nagma', 8).values);
+    assert.throws(() => ABGTeaching.generate('unknown', 1), /Unknown disorder/);
+    assert.equal(ABGTeaching.caseById('synthetic:unknown:1'), null);
+});
+
+test('the answer key scores full marks', () => {
+    const quiz = quizFor('dka');
+    const { answers } = quiz.key;
+    const results = {
+        primaryDisorder: ABGTeaching.scoreStep(quiz, 'primaryDisorder', answers.primaryDisorder),
+        compensation: ABGTeaching.scoreStep(quiz, 'compensation', answers.compensation),
+        anionGap: ABGTeaching.scoreStep(quiz, 'anionGap', answers.anionGap.value),
+        deltaRatio: ABGTeaching.scoreStep(quiz, 'deltaRatio', answers.deltaRatio),
+        differentials: ABGTeaching.scoreStep(quiz, 'differentials', answers.differentials)
+    };
+    assert.ok(Object.values(results).every(item => item.correct));
+    assert.equal(ABGTeaching.totalScore(results), 100);
+    assert.equal(ABGTeaching.totalScore({ primaryDisorder: results.primaryDisorder }), 20);
+});
+
+test('disorder and compensation steps score whole, or half for one part of a mixed disorder', () => {
+    assert.equal(score(quizFor('dka'), 'primaryDisorder', 'respiratory-acidosis'), 0);
+    assert.equal(score(quizFor('septic-shock'), 'primaryDisorder', 'metabolic-acidosis'), 0.5);
+    assert.equal(score(quizFor('septic-shock'), 'primaryDisorder', 'metabolic-alkalosis'), 0);
+    assert.equal(score(quizFor('copd'), 'compensation', 'acute'), 0);
+    assert.equal(score(quizFor('copd'), 'compensation', 'chronic'), 1);
+});
+
+test('numeric steps score within tolerance, then half marks nearby or in the same band', () => {
+    const dka = quizFor('dka');
+    // Anion gap 29, tolerance 1 mmol/L
+    assert.deepEqual([30, 31, 32, 'abc'].map(answer => score(dka, 'anionGap', answer)), [1, 0.5, 0, 0]);
+    assert.equal(score(quizFor('septic-shock'), 'anionGap', 25), 1);
+    // Delta ratio 1.13, tolerance 0.15; 1.5 is in the same 0.8-2 band
+    assert.deepEqual([1.25, 1.5, 0.5, 'na'].map(answer => score(dka, 'deltaRatio', answer)), [1, 0.5, 0, 0]);
+    assert.equal(score(quizFor('vomiting'), 'deltaRatio', 'na'), 1);
+    assert.equal(score(quizFor('vomiting'), 'deltaRatio', 1), 0);
+});
+
+test('differentials score the fraction found less the fraction of distractors picked', () => {
+    const quiz = quizFor('dka');
+    const correct = quiz.key.answers.differentials;
+    const distractors = quiz.choices.differentials.filter(item => !correct.includes(item));
+    // Six differentials, so four distractors (at least DISTRACTORS, or half the correct count)
+    assert.equal(correct.length, 6);
+    assert.equal(distractors.length, 4);
+    assert.equal(score(quiz, 'differentials', correct.slice(1)), 0.83);
+    assert.equal(score(quiz, 'differentials', [...correct, distractors[0]]), 0.75);
+    assert.equal(score(quiz, 'differentials', distractors), 0);
+    assert.equal(score(quiz, 'differentials', []), 0);
+});
+
+test('attempts are summarised per step and per disorder', () => {
+    const quiz = quizFor('dka');
+    quiz.results = { primaryDisorder: { score: 1 }, compensation: { score: 1 }, anionGap: { score: 0.5 }, deltaRatio: { score: 0 }, differentials: { score: 1 } };
+    const attempt = ABGTeaching.attemptRecord(quiz, '2024-01-01T00:00:00Z');
+    assert.equal(attempt.score, 70);
+    const summary = ABGTeaching.progressSummary(ABGTeaching.recordAttempt([], attempt));
+    assert.equal(summary.attempts, 1);
+    assert.equal(summary.average, 70);
+    assert.equal(summary.weakestStep, 'Delta ratio');
+    assert.deepEqual(summary.byDisorder['metabolic-acidosis'].attempts, 1);
+});
+
+test('quiz value rows in US units convert each field rather than relabelling mmol/L', () => {
+    const rows = ABGTeaching.valueRows(quizFor('dka'), 'US');
+    const row = (key) => rows.find(item => item.key === key);
+    // 32 mmol/L x 18.016 = 577 mg/dL; lactate 1.8 x 9.01 = 16 mg/dL; 3.0 kPa x 7.50 = 23 mmHg
+    assert.deepEqual([row('glucose').value, row('glucose').unit], [577, 'mg/dL']);
+    assert.deepEqual([row('lactate').value, row('lactate').unit], [16, 'mg/dL']);
+    assert.deepEqual([row('pco2').value, row('pco2').unit], [23, 'mmHg']);
+    assert.deepEqual([row('sodium').value, row('sodium').unit], [134, 'mEq/L']);
+    assert.ok(rows.every(item => item.unit !== 'mEq/L' || ['sodium', 'potassium', 'chloride', 'hco3', 'be'].includes(item.key)));
+});
+
+test('quiz value rows in SI units keep the case values', () => {
+    const glucose = ABGTeaching.valueRows(quizFor('dka')).find(item => item.key === 'glucose');
+    assert.deepEqual([glucose.value, glucose.unit], [32, 'mmol/L']);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGToxicAlcohols = require('../abg-interpreter-app/js/abg-toxic-alcohols');
+const ABGUnits = require('../abg-interpreter-app/js/abg-units');
+
+// Calculated osmolality 2 × 140 + 5 + 5 = 290 mOsm/kg
+const BASE = { ph: 7.2, pco2: 3.2, hco3: 9, sodium: 140, chloride: 104, glucose: 5, urea: 5 };
+const HAGMA = { value: 27, type: 'HAGMA' };
+
+test('a high anion gap acidosis with an osmolar gap over 20 is high likelihood', () => {
+    const result = ABGToxicAlcohols.assess({ ...BASE, osmolality: 330 }, { anionGap: HAGMA });
+    assert.equal(result.calculatedOsmolality.value, 290);
+    assert.equal(result.osmolarGap.value, 40);
+    assert.equal(result.osmolarGap.working, '330 - 290 = 40 mOsm/kg');
+    assert.equal(result.ethanolCorrectedOsmolarGap, null);
+    assert.equal(result.likelihood, 'high');
+    assert.equal(result.reasons[0], 'Ethanol not measured - it may account for some or all of the osmolar gap.');
+    assert.ok(result.advice[0].startsWith('Give fomepizole'));
+});
+
+test('ethanol is taken out of the osmolar gap before grading', () => {
+    const result = ABGToxicAlcohols.assess({ ...BASE, osmolality: 330, ethanol: 20 }, { anionGap: HAGMA });
+    // 330 - (290 + 1.09 × 20) = 330 - 311.8 = 18.2
+    assert.equal(result.osmolarGap.value, 40);
+    assert.equal(result.ethanolCorrectedOsmolarGap.value, 18);
+    assert.equal(result.likelihood, 'moderate');
+});
+
+test('US units give the same gaps once converted', () => {
+    const { values } = ABGUnits.normaliseValues(
+        { ...BASE, urea: 14, ethanol: 92.2, osmolality: 330 },
+        { urea: 'mg/dL', ethanol: 'mg/dL' }
+    );
+    // BUN 14 mg/dL × 0.357 = 5.0 mmol/L; ethanol 92.2 mg/dL / 4.61 = 20.0 mmol/L
+    const result = ABGToxicAlcohols.assess(values, { anionGap: HAGMA });
+    assert.equal(result.calculatedOsmolality.value, 290);
+    assert.equal(result.ethanolCorrectedOsmolarGap.value, 18);
+});
+
+test('a raised gap without acidosis suggests an early ingestion', () => {
+    const result = ABGToxicAlcohols.assess({ ...BASE, ph: 7.4, pco2: 5.3, hco3: 24, osmolality: 305, ethanol: 0 }, {});
+    assert.equal(result.ethanolCorrectedOsmolarGap.value, 15);
+    assert.equal(result.likelihood, 'moderate');
+    assert.match(result.reasons[0], /consistent with an early ingestion/);
+});
+
+test('an osmolar gap of 10 is not raised', () => {
+    const result = ABGToxicAlcohols.assess({ ...BASE, osmolality: 300 }, { anionGap: HAGMA });
+    assert.equal(result.osmolarGap.value, 10);
+    assert.equal(result.likelihood, 'low');
+    assert.match(result.reasons[1], /late presentation/);
+    assert.deepEqual(result.advice, []);
+});
+
+test('missing results leave the likelihood indeterminate with what to send', () => {
+    const noOsmolality = ABGToxicAlcohols.assess(BASE, { anionGap: HAGMA });
+    assert.equal(noOsmolality.likelihood, 'indeterminate');
+    assert.deepEqual(noOsmolality.advice, ['Send laboratory serum osmolality (freezing point depression) with ethanol on the same sample.']);
+
+    const noUrea = ABGToxicAlcohols.assess({ ...BASE, urea: null, osmolality: 320 }, { anionGap: HAGMA });
+    assert.deepEqual(noUrea.advice, ['Add urea from the same sample to calculate the osmolar gap.']);
+
+    assert.equal(ABGToxicAlcohols.assess(BASE, {}), null);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGUnits = require('../abg-interpreter-app/js/abg-units');
+
+test('toCanonical converts each field to its SI working unit', () => {
+    // 45 mmHg / 7.5 = 6 kPa; 180 mg/dL / 18.016 = 9.99 mmol/L; 4.8 mg/dL / 4.008 = 1.198 mmol/L
+    assert.equal(ABGUnits.toCanonical('pco2', 45, 'mmHg'), 6);
+    assert.equal(ABGUnits.toCanonical('glucose', 180, 'mg/dL'), 9.99);
+    assert.equal(ABGUnits.toCanonical('calcium', 4.8, 'mg/dL'), 1.198);
+    assert.equal(ABGUnits.toCanonical('albumin', 3.5, 'g/dL'), 35);
+    assert.equal(ABGUnits.toCanonical('fio2', 0.4, 'fraction'), 40);
+    assert.equal(ABGUnits.toCanonical('temperature', 98.6, '°F'), 37);
+    assert.equal(ABGUnits.toCanonical('sodium', '140', 'mEq/L'), 140);
+    assert.equal(ABGUnits.toCanonical('po2', 12, 'kPa'), 12);
+    assert.equal(ABGUnits.toCanonical('po2', '', 'mmHg'), null);
+});
+
+test('fromCanonical converts back and rounds to the unit', () => {
+    assert.equal(ABGUnits.fromCanonical('pco2', 5.33, 'mmHg'), 40);
+    assert.equal(ABGUnits.fromCanonical('glucose', 7.4, 'mg/dL'), 133);
+    assert.equal(ABGUnits.fromCanonical('calcium', 1.2, 'mg/dL'), 4.8);
+    assert.equal(ABGUnits.fromCanonical('hb', 135, 'g/dL'), 13.5);
+    assert.equal(ABGUnits.fromCanonical('temperature', 37, '°F'), 98.6);
+    assert.equal(ABGUnits.fromCanonical('potassium', 4.2, 'mmol/L'), 4.2);
+});
+
+test('unsupported units throw a UnitError', () => {
+    assert.throws(() => ABGUnits.toCanonical('pco2', 40, 'torr'), ABGUnits.UnitError);
+    assert.throws(() => ABGUnits.fromCanonical('glucose', 7, 'mEq/L'), /Unsupported unit "mEq\/L" for glucose/);
+    assert.throws(() => ABGUnits.normaliseValues({ ph: 7.4, pco2: 40 }, { pco2: 'psi' }), ABGUnits.UnitError);
+});
+
+test('normaliseValues converts declared fields and lists the conversions', () => {
+    const { values, conversions } = ABGUnits.normaliseValues(
+        { ph: 7.4, pco2: 40, glucose: 90, sodium: 140, lactate: '' },
+        { pco2: 'mmHg', glucose: 'mg/dL', sodium: 'mmol/L', lactate: 'mg/dL' }
+    );
+    assert.equal(values.pco2, 5.333);
+    assert.equal(values.glucose, 5);
+    assert.equal(values.sodium, 140);
+    assert.equal(values.lactate, '');
+    assert.deepEqual(conversions.map(item => [item.field, item.from, item.converted]), [['pco2', 'mmHg', 5.333], ['glucose', 'mg/dL', 5]]);
+});
+
+test('canonicalUnit reads printed spellings', () => {
+    assert.equal(ABGUnits.canonicalUnit(' Torr '), 'mmHg');
+    assert.equal(ABGUnits.canonicalUnit('MMOL/L'), 'mmol/L');
+    assert.equal(ABGUnits.canonicalUnit('degF'), '°F');
+    assert.equal(ABGUnits.canonicalUnit('furlongs'), null);
+    assert.equal(ABGUnits.canonicalUnit(null), null);
+});
+
+test('guessUnit picks the plausible unit and flags overlaps', () => {
+    assert.deepEqual(ABGUnits.guessUnit('pco2', 40), { unit: 'mmHg', ambiguous: false });
+    assert.deepEqual(ABGUnits.guessUnit('pco2', 5.3), { unit: 'kPa', ambiguous: false });
+    assert.deepEqual(ABGUnits.guessUnit('pco2', 20), { unit: 'kPa', ambiguous: true });
+    assert.deepEqual(ABGUnits.guessUnit('po2', 60), { unit: 'mmHg', ambiguous: true });
+    assert.deepEqual(ABGUnits.guessUnit('glucose', 110), { unit: 'mg/dL', ambiguous: false });
+    assert.deepEqual(ABGUnits.guessUnit('hb', 13.5), { unit: 'g/dL', ambiguous: false });
+    assert.deepEqual(ABGUnits.guessUnit('fio2', 0.21), { unit: 'fraction', ambiguous: false });
+    assert.deepEqual(ABGUnits.guessUnit('temperature', 97), { unit: '°F', ambiguous: false });
+    assert.deepEqual(ABGUnits.guessUnit('sodium', 140), { unit: 'mmol/L', ambiguous: false });
+    assert.equal(ABGUnits.guessUnit('pco2', 'n/a'), null);
+    assert.equal(ABGUnits.guessUnit('unknown', 1), null);
+});
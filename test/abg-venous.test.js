@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGVenous = require('../abg-interpreter-app/js/abg-venous');
+
+test('venous pH, pCO2 and bicarbonate get arterial estimates with limits of agreement', () => {
+    const estimate = ABGVenous.estimateArterial({ ph: 7.3, pco2: 6.5, hco3: 24, po2: 5 }, 'Venous');
+    // pH 7.3 + 0.033, limits -0.027 to +0.093
+    assert.deepEqual(estimate.estimates.ph, { venous: 7.3, estimated: 7.333, range: [7.273, 7.393] });
+    // pCO2 6.5 - 0.59, limits -3.44 to +2.72
+    assert.deepEqual(estimate.estimates.pco2, { venous: 6.5, estimated: 5.91, range: [3.06, 9.22] });
+    // HCO3- 24 - 1.03, limits -7.1 to +5.0
+    assert.deepEqual(estimate.estimates.hco3, { venous: 24, estimated: 23, range: [16.9, 29] });
+    assert.equal(estimate.estimates.po2, undefined);
+    assert.deepEqual(estimate.suppressed, ['pfRatio', 'aaGradient']);
+});
+
+test('a venous pCO2 of 6.0 kPa or less excludes arterial hypercapnia', () => {
+    assert.equal(ABGVenous.estimateArterial({ ph: 7.4, pco2: 6.0 }, 'Venous').hypercapniaExcluded, true);
+    const high = ABGVenous.estimateArterial({ ph: 7.3, pco2: 6.1 }, 'Venous');
+    assert.equal(high.hypercapniaExcluded, false);
+    assert.match(high.caveats[2], /cannot be excluded/);
+    assert.equal(ABGVenous.estimateArterial({ ph: 7.3 }, 'Venous').hypercapniaExcluded, null);
+});
+
+test('arterial and cord samples are not estimated', () => {
+    assert.equal(ABGVenous.estimateArterial({ ph: 7.3, pco2: 6.5 }, 'Arterial'), null);
+    assert.equal(ABGVenous.estimateArterial({ ph: 7.3, pco2: 6.5 }, 'Cord Venous'), null);
+});
+
+test('arterialised swaps in the estimates and describe labels them', () => {
+    const values = { ph: 7.3, pco2: 6.5, hco3: 24, sodium: 140 };
+    const estimate = ABGVenous.estimateArterial(values, 'Venous');
+    assert.deepEqual(ABGVenous.arterialised(values, estimate), { ph: 7.333, pco2: 5.91, hco3: 23, sodium: 140 });
+    assert.equal(ABGVenous.arterialised(values, null), values);
+    assert.match(ABGVenous.describe(estimate), /pCO2: venous 6.5 kPa → estimated arterial 5.91 kPa \(95% limits 3.06-9.22\)/);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGVentilation = require('../abg-interpreter-app/js/abg-ventilation');
+
+// pCO2 8 kPa = 60 mmHg, pO2 10 kPa = 75 mmHg
+const GAS = { ph: 7.28, pco2: 8, po2: 10, hco3: 27, fio2: 60 };
+const SETTINGS = { mode: 'VC-AC', tidalVolume: 420, respiratoryRate: 20, peep: 10, meanAirwayPressure: 20, predictedBodyWeight: 70 };
+
+test('oxygenation index, ventilatory ratio and dead space from the ventilator settings', () => {
+    const result = ABGVentilation.assess(GAS, SETTINGS, { sampleType: 'Arterial' });
+    assert.equal(result.minuteVentilation.value, 8.4);
+    assert.equal(result.tidalVolumePerKg.value, 6);
+    // 60 × 20 ÷ 75
+    assert.equal(result.oxygenationIndex.value, 16);
+    assert.equal(result.oxygenationIndex.severity, 'Moderate');
+    // (8400 × 60) ÷ (70 × 100 × 37.5) = 504000 ÷ 262500
+    assert.equal(result.ventilatoryRatio.value, 1.92);
+    // VA = 0.863 × 182 ÷ 60 = 2.62 L/min; VD/VT = 1 - 2.62 ÷ 8.4
+    assert.equal(result.deadSpace.alveolarVentilation, 2.6);
+    assert.equal(result.deadSpace.value, 0.69);
+    assert.deepEqual(result.missing, []);
+});
+
+test('target minute ventilation keeps dead-space ventilation constant', () => {
+    const result = ABGVentilation.assess(GAS, SETTINGS, { sampleType: 'Arterial' });
+    const target = result.targetMinuteVentilation;
+    // 2.6 × 8 ÷ 5.3 + (8.4 - 2.6) = 3.92 + 5.8
+    assert.equal(target.value, 9.7);
+    assert.equal(target.targetPco2, 5.3);
+    // 9725 mL ÷ 420 mL
+    assert.equal(target.respiratoryRate, 23);
+    assert.equal(result.suggestions[0], 'Increase minute ventilation from 8.4 to about 9.7 L/min for a pCO2 of 5.3 kPa - a rate of 23 /min at the current tidal volume. Recheck the gas 20-30 minutes after the change.');
+    assert.match(result.suggestions[1], /^Oxygenation index 16 - consider higher PEEP than 10 cmH2O/);
+});
+
+test('without predicted body weight the target scales minute ventilation directly', () => {
+    const result = ABGVentilation.assess(GAS, { ...SETTINGS, predictedBodyWeight: null, targetPco2: 6 }, { sampleType: 'Arterial' });
+    assert.equal(result.deadSpace, null);
+    assert.equal(result.ventilatoryRatio, null);
+    // 8.4 × 8 ÷ 6
+    assert.equal(result.targetMinuteVentilation.value, 11.2);
+    assert.equal(result.targetMinuteVentilation.respiratoryRate, 27);
+    assert.deepEqual(result.missing, ['predicted body weight (for Vt/kg, ventilatory ratio and dead space)']);
+});
+
+test('oxygenation index severity bands', () => {
+    const settings = { meanAirwayPressure: 10 };
+    // FiO2 given as a fraction is read as a percentage
+    assert.equal(ABGVentilation.oxygenationIndex({ po2: 10, fio2: 0.5 }, settings).value, 6.7);
+    assert.equal(ABGVentilation.oxygenationIndex({ po2: 10, fio2: 60 }, settings).severity, 'Mild');
+    assert.equal(ABGVentilation.oxygenationIndex({ po2: 8, fio2: 100 }, { meanAirwayPressure: 18 }).severity, 'Severe');
+});
+
+test('venous samples give minute ventilation only', () => {
+    const result = ABGVentilation.assess(GAS, SETTINGS, { sampleType: 'Venous' });
+    assert.equal(result.minuteVentilation.value, 8.4);
+    assert.equal(result.oxygenationIndex, null);
+    assert.equal(result.targetMinuteVentilation, null);
+    assert.match(result.suggestions[0], /^Venous sample/);
+});
+
+test('no settings entered means no ventilation section', () => {
+    assert.equal(ABGVentilation.assess(GAS, {}), null);
+    assert.equal(ABGVentilation.assess(GAS, undefined), null);
+});
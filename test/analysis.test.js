@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const analysis = require('../netlify/functions/lib/analysis');
+
+const serial = (previousSamples, extra = {}) => ({
+    values: { ph: 7.3, pco2: 5, hco3: 18 },
+    mode: 'serial',
+    takenAt: '2026-01-01T10:00:00Z',
+    previousSamples,
+    ...extra
+});
+
+test('malformed previous samples are input errors', () => {
+    const cases = [
+        [[null], /Previous sample 1 must be an object/],
+        [[{ takenAt: '2026-01-01T09:00:00Z', values: {} }, 'sample'], /Previous sample 2 must be an object/],
+        [[{ values: { ph: 7.2 } }], /Previous sample 1 needs a valid takenAt/],
+        [[{ takenAt: 'yesterday', values: { ph: 7.2 } }], /Previous sample 1 needs a valid takenAt/],
+        [[{ takenAt: '2026-01-01T09:00:00Z', values: { pco2: 40 }, units: 'mmHg' }], /Previous sample 1 has invalid units/],
+        [[{ takenAt: '2026-01-01T09:00:00Z', values: { pco2: 40 }, units: { pco2: 'torr' } }], /Previous sample 1: /]
+    ];
+    for (const [previousSamples, message] of cases) {
+        assert.throws(() => analysis.prepare(serial(previousSamples)), (error) => error instanceof analysis.AnalysisInputError && message.test(error.message));
+    }
+    assert.throws(() => analysis.prepare(serial([{ takenAt: '2026-01-01T09:00:00Z', values: { ph: 7.2 } }], { takenAt: 'now' })), analysis.AnalysisInputError);
+});
+
+test('previous samples are converted to working units before the trend', () => {
+    const prepared = analysis.prepare(serial([{ takenAt: '2026-01-01T09:00:00Z', values: { ph: 7.2, pco2: 45 }, units: { pco2: 'mmHg' } }]));
+    assert.equal(prepared.trend.spanHours, 1);
+    assert.equal(prepared.trend.series.pco2[0].value, 6);
+});
+
+test('under pH-stat the narrative may quote the 37 °C or the corrected values', () => {
+    const prepared = analysis.prepare({
+        values: { ph: 7.3, pco2: 5.3, po2: 12, hco3: 19, sodium: 140, chloride: 104, temperature: 33 },
+        temperatureStrategy: 'ph-stat'
+    });
+    assert.equal(prepared.values.ph, 7.3);
+    assert.deepEqual(prepared.correctedValues, { temperature: 33, strategy: 'ph-stat', values: { ph: 7.36, pco2: 4.45, po2: 9.33 } });
+    const discrepancies = (hhAnalysis) => analysis.aiSummary(prepared, { hhAnalysis }, { hhAnalysis: 'ai' }, null).discrepancies;
+    assert.deepEqual(discrepancies('pH: 7.36\npCO2: 4.45 kPa'), []);
+    assert.deepEqual(discrepancies('pH: 7.30\npCO2: 5.3 kPa'), []);
+    const wrong = discrepancies('pH: 7.45');
+    assert.equal(wrong.length, 1);
+    assert.match(wrong[0].message, /submitted value is 7.3 \(7.36 corrected to 33 °C\)/);
+});
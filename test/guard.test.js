@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const guard = require('../netlify/functions/lib/guard');
+
+const env = (accessTokens) => ({ ACCESS_TOKENS: accessTokens, SESSION_SECRET: 'test-secret' });
+const request = (token, ip) => ({ headers: { authorization: `Bearer ${token}`, 'x-nf-client-connection-ip': ip }, body: '{}' });
+
+test('a session token is accepted while its access token is configured', () => {
+    const session = guard.issueSession('alpha', guard.settings('analyze', env('alpha,beta')));
+    assert.ok(guard.check('analyze', request(session.token, '10.0.0.1'), { env: env('alpha,beta') }));
+});
+
+test('removing an access token revokes its sessions', () => {
+    const session = guard.issueSession('alpha', guard.settings('analyze', env('alpha,beta')));
+    assert.throws(() => guard.check('analyze', request(session.token, '10.0.0.2'), { env: env('beta') }),
+        (error) => error instanceof guard.GuardError && error.statusCode === 401);
+});
+
+test('an expired or tampered session is refused', () => {
+    const config = guard.settings('analyze', env('alpha'));
+    const expired = guard.issueSession('alpha', config, Date.now() - (config.sessionTtlSeconds + 1) * 1000);
+    assert.throws(() => guard.check('analyze', request(expired.token, '10.0.0.3'), { env: env('alpha') }), guard.GuardError);
+    const [payload] = guard.issueSession('alpha', config).token.split('.');
+    assert.throws(() => guard.check('analyze', request(`${payload}.forged`, '10.0.0.3'), { env: env('alpha') }), guard.GuardError);
+});
+
+const handler = guard.withGuard('hl7', async () => ({ statusCode: 200, body: '{}' }),
+    { images: true, env: { RATE_LIMIT_HL7: '2', MAX_BODY_BYTES_HL7: '2048', MAX_IMAGE_BYTES: '1024' } });
+const post = (headers, body = '{}') => handler({ httpMethod: 'POST', headers, body });
+
+test('requests over the limit get 429 with Retry-After and rate-limit headers', async () => {
+    const headers = { 'X-NF-Client-Connection-IP': '10.0.1.1' };
+    const first = await post(headers);
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.headers['X-RateLimit-Limit'], '2');
+    assert.equal(first.headers['X-RateLimit-Remaining'], '1');
+    assert.equal((await post(headers)).headers['X-RateLimit-Remaining'], '0');
+
+    const refused = await post(headers);
+    assert.equal(refused.statusCode, 429);
+    assert.equal(refused.headers['X-RateLimit-Limit'], '2');
+    assert.equal(refused.headers['X-RateLimit-Remaining'], '0');
+    assert.ok(Number(refused.headers['Retry-After']) > 0 && Number(refused.headers['Retry-After']) <= 60);
+    assert.match(JSON.parse(refused.body).error, /^Too many requests - try again in \d+ seconds$/);
+    // Another client is counted separately
+    assert.equal((await post({ 'x-nf-client-connection-ip': '10.0.1.2' })).statusCode, 200);
+});
+
+test('client-supplied forwarding headers share one bucket', async () => {
+    const statuses = [];
+    for (const ip of ['10.0.2.1', '10.0.2.2', '10.0.2.3']) {
+        statuses.push((await post({ 'x-forwarded-for': ip, 'client-ip': ip })).statusCode);
+    }
+    assert.deepEqual(statuses, [200, 200, 429]);
+});
+
+test('oversized bodies and images get 413 with the limit in the message', async () => {
+    const body = await post({ 'x-nf-client-connection-ip': '10.0.3.1' }, JSON.stringify({ padding: 'x'.repeat(3000) }));
+    assert.equal(body.statusCode, 413);
+    assert.deepEqual(JSON.parse(body.body), { error: 'Request is 3 KB - the limit is 2 KB' });
+
+    // 1600 base64 characters decode to 1200 bytes, over the 1024-byte image limit
+    const image = await post({ 'x-nf-client-connection-ip': '10.0.3.2' }, JSON.stringify({ images: [{ data: `data:image/png;base64,${'A'.repeat(1600)}` }] }));
+    assert.equal(image.statusCode, 413);
+    assert.match(JSON.parse(image.body).error, /^Image 1 is [\d.]+ MB - the limit is [\d.]+ MB\. Use a smaller photo$/);
+    assert.equal((await post({ 'x-nf-client-connection-ip': '10.0.3.3' }, JSON.stringify({ images: [{ data: 'A'.repeat(1200) }] }))).statusCode, 200);
+});
+
+test('a missing or unknown token gets 401 with a Bearer challenge', async () => {
+    const guarded = guard.withGuard('analyze', async () => ({ statusCode: 200, body: '{}' }), { env: env('alpha') });
+    const missing = await guarded({ httpMethod: 'POST', headers: { 'x-nf-client-connection-ip': '10.0.4.1' }, body: '{}' });
+    assert.equal(missing.statusCode, 401);
+    assert.equal(missing.headers['WWW-Authenticate'], 'Bearer realm="abg-interpreter"');
+    assert.deepEqual(JSON.parse(missing.body), { error: 'Access token required' });
+    const wrong = await guarded({ httpMethod: 'POST', headers: { 'x-nf-client-connection-ip': '10.0.4.1', authorization: 'Bearer gamma' }, body: '{}' });
+    assert.deepEqual(JSON.parse(wrong.body), { error: 'Access token invalid or expired' });
+    const accepted = await guarded({ httpMethod: 'POST', headers: { 'x-nf-client-connection-ip': '10.0.4.1', authorization: 'Bearer alpha' }, body: '{}' });
+    assert.equal(accepted.statusCode, 200);
+});
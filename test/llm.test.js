@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const llm = require('../netlify/functions/lib/llm');
+
+const withFixtures = async (files, run) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'abg-fixtures-'));
+    try {
+        for (const [name, fixture] of Object.entries(files)) {
+            fs.writeFileSync(path.join(directory, `${name}.json`), JSON.stringify(fixture));
+        }
+        return await run(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+};
+
+const request = { task: 'probe', system: 'Reply in JSON.', parts: [{ text: 'pH 7.31' }] };
+
+test('the provider is chosen by LLM_PROVIDER, defaulting to Gemini', () => {
+    assert.equal(llm.getProvider({}).name, 'gemini');
+    assert.equal(llm.getProvider({}).configured, false);
+    assert.equal(llm.getProvider({ GEMINI_API_KEY: 'key' }).configured, true);
+    assert.equal(llm.getProvider({ GEMINI_API_KEY: 'key', GEMINI_MODEL: 'gemini-x' }).model, 'gemini-x');
+
+    const openai = llm.getProvider({ LLM_PROVIDER: 'OpenAI' });
+    assert.deepEqual([openai.name, openai.model, openai.configured], ['openai', 'gpt-4o-mini', false]);
+    // A local server on a custom base URL needs no key
+    assert.equal(llm.getProvider({ LLM_PROVIDER: 'openai', OPENAI_BASE_URL: 'http://localhost:11434/v1' }).configured, true);
+
+    const mock = llm.getProvider({ LLM_PROVIDER: 'mock' });
+    assert.deepEqual([mock.name, mock.model, mock.configured], ['mock', 'fixture', true]);
+});
+
+test('an unknown provider is reported as not configured', async () => {
+    const provider = llm.getProvider({ LLM_PROVIDER: 'claude' });
+    assert.deepEqual(provider, { name: 'claude', model: null, configured: false });
+    await assert.rejects(llm.generate(provider, request), (error) => error instanceof llm.LlmError && error.kind === 'config');
+});
+
+test('the mock provider prefers the fixture recorded for this exact request', async () => {
+    const key = llm.fixtureKey(request.task, request.system, request.parts);
+    assert.match(key, /^probe-[0-9a-f]{16}$/);
+    // The key changes with anything sent
+    assert.notEqual(llm.fixtureKey(request.task, request.system, [{ text: 'pH 7.30' }]), key);
+
+    await withFixtures({ [key]: { response: { answer: 'exact' } }, probe: { response: 'task default' } }, async (directory) => {
+        const provider = llm.getProvider({ LLM_PROVIDER: 'mock', LLM_MOCK_FIXTURES: directory });
+        const exact = await llm.generate(provider, request);
+        assert.equal(exact.text, '{"answer":"exact"}');
+        assert.equal(exact.model.fixture, key);
+        const other = await llm.generate(provider, { ...request, parts: [{ text: 'pH 7.30' }] });
+        assert.equal(other.text, 'task default');
+        assert.equal(other.model.fixture, 'probe');
+    });
+});
+
+test('a missing fixture or a recorded error is raised as an LlmError', async () => {
+    await withFixtures({ failing: { error: { message: 'Quota exceeded', status: 429 } } }, async (directory) => {
+        const provider = llm.getProvider({ LLM_PROVIDER: 'mock', LLM_MOCK_FIXTURES: directory });
+        const key = llm.fixtureKey(request.task, request.system, request.parts);
+        await assert.rejects(llm.generate(provider, request), (error) => error instanceof llm.LlmError &&
+            error.kind === 'fixture' && error.message === `No mock fixture for ${key}`);
+        await assert.rejects(llm.generate(provider, { ...request, task: 'failing' }), (error) => error instanceof llm.LlmError &&
+            error.kind === 'http' && error.status === 429 && error.message === 'Quota exceeded');
+    });
+});
+
+test('an invalid reply is sent back in full with its errors and the repaired reply is used', async () => {
+    const schema = {
+        type: 'object',
+        properties: { keyFindings: { type: 'string' }, differentials: { type: 'string' } },
+        required: ['keyFindings', 'differentials']
+    };
+    // Longer than any excerpt, with the failing field at the very end
+    const invalid = JSON.stringify({ keyFindings: `${'Severe metabolic acidosis. '.repeat(300)}End of findings.`, differentials: 7 });
+    const repaired = { keyFindings: 'Severe metabolic acidosis.', differentials: 'DKA' };
+    const key = llm.fixtureKey(request.task, request.system, request.parts);
+
+    await withFixtures({ [key]: { response: invalid }, probe: { response: repaired } }, async (directory) => {
+        const provider = llm.getProvider({ LLM_PROVIDER: 'mock', LLM_MOCK_FIXTURES: directory });
+        const sent = [];
+        const generate = provider.generate.bind(provider);
+        provider.generate = (call) => {
+            sent.push(call.parts);
+            return generate(call);
+        };
+        const result = await llm.generateJson(provider, request, { schema });
+
+        assert.equal(result.partial, false);
+        assert.deepEqual(result.data, repaired);
+        assert.equal(result.model.attempts, 2);
+        assert.equal(sent.length, 2);
+        assert.deepEqual(sent[1].slice(0, 1), request.parts);
+        const prompt = sent[1][1].text;
+        assert.match(prompt, /^Your previous reply did not match the required JSON schema:\n- \$\.differentials: expected string, got number\n/);
+        assert.ok(invalid.length > 8000);
+        assert.ok(prompt.includes(`Previous reply:\n${invalid}\n`));
+    });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { processFields, mergePages } = require('../netlify/functions/lib/ocr-fields');
+
+test('a field read with the same value on two pages is not a conflict', () => {
+    const merged = mergePages([
+        processFields({ ph: { value: 7.31, text: '7.31', confidence: 'medium' } }),
+        processFields({ ph: { value: 7.31, text: '7.31', confidence: 'high' } })
+    ]);
+    assert.equal(merged.pageCount, 2);
+    assert.deepEqual(merged.conflicts, []);
+    assert.equal(merged.values.ph, 7.31);
+    assert.equal(merged.fields.ph.page, 2);
+    assert.equal(merged.fields.ph.status, 'ok');
+    assert.equal(merged.needsReview, false);
+});
+
+test('fields read on only one page are taken from that page', () => {
+    const merged = mergePages([
+        processFields({ ph: { value: 7.31, text: '7.31' } }),
+        processFields({ sodium: { value: 138, text: '138', unit: 'mmol/L' } })
+    ]);
+    assert.equal(merged.values.ph, 7.31);
+    assert.equal(merged.values.sodium, 138);
+    assert.equal(merged.fields.sodium.page, 2);
+    assert.equal(merged.values.potassium, null);
+    assert.equal(merged.fields.potassium.status, 'missing');
+});
+
+test('pages that disagree are reported as a conflict for review', () => {
+    const merged = mergePages([
+        processFields({ potassium: { value: 4.1, text: '4.1', unit: 'mmol/L', confidence: 'medium' } }),
+        processFields({ potassium: { value: 4.7, text: '4.7', unit: 'mmol/L', confidence: 'high' } })
+    ]);
+    // The higher-confidence reading is shown, with both kept as alternatives
+    assert.equal(merged.values.potassium, 4.7);
+    assert.equal(merged.fields.potassium.status, 'conflict');
+    assert.equal(merged.fields.potassium.reason, 'Pages disagree: 4.7 (page 2) vs 4.1 (page 1)');
+    assert.deepEqual(merged.conflicts, [{
+        field: 'potassium',
+        readings: [
+            { page: 2, value: 4.7, rawText: '4.7', confidence: 'high' },
+            { page: 1, value: 4.1, rawText: '4.1', confidence: 'medium' }
+        ]
+    }]);
+    assert.deepEqual(merged.flagged, ['potassium']);
+    assert.equal(merged.needsReview, true);
+});
+
+test('values are compared after unit conversion', () => {
+    const merged = mergePages([
+        processFields({ pco2: { value: 6.0, text: '6.0', unit: 'kPa' } }),
+        processFields({ pco2: { value: 45, text: '45', unit: 'mmHg' } })
+    ]);
+    // 45 mmHg = 6.0 kPa
+    assert.equal(merged.values.pco2, 6);
+    assert.deepEqual(merged.conflicts, []);
+});
+
+test('a rejected reading gives way to an accepted one without a conflict', () => {
+    const merged = mergePages([
+        processFields({ potassium: { value: 65, text: '65', unit: 'mmol/L' } }),
+        processFields({ potassium: { value: 6.5, text: '6.5', unit: 'mmol/L' } })
+    ]);
+    assert.equal(merged.values.potassium, 6.5);
+    assert.equal(merged.fields.potassium.page, 2);
+    assert.equal(merged.fields.potassium.status, 'ok');
+    assert.deepEqual(merged.conflicts, []);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// 1x1 PNG
+const PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const PDF = Buffer.from('%PDF-1.4\n%%EOF\n').toString('base64');
+
+const withEnv = async (env, run) => {
+    const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+    Object.assign(process.env, env);
+    try {
+        return await run();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+};
+
+const post = (images) => require('../netlify/functions/ocr').handler({
+    httpMethod: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ images })
+});
+
+test('unmasked pages are refused by default', async () => {
+    await withEnv({ LLM_PROVIDER: 'mock' }, async () => {
+        const response = await post([
+            { data: PIXEL, mimeType: 'image/png', masked: true, maskedRegions: 1 },
+            { data: PIXEL, mimeType: 'image/png' }
+        ]);
+        assert.equal(response.statusCode, 400);
+        assert.match(JSON.parse(response.body).error, /on page 2 before/);
+    });
+});
+
+test('a page declared masked with no regions is not treated as masked', async () => {
+    await withEnv({ LLM_PROVIDER: 'mock' }, async () => {
+        const response = await post([{ data: PIXEL, mimeType: 'image/png', masked: true }]);
+        assert.equal(response.statusCode, 400);
+        assert.match(JSON.parse(response.body).error, /on page 1 before/);
+    });
+});
+
+test('a PDF page is refused even when declared masked or cleared', async () => {
+    await withEnv({ LLM_PROVIDER: 'mock' }, async () => {
+        for (const page of [{ masked: true }, { masked: true, maskedRegions: 2 }, { confirmedNoPatientDetails: true }]) {
+            const response = await post([{ data: PDF, mimeType: 'application/pdf', ...page }]);
+            assert.equal(response.statusCode, 400);
+            assert.match(JSON.parse(response.body).error, /Page 1 is a PDF or HEIC file/);
+        }
+    });
+});
+
+test('masked and cleared photo pages are accepted and recorded as such', async () => {
+    await withEnv({ LLM_PROVIDER: 'mock' }, async () => {
+        const response = await post([
+            { data: PIXEL, mimeType: 'image/png', masked: true, maskedRegions: 2 },
+            { data: PIXEL, mimeType: 'image/png', confirmedNoPatientDetails: true }
+        ]);
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(JSON.parse(response.body).redaction.images, [
+            { page: 1, masked: true, confirmedNoPatientDetails: false, regions: 2 },
+            { page: 2, masked: false, confirmedNoPatientDetails: true, regions: 0 }
+        ]);
+    });
+});
+
+test('ALLOW_UNMASKED_IMAGES lets unmasked pages through', async () => {
+    await withEnv({ LLM_PROVIDER: 'mock', ALLOW_UNMASKED_IMAGES: 'true' }, async () => {
+        const response = await post([{ data: PIXEL, mimeType: 'image/png' }, { data: PDF, mimeType: 'application/pdf', masked: true }]);
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(JSON.parse(response.body).redaction.images.map(image => image.masked), [false, false]);
+    });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const redact = require('../netlify/functions/lib/redact');
+
+const redacted = (text) => redact.redactText(text).text;
+
+test('clinical abbreviations before a comma are not names', () => {
+    assert.equal(redacted('Vomiting, DKA, HHS overlap'), 'Vomiting, DKA, HHS overlap');
+    assert.equal(redacted('PMH: COPD, Asthma, IHD'), 'PMH: COPD, Asthma, IHD');
+});
+
+test('SURNAME, Forename needs a name-cased forename and takes the whole name', () => {
+    assert.equal(redacted('COPD, SMITH, John'), 'COPD, [NAME]');
+    assert.equal(redacted('SMITH, J. brought in by ambulance'), '[NAME] brought in by ambulance');
+    assert.equal(redacted('Na 131, K 5.2, CRP, WCC raised'), 'Na 131, K 5.2, CRP, WCC raised');
+});
+
+test('unlabelled names before an age or sex', () => {
+    assert.equal(redacted('John Smith 45M with DKA'), '[NAME] 45M with DKA');
+    assert.equal(redacted('Jane Doe, 72 year old'), '[NAME], 72 year old');
+    assert.equal(redacted('Mary Anne Jones (81F) fall'), '[NAME] (81F) fall');
+    assert.equal(redacted('John Smith is a 45-year-old man'), '[NAME] is a 45-year-old man');
+    assert.equal(redacted('Diabetic Ketoacidosis 3 days'), 'Diabetic Ketoacidosis 3 days');
+});
+
+test('labelled names in any case', () => {
+    assert.equal(redacted('Patient name: jane doe presented with vomiting'), 'Patient name: [NAME] presented with vomiting');
+    assert.equal(redacted('NAME: JANE DOE'), 'NAME: [NAME]');
+    assert.equal(redacted("pt name - o'neill, k was seen"), 'pt name - [NAME] was seen');
+    assert.equal(redacted('Surname: Smith'), 'Surname: [NAME]');
+});
+
+test('hospital numbers need a letter prefix or a label', () => {
+    assert.equal(redacted('Platelets 250000, WBC 11000000'), 'Platelets 250000, WBC 11000000');
+    assert.equal(redacted('RXK1234567 on the wristband'), '[HOSPITAL NUMBER] on the wristband');
+    assert.equal(redacted('MRN: 1234567'), 'MRN: [HOSPITAL NUMBER]');
+    assert.equal(redacted('Hosp no 87654321'), 'Hosp no [HOSPITAL NUMBER]');
+});
+
+test('NHS numbers, written out or labelled', () => {
+    assert.equal(redacted('NHS 943 476 5919'), 'NHS [NHS NUMBER]');
+    assert.equal(redacted('nhs no: 123 456 78'), 'nhs no: [NHS NUMBER]');
+});
+
+test('the report counts removals by type without the removed text', () => {
+    const { items } = redact.redactText('Mrs Jones, MRN: 1234567, seen 12/03/2024', 'clinicalHistory');
+    const summary = redact.report(items);
+    assert.deepEqual(summary.counts, { name: 1, nhsNumber: 0, date: 1, hospitalNumber: 1 });
+    assert.equal(JSON.stringify(summary).includes('Jones'), false);
+    assert.equal(redact.describe(summary), '1 name, 1 date and 1 hospital number removed from clinicalHistory');
+});
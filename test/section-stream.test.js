@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSectionReader } = require('../netlify/functions/lib/section-stream');
+
+const read = (chunks) => {
+    const sections = {};
+    const reader = createSectionReader((key, text) => { sections[key] = text; });
+    chunks.forEach(chunk => reader.push(chunk));
+    return sections;
+};
+
+test('sections are reported across chunk boundaries', () => {
+    const sections = read(['```json\n{"keyFind', 'ings": "pH 7.2 \\"low\\"", "nested": {"a": "b"}, "differ', 'entials": "DKA"}']);
+    assert.deepEqual(sections, { keyFindings: 'pH 7.2 "low"', differentials: 'DKA' });
+});
+
+test('a string that is not valid JSON is skipped, not thrown', () => {
+    const sections = read(['{"keyFindings": "bad \\q escape", "hhAnalysis": "raw\nnewline", "differentials": "DKA"}']);
+    assert.deepEqual(sections, { differentials: 'DKA' });
+});
+
+test('the stream falls back to the rule-based sections when the reply cannot be read', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'abg-fixtures-'));
+    fs.writeFileSync(path.join(directory, 'analyze.json'), JSON.stringify({ response: '{"keyFindings": "unterminated \\u12' }));
+    const env = { LLM_PROVIDER: process.env.LLM_PROVIDER, LLM_MOCK_FIXTURES: process.env.LLM_MOCK_FIXTURES };
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.LLM_MOCK_FIXTURES = directory;
+    try {
+        const handler = (await import('../netlify/functions/analyze-stream.mjs')).default;
+        const response = await handler(new Request('http://localhost/', {
+            method: 'POST',
+            body: JSON.stringify({ values: { ph: 7.2, pco2: 3.5, hco3: 12, sodium: 140, chloride: 100 } })
+        }));
+        const events = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(events.filter(event => event.type === 'error').length, 0);
+        const sections = events.filter(event => event.type === 'section');
+        assert.ok(sections.length >= 6);
+        assert.ok(sections.every(event => event.source === 'rules' && event.text));
+        assert.equal(events[events.length - 1].type, 'done');
+        assert.equal(events[events.length - 1].source, 'rules');
+    } finally {
+        for (const [key, value] of Object.entries(env)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ABGCalculations = require('../abg-interpreter-app/js/abg-calculations');
+const { CALCULATION_CHECKS, verifyNarrative, evaluate, parseWorking } = require('../netlify/functions/lib/verify');
+
+const values = { ph: 7.25, pco2: 3.5, po2: 12, hco3: 12, sodium: 140, chloride: 100, albumin: 30, fio2: 21 };
+const calculations = ABGCalculations.calculate(values, { sampleType: 'Arterial' });
+const check = (text, options = {}) => verifyNarrative({ additionalCalculations: text }, values, calculations, options);
+const checkHh = (text, options = {}) => verifyNarrative({ hhAnalysis: text }, values, calculations, options);
+
+test('evaluate works through quoted arithmetic without eval', () => {
+    assert.equal(evaluate('140 - (100 + 12)'), 28);
+    assert.equal(evaluate('2 × 3 + 4'), 10);
+    assert.equal(evaluate('10 ÷ 4 - 0.5'), 2);
+    assert.equal(evaluate('(28 − 12) / (24 − 12)'), 16 / 12);
+    assert.equal(evaluate('-3 + 5'), 2);
+    assert.equal(evaluate('(1 + 2'), null);
+    assert.equal(evaluate('1 / 0'), null);
+    assert.equal(evaluate('no numbers'), null);
+});
+
+test('parseWorking splits a calculation line into working and result', () => {
+    assert.deepEqual(parseWorking('Anion gap = Na+ - (Cl- + HCO3-) = 140 - (100 + 12) = 28 mmol/L (8-12)'),
+        { result: 28, unitText: ' mmol/L ', working: '140 - (100 + 12)' });
+    assert.deepEqual(parseWorking('Delta ratio = 1.33'), { result: 1.33, unitText: '', working: null });
+    assert.equal(parseWorking('Anion gap is raised'), null);
+});
+
+test('CALCULATION_CHECKS tell the anion gap lines apart', () => {
+    const { anionGap, correctedAnionGap, osmolarGap, ethanolCorrectedOsmolarGap } = CALCULATION_CHECKS;
+    const line = 'Albumin-corrected anion gap = 28 + 0.25 × (40 - 30) = 30.5 mmol/L';
+    assert.ok(correctedAnionGap.match.test(line));
+    assert.ok(anionGap.exclude.test(line));
+    assert.ok(osmolarGap.exclude.test('Ethanol-corrected osmolar gap = 4'));
+    assert.ok(ethanolCorrectedOsmolarGap.match.test('Ethanol-corrected osmolar gap = 4'));
+});
+
+test('correct calculations pass', () => {
+    assert.deepEqual(check([
+        'Anion gap = 140 - (100 + 12) = 28 mmol/L',
+        'Delta ratio = (28 - 12) / (24 - 12) = 1.33',
+        'P/F ratio = 12 / 0.21 = 57.1 kPa',
+        "Winter's formula: expected pCO2 3.2-3.73 kPa"
+    ].join('\n')), []);
+});
+
+test('miscalculated working, wrong operands and wrong results are each reported', () => {
+    const [arithmetic] = check('Anion gap = 140 - (100 + 12) = 32 mmol/L');
+    assert.equal(arithmetic.type, 'arithmetic');
+    assert.equal(arithmetic.expected, 28);
+
+    const [operands] = check('Anion gap = 140 - (104 + 12) = 24 mmol/L');
+    assert.equal(operands.type, 'input');
+    assert.match(operands.message, /submitted values give 140 - \(100 \+ 12\)/);
+
+    const [result] = check('Delta ratio = 2.1');
+    assert.deepEqual([result.type, result.field, result.quoted, result.expected], ['calculation', 'deltaRatio', 2.1, 1.33]);
+});
+
+test('oxygenation results quoted in mmHg are compared in mmHg', () => {
+    assert.deepEqual(check('P/F ratio = 90 / 0.21 = 429 mmHg'), []);
+    const [wrong] = check('P/F ratio = 300 mmHg');
+    assert.deepEqual([wrong.field, wrong.expected], ['pfRatio', 429]);
+});
+
+test("Winter's ranges are read in kPa or mmHg", () => {
+    // 1.5 × 12 + 8 ± 2 = 24-28 mmHg = 3.2-3.73 kPa
+    assert.deepEqual(check("Winter's formula predicts a pCO2 of 24-28 mmHg"), []);
+    assert.deepEqual(check("Winter's expected pCO2 3.2 to 3.7 kPa"), []);
+    const [wrong] = check("Winter's formula predicts a pCO2 of 30-34 mmHg");
+    assert.equal(wrong.field, 'wintersFormula');
+    assert.equal(wrong.expected, '24-28 mmHg');
+});
+
+test('quoted gas tensions are checked in kPa and in mmHg', () => {
+    assert.deepEqual(checkHh('pH: 7.25\npCO2: 3.5 kPa (26 mmHg)\npO2: 12 kPa'), []);
+    // 3.5 kPa = 26.3 mmHg and 12 kPa = 90 mmHg, quoted whole in a US-units report
+    assert.deepEqual(checkHh('pH: 7.25\npCO2: 26 mmHg\npO2: 90 mmHg\nHCO3-: 12 mEq/L'), []);
+
+    const [kpa] = checkHh('pCO2: 4.5 kPa');
+    assert.deepEqual([kpa.field, kpa.quoted, kpa.expected], ['pco2', 4.5, 3.5]);
+    const [mmHg] = checkHh('pCO2: 35 mmHg');
+    assert.deepEqual([mmHg.field, mmHg.quoted, mmHg.expected], ['pco2', 35, 26.3]);
+    assert.match(mmHg.message, /quotes pco2 as 35 mmHg but the submitted value is 26.3 mmHg/);
+    assert.equal(checkHh('pO2: 60 mmHg')[0].expected, 90);
+});
+
+test('temperature-corrected values are accepted in either unit', () => {
+    const correctedValues = { temperature: 33, strategy: 'ph-stat', values: { ph: 7.31, pco2: 2.94 } };
+    assert.deepEqual(checkHh('pH: 7.31\npCO2: 2.94 kPa', { correctedValues }), []);
+    assert.deepEqual(checkHh('pCO2: 22 mmHg', { correctedValues }), []);
+    assert.match(checkHh('pCO2: 30 mmHg', { correctedValues })[0].message, /\(22.1 mmHg corrected to 33 °C\)/);
+});
+
+test('venous samples may not be turned into oxygenation indices', () => {
+    const [venous] = verifyNarrative({ keyFindings: 'P/F ratio of 57 suggests no ARDS' }, values, calculations, { sampleType: 'Venous' });
+    assert.equal(venous.type, 'venous-oxygenation');
+    assert.deepEqual(verifyNarrative({ keyFindings: 'P/F ratio of 57 suggests no ARDS' }, values, calculations, { sampleType: 'Arterial' }), []);
+});